@@ -1,51 +1,143 @@
 // =================================================================================
 // MAIN APPLICATION MODULE (APP.JS)
 //
-// This is the heart of the Rhythm Game. It controls the application flow after a
+// This is the entry point of the Rhythm Game. It controls the application flow after a
 // user has authenticated. Its responsibilities include:
 // - Managing UI state (showing/hiding views).
+// - Showing a campaign's schedule and starting its due round (campaigns.js).
 // - Initializing the Spotify Web Playback SDK.
 // - Handling device discovery and selection.
-// - Generating and managing the game session (tracks, timers).
-// - Monitoring playback progress.
-// - Handling session completion and displaying the final code.
+// - Offering to resume interrupted sessions.
+// - Asking for consent and the questionnaire before and after the session, and
+//   for track ratings during it (questionnaire.js).
+// - Showing the running session: it subscribes to the session engine
+//   (session-engine.js), which owns the game rules, timers and playback.
+// - Drawing the note highway and taking taps in a session with a tap
+//   challenge (tap-challenge.js), and showing the tapped tempo in a session
+//   with a tap tempo game (tap-tempo.js).
+// - Displaying the final code, and the way back to the study platform (participant.js).
+// - Removing leftover session playlists (app.html?cleanup=1).
 // =================================================================================
 
 import { CONFIG } from './config.js';
 import * as SpotifyAPI from './spotify-api.js';
+import { getAccessToken, hasSession, redirectToLogin } from './token-manager.js';
+import { loadSessionProfile } from './session-profiles.js';
+import { loadSession, clearSession } from './session-store.js';
+import { getSelectedCampaignName, rememberCampaign, forgetCampaign, loadCampaign, getCampaignSchedule, getHeardTrackIds, reportCampaignProgress, ROUND_STATUS } from './campaigns.js';
+import { loadCampaignProgress, saveRoundResult } from './campaign-store.js';
+import { trackEvent, flushTelemetry, TELEMETRY_EVENTS } from './telemetry.js';
+import { captureStudyContext, getParticipant } from './participant.js';
+import { loadQuestionnaire, validateAnswers, cleanAnswers, getStoredConsent, storeConsent, ITEM_TYPES } from './questionnaire.js';
+import { enqueueEvent } from './event-queue.js';
+import { RECOVERY_STATES } from './playback-recovery.js';
+import { PLAY_ORDER_POLICIES, PLAY_ORDER_VIOLATIONS } from './play-order.js';
+import { discardSessionPlaylist, findOrphanedPlaylists, removePlaylists } from './session-playlists.js';
+import { SessionEngine, SESSION_EVENTS } from './session-engine.js';
+import { TAP_GRADES } from './tap-challenge.js';
+import { createWebPlayerAdapter, createRemoteDeviceAdapter } from './player-adapters.js';
+
+// What the participant is told for each reason playback can be lost.
+const INTERRUPTION_MESSAGES = {
+    device_offline: 'The web player lost its connection to Spotify.',
+    connection_lost: 'The connection to Spotify was lost.',
+    playback_stopped: 'Spotify stopped playing the session.',
+    playback_moved: 'Playback moved to another device.',
+    other_content: 'Something other than the session playlist is playing.',
+};
+
+// What the participant is told when they break the play order.
+const PLAY_ORDER_MESSAGES = {
+    [PLAY_ORDER_VIOLATIONS.SKIPPED_AHEAD]: 'Please listen to the tracks in order, without skipping ahead.',
+    [PLAY_ORDER_VIOLATIONS.WENT_BACK]: 'Please listen to the tracks in order, without going back.',
+    [PLAY_ORDER_VIOLATIONS.SHUFFLE]: 'Shuffle is turned off during the session.',
+    [PLAY_ORDER_VIOLATIONS.REPEAT]: 'Repeat is turned off during the session.',
+};
+const PLAY_ORDER_NOTICE_MS = 8000;
+
+// The note highway shows beats this far ahead of the hit line, and this far past it.
+const HIGHWAY_LOOKAHEAD_MS = 2000;
+const HIGHWAY_TRAIL_MS = 300;
+// Keys that count as a tap, besides tapping or clicking the highway.
+const TAP_KEYS = new Set(['Space', 'KeyF', 'KeyJ']);
+// What the participant is told about a tap.
+const TAP_FEEDBACK = {
+    [TAP_GRADES.PERFECT]: 'Perfect!',
+    [TAP_GRADES.GOOD]: 'Good',
+    [TAP_GRADES.MISS]: 'Miss',
+};
+// How a tapped tempo at half or double the track's tempo is shown.
+const TEMPO_LEVELS = { 0.5: ' (half time)', 2: ' (double time)' };
 
 // --- Application State ---
 const state = {
     user: null,
-    player: null,
-    deviceId: null,
+    participant: null, // The pseudonymous key and study IDs reported with the session, see participant.js
+    player: null, // The Web Playback SDK player
+    webPlayerId: null, // The device ID of the in-browser Web Playback SDK player, once ready
     playerReady: false,
-    session: {
-        totalDuration: 0, // in seconds
-        trackCompletionGoal: 0, // percentage
-        tracks: [],
-        playlistId: null,
-        startTime: 0,
-        timerInterval: null,
-        progressInterval: null,
-    },
+    engine: null, // The session, once a device is chosen, see session-engine.js
+    campaign: null, // The campaign this visit belongs to, if any, see campaigns.js
+    round: null, // The campaign round being played, from the campaign schedule
+    questionnaire: null, // Consent, questions and track ratings, see questionnaire.js
+    pendingRatings: [], // { trackIndex, track } of tracks whose goal was met and that are still to be rated
+    tapHits: new Map(), // Grades of the beats hit so far, keyed by "trackIndex:beatIndex"
+    highwayFrame: null, // The pending animation frame of the note highway
+    playOrderNoticeTimeout: null, // Hides the play order notice again
 };
 
 // --- DOM Elements ---
 const views = {
     loading: document.getElementById('loading-view'),
+    campaign: document.getElementById('campaign-view'),
     device: document.getElementById('device-view'),
+    resume: document.getElementById('resume-view'),
+    questionnaire: document.getElementById('questionnaire-view'),
     session: document.getElementById('session-view'),
     completion: document.getElementById('completion-view'),
+    cleanup: document.getElementById('cleanup-view'),
     error: document.getElementById('error-view'),
 };
+const campaignTitleEl = document.getElementById('campaign-title');
+const campaignSummaryEl = document.getElementById('campaign-summary');
+const campaignRoundsEl = document.getElementById('campaign-rounds');
+const startRoundBtn = document.getElementById('start-round-btn');
 const deviceFeedback = document.getElementById('device-feedback');
+const deviceListEl = document.getElementById('device-list');
 const checkDevicesBtn = document.getElementById('check-devices-btn');
+const resumeSummaryEl = document.getElementById('resume-summary');
+const resumeSessionBtn = document.getElementById('resume-session-btn');
+const newSessionBtn = document.getElementById('new-session-btn');
+const questionnaireTitleEl = document.getElementById('questionnaire-title');
+const questionnaireTextEl = document.getElementById('questionnaire-text');
+const questionnaireItemsEl = document.getElementById('questionnaire-items');
+const questionnaireSubmitBtn = document.getElementById('questionnaire-submit-btn');
+const questionnaireDeclineBtn = document.getElementById('questionnaire-decline-btn');
 const sessionTimerEl = document.getElementById('session-timer');
 const sessionProgressEl = document.getElementById('session-progress');
+const playbackNoticeEl = document.getElementById('playback-notice');
+const playbackNoticeTextEl = document.getElementById('playback-notice-text');
+const playbackNoticeBtn = document.getElementById('playback-notice-btn');
+const playOrderNoticeEl = document.getElementById('play-order-notice');
+const tapPanelEl = document.getElementById('tap-panel');
+const tapHighwayEl = document.getElementById('tap-highway');
+const tapPadEl = document.getElementById('tap-pad');
+const tapFeedbackEl = document.getElementById('tap-feedback');
+const tapStatsEl = document.getElementById('tap-stats');
+const trackRatingEl = document.getElementById('track-rating');
+const trackRatingTitleEl = document.getElementById('track-rating-title');
+const trackRatingItemsEl = document.getElementById('track-rating-items');
+const trackRatingBtn = document.getElementById('track-rating-btn');
 const trackListEl = document.getElementById('track-list');
 const finishNowBtn = document.getElementById('finish-now-btn');
 const completionCodeEl = document.getElementById('completion-code');
+const completionTimingEl = document.getElementById('completion-timing');
+const completionNextEl = document.getElementById('completion-next');
+const campaignOverviewLink = document.getElementById('campaign-overview-link');
+const studyReturnLink = document.getElementById('study-return-link');
+const cleanupSummaryEl = document.getElementById('cleanup-summary');
+const cleanupListEl = document.getElementById('cleanup-list');
+const cleanupBtn = document.getElementById('cleanup-btn');
 const errorMessageEl = document.getElementById('error-message');
 
 // --- UI Management ---
@@ -66,40 +158,83 @@ function showView(viewName) {
  * @param {string} message - The error message to display.
  */
 function showError(message) {
+    trackEvent(TELEMETRY_EVENTS.ERROR, { message });
+    flushTelemetry();
     errorMessageEl.textContent = message;
     showView('error');
-    // Stop any running timers
-    if (state.session.timerInterval) clearInterval(state.session.timerInterval);
-    if (state.session.progressInterval) clearInterval(state.session.progressInterval);
+    // Stop the session's timers and playback monitoring
+    state.engine?.stop();
+}
+
+/**
+ * Formats a point in time for the participant.
+ * @param {number} timestamp - Milliseconds since the epoch.
+ * @returns {string} The date and time in the participant's locale.
+ */
+function formatDateTime(timestamp) {
+    return new Date(timestamp).toLocaleString();
 }
 
 // --- Web Playback SDK Initialization ---
 
+/**
+ * Loads the Spotify Web Playback SDK, which calls `onSpotifyWebPlaybackSDKReady`
+ * once loaded. In mock mode, the fake SDK from mock/fake-spotify-player.js is used instead.
+ */
+function loadPlaybackSdk() {
+    if (CONFIG.MOCK_SPOTIFY_URL) {
+        import('./mock/fake-spotify-player.js')
+            .then(({ installFakeSpotify }) => installFakeSpotify(CONFIG.MOCK_SPOTIFY_URL))
+            .catch(error => console.error('Could not load the fake Web Playback SDK:', error));
+        return;
+    }
+    const script = document.createElement('script');
+    script.src = 'https://sdk.scdn.co/spotify-player.js';
+    document.head.appendChild(script);
+}
+
 /**
  * Initializes the Spotify Web Playback SDK.
  * This function is called after the SDK script has loaded.
  */
 window.onSpotifyWebPlaybackSDKReady = () => {
-    // Immediately check for a valid token before proceeding.
+    // The cleanup page does not play anything.
+    if (isCleanupMode()) return;
+
+    // Immediately check for stored credentials before proceeding.
     try {
-        const token = SpotifyAPI.getAccessToken(); // This will throw and redirect if token is invalid
-        
+        if (!hasSession()) {
+            redirectToLogin();
+            throw new Error('Access token missing. Redirecting to login.');
+        }
+
         const player = new Spotify.Player({
             name: 'Rhythm Game Web Player',
-            getOAuthToken: cb => { cb(token); },
+            // The SDK asks for a token whenever it (re)connects, so always hand it
+            // the current one. This refreshes the token if it is about to expire.
+            getOAuthToken: cb => {
+                getAccessToken()
+                    .then(cb)
+                    .catch(error => console.error('Could not provide a token to the player:', error.message));
+            },
             volume: 0.5,
         });
 
         state.player = player;
 
         // --- Player Event Listeners ---
+        // Once a session runs on the web player, its adapter (see player-adapters.js)
+        // also listens to these events and reports playback changes to the session.
         player.addListener('ready', ({ device_id }) => {
             console.log('Web Playback SDK ready with device ID:', device_id);
-            state.deviceId = device_id;
+            state.webPlayerId = device_id;
             state.playerReady = true;
-            deviceFeedback.textContent = 'Web player connected! Starting session...';
-            // Once the player is ready, we can proceed with the game setup.
-            startSession();
+            // The player reconnected after a device was chosen; don't offer devices again.
+            // Playback recovery takes it from here.
+            if (state.engine) return;
+            deviceFeedback.textContent = 'Web player connected! Choose where you want to listen.';
+            // Once the player is ready, it can be offered alongside the user's other devices.
+            refreshDevices();
         });
 
         player.addListener('not_ready', ({ device_id }) => {
@@ -109,7 +244,11 @@ window.onSpotifyWebPlaybackSDKReady = () => {
 
         player.addListener('initialization_error', ({ message }) => {
             console.error('Failed to initialize player:', message);
-            showError(`Spotify Player Error: ${message}. This may be due to a browser ad-blocker or missing Spotify Premium.`);
+            // Typically missing DRM (EME) support. Other Spotify devices can still be used.
+            deviceFeedback.textContent = `The web player is not available in this browser (${message}). `
+                + 'Open Spotify on your phone or computer, then refresh the list below.';
+            showView('device');
+            refreshDevices();
         });
 
         player.addListener('authentication_error', ({ message }) => {
@@ -120,7 +259,7 @@ window.onSpotifyWebPlaybackSDKReady = () => {
             // Optional: redirect after a delay
             setTimeout(() => window.location.href = 'index.html', 3000);
         });
-        
+
         player.addListener('account_error', ({ message }) => {
             console.error('Account error:', message);
              showError(`Spotify Account Error: ${message}. A Premium account is required to use the Web Player.`);
@@ -138,170 +277,192 @@ window.onSpotifyWebPlaybackSDKReady = () => {
         });
 
     } catch (error) {
-        // This catch block handles the error thrown by getAccessToken() if the token is invalid.
+        // This catch block handles the error thrown above if there are no credentials.
         // The redirect is already handled, so we just log it.
         console.error("Initialization failed:", error.message);
     }
 };
 
 
-// --- Game Logic ---
+// --- Device Selection ---
 
 /**
- * Main function to start the game session after device setup.
+ * Fetches the user's Spotify devices and lists them in the device view.
+ * The in-browser player is listed first when it is ready.
  */
-async function startSession() {
+async function refreshDevices() {
+    showView('device');
+    checkDevicesBtn.disabled = true;
     try {
-        // Ensure we have a device ID
-        if (!state.deviceId) {
-            throw new Error("No active device ID found.");
+        const { devices } = await SpotifyAPI.getAvailableDevices();
+        devices.sort((a, b) => (b.id === state.webPlayerId) - (a.id === state.webPlayerId));
+        renderDeviceList(devices);
+        if (devices.length === 0) {
+            deviceFeedback.textContent = 'No devices found. Open Spotify on a phone or computer, play a song briefly, then refresh.';
         }
-        
-         // 1. Transfer playback to the new device (our web player)
-        await SpotifyAPI.transferPlayback(state.deviceId);
-        console.log(`Playback transferred to device: ${state.deviceId}`);
-
-        // 1. Get user profile
-        state.user = await SpotifyAPI.getUserProfile();
-
-        // 2. Generate random session parameters
-        generateSessionParameters();
-
-        // 3. Fetch a pool of tracks
-        const trackPool = await getTrackPool();
-        if (trackPool.length < 3) {
-            throw new Error("Could not find enough suitable tracks to start the session.");
-        }
-
-        // 4. Select 3 random tracks for the session
-        state.session.tracks = selectRandomTracks(trackPool, 3);
-
-        // 5. Create a new private playlist
-        const playlistName = `Rhythm Game Session - ${new Date().toLocaleString()}`;
-        const playlist = await SpotifyAPI.createPlaylist(state.user.id, playlistName);
-        state.session.playlistId = playlist.id;
-
-        // 6. Add tracks to the playlist
-        const trackUris = state.session.tracks.map(t => t.uri);
-        await SpotifyAPI.addTracksToPlaylist(playlist.id, trackUris);
-        
-        // 7. Render the UI for the session
-        renderTrackList();
-        showView('session');
-
-        // 8. Start playback and monitoring
-        await SpotifyAPI.play(playlist.uri);
-        startTimers();
-        
-        // 9. Send telemetry data
-        SpotifyAPI.sendWebhook(CONFIG.N8N_TELEMETRY_URL, {
-            event: 'session_start',
-            userId: state.user.id,
-            ...state.session
-        });
-
     } catch (error) {
-        console.error('Failed to start session:', error);
-        showError(`Could not start the session: ${error.message}`);
+        console.error('Failed to list devices:', error);
+        deviceFeedback.textContent = `Could not load your devices: ${error.message}`;
+    } finally {
+        checkDevicesBtn.disabled = false;
     }
 }
 
-
-// --- Application Entry Point ---
-
 /**
- * Initializes the application on page load.
+ * Renders the device list. Devices that do not accept remote control are shown disabled.
+ * @param {object[]} devices - Devices from the `/me/player/devices` endpoint.
  */
-function main() {
-    // Start with the loading view. The SDK initialization will handle the next steps.
-    showView('loading');
-    
-    // The Spotify Web Playback SDK will be initialized via the `onSpotifyWebPlaybackSDKReady`
-    // global function, which acts as our entry point after the script loads.
-    // If the SDK fails to load, the app will remain on the loading screen.
+function renderDeviceList(devices) {
+    deviceListEl.innerHTML = ''; // Clear previous devices
+    devices.forEach(device => {
+        const deviceElement = document.createElement('button');
+        deviceElement.className = 'device-item';
+        deviceElement.disabled = device.is_restricted;
+
+        // Device names are user-defined, so they are set as text rather than HTML.
+        const nameEl = document.createElement('span');
+        nameEl.className = 'device-name';
+        nameEl.textContent = device.id === state.webPlayerId ? 'This browser' : device.name;
+        const typeEl = document.createElement('span');
+        typeEl.className = 'device-type';
+        typeEl.textContent = device.is_restricted ? `${device.type} · cannot be controlled` : device.type;
+
+        deviceElement.append(nameEl, typeEl);
+        deviceElement.addEventListener('click', () => selectDevice(device));
+        deviceListEl.appendChild(deviceElement);
+    });
 }
 
 /**
- * Generates random parameters for the session.
+ * Uses the chosen device for the session and starts it.
+ * @param {object} device - The selected device.
  */
-function generateSessionParameters() {
-    // Total session duration between 5 and 10 minutes
-    state.session.totalDuration = Math.floor(Math.random() * (600 - 300 + 1)) + 300;
-    // Required listening percentage per track between 50% and 80%
-    state.session.trackCompletionGoal = Math.floor(Math.random() * (80 - 50 + 1)) + 50;
+function selectDevice(device) {
+    const usesWebPlayer = device.id === state.webPlayerId;
+    deviceFeedback.textContent = `Starting session on ${usesWebPlayer ? 'this browser' : device.name}...`;
+    deviceListEl.querySelectorAll('button').forEach(button => { button.disabled = true; });
 
-    if (CONFIG.DEBUG_MODE) {
-        console.log(`Session Parameters: duration=${state.session.totalDuration}s, trackGoal=${state.session.trackCompletionGoal}%`);
-    }
+    const player = usesWebPlayer
+        ? createWebPlayerAdapter(state.player, { deviceId: device.id, ready: state.playerReady })
+        : createRemoteDeviceAdapter(device.id);
+    state.engine = new SessionEngine({ player, debrief: askAfterSession });
+    showSession(state.engine);
+    startSession();
 }
 
+// --- Session Setup ---
+
 /**
- * Fetches a pool of suitable tracks for the game.
- * It tries fetching from several sources (new releases, featured playlists)
- * and filters them to be instrumental and of a certain duration.
- * @returns {Promise<object[]>} A list of track objects.
+ * Starts a new session on the chosen device, or resumes an interrupted one if
+ * the participant wants to.
  */
-async function getTrackPool() {
-    let tracks = [];
+async function startSession() {
+    try {
+        // Get the user profile, and offer to resume an interrupted session
+        state.user = await SpotifyAPI.getUserProfile();
+        state.participant = await getParticipant(state.user.id);
+        state.questionnaire = await loadQuestionnaire();
+        const savedSession = loadSession(state.user.id);
+        if (savedSession) {
+            if (await promptResume(savedSession)) {
+                const profile = await loadSessionProfile(savedSession.profileName);
+                await state.engine.resume(savedSession, { user: state.user, participant: state.participant, profile });
+                return;
+            }
+            clearSession();
+            discardSessionPlaylist(state.user.id, savedSession.session.playlistId);
+        }
 
-    // Fetch from various sources to build a large pool
-    const [newReleases, featuredPlaylists] = await Promise.all([
-        SpotifyAPI.getNewReleases().catch(() => null),
-        SpotifyAPI.getFeaturedPlaylists().catch(() => null),
-    ]);
+        // Nothing plays before the participant has consented and answered the pre-session questions.
+        const answers = await askBeforeSession();
+        if (!answers) return;
 
-    if (newReleases) {
-        const albumTracks = await Promise.all(
-            newReleases.albums.items.map(album => SpotifyAPI.getPlaylistTracks(album.id.replace('album', 'playlist')).catch(() => null))
-        );
-        albumTracks.forEach(playlist => {
-            if (playlist) tracks.push(...playlist.items.map(item => item.track).filter(Boolean));
-        });
+        // A campaign round plays its own profile, and none of the tracks heard in earlier rounds
+        const { round } = state;
+        const profile = await loadSessionProfile(round?.profile);
+        const campaign = round ? { name: state.campaign.name, round: round.index } : null;
+        const excludeTrackIds = round ? getHeardTrackIds(loadCampaignProgress(state.user.id, state.campaign.name)) : [];
+        // A `seed` URL parameter makes the session reproducible, e.g. for piloting.
+        const seed = new URLSearchParams(window.location.search).get('seed');
+        await state.engine.start({ user: state.user, participant: state.participant, profile, seed, campaign, excludeTrackIds, answers });
+    } catch (error) {
+        console.error('Failed to start session:', error);
+        showError(`Could not start the session: ${error.message}`);
     }
+}
 
-    if (featuredPlaylists) {
-         const playlistTracks = await Promise.all(
-            featuredPlaylists.playlists.items.map(pl => SpotifyAPI.getPlaylistTracks(pl.id).catch(() => null))
-        );
-        playlistTracks.forEach(playlist => {
-            if (playlist) tracks.push(...playlist.items.map(item => item.track).filter(Boolean));
-        });
-    }
-    
-    // Filter out nulls, long tracks, and non-instrumental tracks if possible
-    const trackIds = tracks.map(t => t.id).filter(Boolean);
-    const audioFeatures = await SpotifyAPI.getAudioFeaturesForTracks(trackIds.slice(0, 100)); // API limit
-    
-    const instrumentalTracks = tracks.filter(track => {
-        const features = audioFeatures.audio_features.find(f => f && f.id === track.id);
-        // Exclude long tracks and prefer instrumental ones
-        return features && track.duration_ms > 90000 && track.duration_ms < 600000 && features.instrumentalness > 0.6;
-    });
+/**
+ * Shows the resume prompt for a saved session and waits for the participant's choice.
+ * @param {object} savedSession - The snapshot from the session store.
+ * @returns {Promise<boolean>} True to resume, false to discard it and start a new session.
+ */
+function promptResume(savedSession) {
+    const { tracks } = savedSession.session;
+    const completed = tracks.filter(t => t.goalMet).length;
+    const minutes = Math.floor(savedSession.elapsedMs / 60000);
+    resumeSummaryEl.textContent = `You have an unfinished session from ${formatDateTime(savedSession.savedAt)}: `
+        + `${completed} of ${tracks.length} tracks completed, ${minutes} min played.`;
+    showView('resume');
 
-    return instrumentalTracks.length > 10 ? instrumentalTracks : tracks.filter(t => t.duration_ms > 90000 && t.duration_ms < 600000);
+    return new Promise(resolve => {
+        resumeSessionBtn.onclick = () => resolve(true);
+        newSessionBtn.onclick = () => resolve(false);
+    });
 }
 
+// --- Session View ---
+
 /**
- * Selects a specified number of random tracks from a pool.
- * @param {object[]} pool - The array of tracks to choose from.
- * @param {number} count - The number of tracks to select.
- * @returns {object[]} A new array with the selected tracks.
+ * Subscribes the session view to a session engine, and wires its controls to it.
+ * @param {SessionEngine} engine - The session to show.
  */
-function selectRandomTracks(pool, count) {
-    const shuffled = [...pool].sort(() => 0.5 - Math.random());
-    return shuffled.slice(0, count).map(track => ({
-        ...track,
-        listenedPercent: 0,
-        goalMet: false,
-    }));
+function showSession(engine) {
+    engine.on(SESSION_EVENTS.STARTED, ({ session }) => {
+        renderTrackList(session.tracks);
+        showView('session');
+        if (session.tapChallenge || session.tapTempo) showTapPanel(engine, session);
+    });
+    engine.on(SESSION_EVENTS.TAP, renderTapResult);
+    engine.on(SESSION_EVENTS.TEMPO, renderTempoResult);
+    engine.on(SESSION_EVENTS.TICK, renderSessionTimer);
+    engine.on(SESSION_EVENTS.TRACK_PROGRESS, renderTrackProgress);
+    engine.on(SESSION_EVENTS.FINISHABLE, ({ finishable }) => finishNowBtn.classList.toggle('hidden', !finishable));
+    engine.on(SESSION_EVENTS.PLAYBACK, renderPlaybackNotice);
+    engine.on(SESSION_EVENTS.PLAY_ORDER_VIOLATION, showPlayOrderNotice);
+    engine.on(SESSION_EVENTS.TRACK_GOAL_MET, goal => promptTrackRating(engine, goal));
+    engine.on(SESSION_EVENTS.FINISHED, ({ code, summary, returnUrl }) => {
+        playbackNoticeEl.classList.add('hidden');
+        stopHighway();
+        completionCodeEl.textContent = code;
+        completionTimingEl.textContent = `You listened for ${formatDuration(summary.playingMs)} `
+            + `over ${formatDuration(summary.wallMs)}.`;
+        if (returnUrl) {
+            studyReturnLink.href = returnUrl;
+            studyReturnLink.classList.remove('hidden');
+        }
+        showView('completion');
+    });
+    // Record a campaign round as soon as the session is reported, before the post-session questions.
+    engine.on(SESSION_EVENTS.COMPLETED, ({ code, summary }) => {
+        if (summary.campaign) completeCampaignRound(summary, code);
+    });
+
+    finishNowBtn.onclick = () => {
+        trackEvent(TELEMETRY_EVENTS.FINISH_NOW_CLICKED, { elapsedMs: engine.getElapsedMs() });
+        engine.finish();
+    };
+    playbackNoticeBtn.onclick = () => engine.retryPlayback();
+    document.addEventListener('visibilitychange', () => engine.setBackgrounded(document.hidden));
+    window.addEventListener('pagehide', () => engine.saveProgress());
 }
 
 /**
  * Renders the list of session tracks in the UI.
+ * @param {object[]} tracks - The session tracks.
  */
-function renderTrackList() {
+function renderTrackList(tracks) {
     trackListEl.innerHTML = ''; // Clear previous tracks
-    state.session.tracks.forEach((track, index) => {
+    tracks.forEach((track, index) => {
         const trackElement = document.createElement('div');
         trackElement.className = 'track-item';
         trackElement.innerHTML = `
@@ -310,8 +471,9 @@ function renderTrackList() {
                 <span class="track-name">${track.name}</span>
                 <span class="track-artist">${track.artists.map(a => a.name).join(', ')}</span>
                 <div class="progress-bar">
-                    <div id="track-progress-${index}" class="progress-bar-inner"></div>
+                    <div id="track-progress-${index}" class="progress-bar-inner" style="width: ${Math.min(track.listenedPercent, 100)}%"></div>
                 </div>
+                ${track.tapTempo ? `<span id="track-tempo-${index}" class="track-tempo">${describeTapTempo(track.tapTempo)}</span>` : ''}
             </div>
         `;
         trackListEl.appendChild(trackElement);
@@ -319,94 +481,656 @@ function renderTrackList() {
 }
 
 /**
- * Starts the timers for session duration and progress tracking.
+ * Formats a duration as minutes and seconds.
+ * @param {number} ms - The duration, in milliseconds.
+ * @returns {string} The duration as "mm:ss".
+ */
+function formatDuration(ms) {
+    const totalSeconds = Math.floor(ms / 1000);
+    const minutes = String(Math.floor(totalSeconds / 60)).padStart(2, '0');
+    const seconds = String(totalSeconds % 60).padStart(2, '0');
+    return `${minutes}:${seconds}`;
+}
+
+/**
+ * Updates the session timer and the overall progress bar.
+ * @param {object} tick - From `SESSION_EVENTS.TICK`.
+ * @param {number} tick.displayMs - The playing time so far, run on since the last read of playback.
+ * @param {number} tick.totalDuration - The session duration, in seconds.
  */
-function startTimers() {
-    state.session.startTime = Date.now();
+function renderSessionTimer({ displayMs, totalDuration }) {
+    sessionTimerEl.textContent = `Playing Time: ${formatDuration(displayMs)}`;
 
-    // Overall session timer
-    state.session.timerInterval = setInterval(() => {
-        const elapsed = Math.floor((Date.now() - state.session.startTime) / 1000);
-        const minutes = String(Math.floor(elapsed / 60)).padStart(2, '0');
-        const seconds = String(elapsed % 60).padStart(2, '0');
-        sessionTimerEl.textContent = `Total Time: ${minutes}:${seconds}`;
+    const sessionProgress = (displayMs / 1000 / totalDuration) * 100;
+    sessionProgressEl.style.width = `${Math.min(sessionProgress, 100)}%`;
+}
 
-        const sessionProgress = (elapsed / state.session.totalDuration) * 100;
-        sessionProgressEl.style.width = `${Math.min(sessionProgress, 100)}%`;
+/**
+ * Updates a track's progress bar.
+ * @param {object} progress - From `SESSION_EVENTS.TRACK_PROGRESS`.
+ * @param {number} progress.trackIndex - The track's position in the session.
+ * @param {object} progress.track - The session track.
+ */
+function renderTrackProgress({ trackIndex, track }) {
+    const trackProgressEl = document.getElementById(`track-progress-${trackIndex}`);
+    if (trackProgressEl) {
+        trackProgressEl.style.width = `${Math.min(track.listenedPercent, 100)}%`;
+    }
+}
 
-        checkCompletion(); // Check if goals are met
-    }, 1000);
+/**
+ * Tells the participant that playback was lost and what happens next, or hides
+ * the notice once playback is restored.
+ * @param {object} change - The transition, from `SESSION_EVENTS.PLAYBACK`.
+ */
+function renderPlaybackNotice({ state: recoveryState, reason, autoRecover, attempt }) {
+    if (recoveryState === RECOVERY_STATES.PLAYING) {
+        playbackNoticeEl.classList.add('hidden');
+        return;
+    }
 
-    // Playback progress tracking
-    state.session.progressInterval = setInterval(async () => {
-        const playerState = await state.player.getCurrentState();
-        if (!playerState || !playerState.track_window.current_track) return;
-        
-        const currentTrack = state.session.tracks.find(t => t.id === playerState.track_window.current_track.id);
-        if (!currentTrack) return;
+    const cause = INTERRUPTION_MESSAGES[reason] || 'Playback was interrupted.';
+    let message;
+    let action = null;
+    if (recoveryState === RECOVERY_STATES.RECOVERING) {
+        message = `${cause} Restoring playback (attempt ${attempt})...`;
+    } else if (recoveryState === RECOVERY_STATES.FAILED) {
+        message = `${cause} Playback could not be restored. Check your connection and that Spotify is open, then try again.`;
+        action = 'Try Again';
+    } else if (autoRecover) {
+        message = `${cause} Reconnecting shortly...`;
+    } else {
+        message = `${cause} Return to the session playlist, or continue it here.`;
+        action = 'Resume Here';
+    }
+
+    playbackNoticeTextEl.textContent = `${message} The session timer is paused until playback resumes.`;
+    playbackNoticeBtn.textContent = action || '';
+    playbackNoticeBtn.classList.toggle('hidden', !action);
+    playbackNoticeEl.classList.remove('hidden');
+}
+
+/**
+ * Tells the participant about a play order violation, unless the policy is only to record it.
+ * @param {object} event - From `SESSION_EVENTS.PLAY_ORDER_VIOLATION`.
+ * @param {object} event.violation - The violation, from the play order monitor.
+ * @param {boolean} event.returned - Whether playback was sent back to the expected track.
+ */
+function showPlayOrderNotice({ violation, returned }) {
+    if (violation.policy === PLAY_ORDER_POLICIES.RECORD) return;
 
-        currentTrack.listenedPercent = (playerState.position / playerState.duration) * 100;
+    playOrderNoticeEl.textContent = PLAY_ORDER_MESSAGES[violation.type]
+        + (returned ? ' Playback was returned to the current track.' : '');
+    playOrderNoticeEl.classList.remove('hidden');
+    clearTimeout(state.playOrderNoticeTimeout);
+    state.playOrderNoticeTimeout = setTimeout(() => playOrderNoticeEl.classList.add('hidden'), PLAY_ORDER_NOTICE_MS);
+}
+
+
+// --- Tap Challenge and Tap Tempo ---
+
+/**
+ * Shows where to tap and starts taking taps from the keyboard and the page:
+ * the note highway in a session with a tap challenge, otherwise a tap pad.
+ * @param {SessionEngine} engine - The running session.
+ * @param {object} session - The session, with `tapChallenge` and `tapTempo`.
+ */
+function showTapPanel(engine, session) {
+    tapPanelEl.classList.remove('hidden');
+    const tapTarget = session.tapChallenge ? tapHighwayEl : tapPadEl;
+    tapTarget.classList.remove('hidden');
+    const tap = event => {
+        event.preventDefault();
+        engine.tap();
+    };
+    tapTarget.addEventListener('pointerdown', tap);
+    document.addEventListener('keydown', event => {
+        // Typing into a rating question is not tapping.
+        const isTyping = ['INPUT', 'TEXTAREA'].includes(event.target?.tagName);
+        if (TAP_KEYS.has(event.code) && !event.repeat && !isTyping) tap(event);
+    });
+    if (session.tapChallenge) {
+        stopHighway();
+        state.highwayFrame = requestAnimationFrame(() => drawHighway(engine));
+    }
+}
+
+/**
+ * Stops redrawing the note highway, if it is running.
+ */
+function stopHighway() {
+    if (state.highwayFrame !== null) {
+        cancelAnimationFrame(state.highwayFrame);
+        state.highwayFrame = null;
+    }
+}
+
+/**
+ * Draws the note highway for the current playback position: beats come down
+ * the lane towards the hit line, and bars are drawn across it. Beats that were
+ * hit disappear. Redraws itself on every animation frame.
+ * @param {SessionEngine} engine - The running session.
+ */
+function drawHighway(engine) {
+    const context = tapHighwayEl.getContext('2d');
+    const { width, height } = tapHighwayEl;
+    const hitLineY = height - 40;
+    const laneWidth = 80;
+    context.clearRect(0, 0, width, height);
+    context.fillStyle = '#282828';
+    context.fillRect((width - laneWidth) / 2, 0, laneWidth, height);
+
+    const playback = engine.getPlaybackPosition();
+    const beatMap = playback && engine.getBeatMap(playback.trackIndex);
+    if (beatMap) {
+        const { trackIndex, positionMs } = playback;
+        const isVisible = time => time >= positionMs - HIGHWAY_TRAIL_MS && time <= positionMs + HIGHWAY_LOOKAHEAD_MS;
+        const toY = time => hitLineY - ((time - positionMs) / HIGHWAY_LOOKAHEAD_MS) * hitLineY;
+
+        context.strokeStyle = 'rgba(255, 255, 255, 0.25)';
+        beatMap.bars.filter(isVisible).forEach(time => {
+            context.beginPath();
+            context.moveTo(0, toY(time));
+            context.lineTo(width, toY(time));
+            context.stroke();
+        });
+        beatMap.beats.forEach((time, beatIndex) => {
+            if (!isVisible(time) || state.tapHits.has(`${trackIndex}:${beatIndex}`)) return;
+            context.fillStyle = time < positionMs ? '#b3b3b3' : '#ffffff';
+            context.beginPath();
+            context.arc(width / 2, toY(time), 14, 0, 2 * Math.PI);
+            context.fill();
+        });
+    }
+
+    context.fillStyle = '#1db954';
+    context.fillRect(0, hitLineY - 2, width, 4);
+    state.highwayFrame = requestAnimationFrame(() => drawHighway(engine));
+}
+
+/**
+ * Shows how a tap was judged and the track's score so far.
+ * @param {object} result - From `SESSION_EVENTS.TAP`.
+ * @param {number} result.trackIndex - The track that was tapped along to.
+ * @param {object} result.judgement - The judgement, see tap-challenge.js.
+ * @param {object} result.stats - The track's tap statistics.
+ */
+function renderTapResult({ trackIndex, judgement, stats }) {
+    const { grade, beatIndex, offsetMs } = judgement;
+    if (beatIndex !== null) state.tapHits.set(`${trackIndex}:${beatIndex}`, grade);
+
+    const timing = grade === TAP_GRADES.GOOD ? ` (${offsetMs < 0 ? 'early' : 'late'})` : '';
+    tapFeedbackEl.textContent = TAP_FEEDBACK[grade] + timing;
+    tapFeedbackEl.className = `tap-feedback tap-${grade}`;
+    tapStatsEl.textContent = `Combo ${stats.combo} · Accuracy ${Math.round(stats.accuracy)}% · Score ${stats.score.toLocaleString()}`;
+}
 
-        const trackIndex = state.session.tracks.findIndex(t => t.id === currentTrack.id);
-        const trackProgressEl = document.getElementById(`track-progress-${trackIndex}`);
-        if(trackProgressEl) {
-             trackProgressEl.style.width = `${Math.min(currentTrack.listenedPercent, 100)}%`;
+/**
+ * Describes a track's tap tempo result for the track list.
+ * @param {object} stats - The track's tap tempo statistics, see tap-tempo.js.
+ * @returns {string} The track's tempo, and the participant's tempo and scores once there is an estimate.
+ */
+function describeTapTempo(stats) {
+    const target = `Tempo ${Math.round(stats.targetBpm)} BPM`;
+    if (stats.bpm === null) return `${target} · Tap along to match it`;
+    const level = TEMPO_LEVELS[stats.ratio] ?? '';
+    return `${target} · You ${Math.round(stats.bpm)} BPM${level} · Accuracy ${Math.round(stats.accuracy)}% · Stability ${Math.round(stats.stability)}%`;
+}
+
+/**
+ * Shows the participant's latest tempo in the track list.
+ * @param {object} result - From `SESSION_EVENTS.TEMPO`.
+ * @param {number} result.trackIndex - The track that was tapped along to.
+ * @param {object | null} result.estimate - The latest estimate, or null if there is none yet.
+ * @param {object} result.stats - The track's tap tempo statistics.
+ */
+function renderTempoResult({ trackIndex, estimate, stats }) {
+    const trackTempoEl = document.getElementById(`track-tempo-${trackIndex}`);
+    if (!trackTempoEl) return;
+    trackTempoEl.textContent = describeTapTempo(stats);
+    trackTempoEl.classList.toggle('on-tempo', Boolean(estimate?.onTempo));
+}
+
+// --- Questionnaire ---
+
+/**
+ * Renders the items of a questionnaire page into a container.
+ * @param {HTMLElement} container - Where the items go; its previous content is replaced.
+ * @param {object} page - A page from `loadQuestionnaire`.
+ * @returns {{read: function(): object, showErrors: function(object): void}} Reads the answers,
+ *   keyed by item ID, and shows the messages from `validateAnswers` next to their items.
+ */
+function renderQuestions(container, page) {
+    container.innerHTML = '';
+    const readers = {};
+    const errorEls = {};
+
+    page.items.forEach(item => {
+        const itemEl = document.createElement('div');
+        itemEl.className = 'question';
+        // Prompts and options come from the study's configuration, but are still set as text.
+        const promptEl = document.createElement('p');
+        promptEl.className = 'question-prompt';
+        promptEl.textContent = item.required ? `${item.prompt} *` : item.prompt;
+        const answerEl = document.createElement('div');
+        answerEl.className = `question-${item.type}`;
+        const errorEl = document.createElement('p');
+        errorEl.className = 'question-error hidden';
+        errorEls[item.id] = errorEl;
+
+        const name = `${page.id}-${item.id}`;
+        if (item.type === ITEM_TYPES.TEXT) {
+            const input = document.createElement(item.multiline ? 'textarea' : 'input');
+            input.maxLength = item.maxLength;
+            answerEl.appendChild(input);
+            readers[item.id] = () => input.value;
+        } else {
+            // Likert points and options are both a row of radio buttons (or checkboxes),
+            // each paired with the value it stands for.
+            const choices = item.type === ITEM_TYPES.LIKERT
+                ? Array.from({ length: item.scale.max - item.scale.min + 1 }, (_, i) => {
+                    const value = item.scale.min + i;
+                    return { value, label: String(value) };
+                })
+                : item.options;
+            const inputs = choices.map(({ value, label }) => {
+                const labelEl = document.createElement('label');
+                const input = document.createElement('input');
+                input.type = item.multiple ? 'checkbox' : 'radio';
+                input.name = name;
+                const textEl = document.createElement('span');
+                textEl.textContent = label;
+                labelEl.append(input, textEl);
+                answerEl.appendChild(labelEl);
+                return [input, value];
+            });
+            readers[item.id] = item.multiple
+                ? () => inputs.filter(([input]) => input.checked).map(([, value]) => value)
+                : () => inputs.find(([input]) => input.checked)?.[1] ?? null;
+
+            if (item.type === ITEM_TYPES.LIKERT && (item.scale.minLabel || item.scale.maxLabel)) {
+                const anchorsEl = document.createElement('div');
+                anchorsEl.className = 'likert-anchors';
+                const minEl = document.createElement('span');
+                minEl.textContent = item.scale.minLabel || '';
+                const maxEl = document.createElement('span');
+                maxEl.textContent = item.scale.maxLabel || '';
+                anchorsEl.append(minEl, maxEl);
+                answerEl.appendChild(anchorsEl);
+            }
         }
-       
-        if (currentTrack.listenedPercent >= state.session.trackCompletionGoal && !currentTrack.goalMet) {
-            currentTrack.goalMet = true;
-            console.log(`Track goal met for: ${currentTrack.name}`);
+
+        itemEl.append(promptEl, answerEl, errorEl);
+        container.appendChild(itemEl);
+    });
+
+    return {
+        read: () => Object.fromEntries(page.items.map(item => [item.id, readers[item.id]()])),
+        showErrors(errors) {
+            page.items.forEach(item => {
+                errorEls[item.id].textContent = errors[item.id] || '';
+                errorEls[item.id].classList.toggle('hidden', !errors[item.id]);
+            });
+        },
+    };
+}
+
+/**
+ * Shows a questionnaire page and waits until it is answered.
+ * @param {object} page - A page from `loadQuestionnaire`.
+ * @returns {Promise<object>} The answers, keyed by item ID, as `cleanAnswers` returns them.
+ */
+function askPage(page) {
+    questionnaireTitleEl.textContent = page.title || '';
+    questionnaireTextEl.textContent = page.text || '';
+    questionnaireSubmitBtn.textContent = 'Continue';
+    questionnaireSubmitBtn.classList.remove('hidden');
+    questionnaireDeclineBtn.classList.add('hidden');
+    const form = renderQuestions(questionnaireItemsEl, page);
+    showView('questionnaire');
+
+    return new Promise(resolve => {
+        questionnaireSubmitBtn.onclick = () => {
+            const answers = form.read();
+            const errors = validateAnswers(page, answers);
+            form.showErrors(errors);
+            if (Object.keys(errors).length === 0) {
+                resolve(cleanAnswers(page, answers));
+            }
+        };
+    });
+}
+
+/**
+ * Shows the consent page and waits for the participant's decision.
+ * @param {object} consent - The consent page from `loadQuestionnaire`.
+ * @returns {Promise<boolean>} True if they agree.
+ */
+function askConsent(consent) {
+    questionnaireTitleEl.textContent = consent.title;
+    questionnaireTextEl.textContent = consent.text;
+    questionnaireItemsEl.innerHTML = '';
+    questionnaireSubmitBtn.textContent = consent.agreeLabel;
+    questionnaireSubmitBtn.classList.remove('hidden');
+    questionnaireDeclineBtn.textContent = consent.declineLabel;
+    questionnaireDeclineBtn.classList.remove('hidden');
+    showView('questionnaire');
+
+    return new Promise(resolve => {
+        questionnaireSubmitBtn.onclick = () => resolve(true);
+        questionnaireDeclineBtn.onclick = () => resolve(false);
+    });
+}
+
+/**
+ * Asks for consent, unless it was given before on this device, and the pre-session questions.
+ * If the participant declines, the decision is reported and they are thanked.
+ * @returns {Promise<object | null>} `{ consent, pre }` for `SessionEngine.start`, or null if
+ *   the participant does not consent.
+ */
+async function askBeforeSession() {
+    const { consent, pre } = state.questionnaire;
+    let consentRecord = consent && getStoredConsent(state.participant.key, consent);
+    const asksConsent = Boolean(consent) && !consentRecord;
+    if (asksConsent) {
+        if (!await askConsent(consent)) {
+            enqueueEvent(CONFIG.N8N_COMPLETED_URL, {
+                event: 'consent_declined',
+                participant: state.participant,
+                consentId: consent.id,
+            });
+            questionnaireTitleEl.textContent = 'Thank You';
+            questionnaireTextEl.textContent = 'You have chosen not to take part. You can close this page now.';
+            questionnaireSubmitBtn.classList.add('hidden');
+            questionnaireDeclineBtn.classList.add('hidden');
+            return null;
         }
-    }, 500);
+        consentRecord = storeConsent(state.participant.key, consent);
+    }
+
+    const answers = {};
+    for (const page of pre) {
+        answers[page.id] = await askPage(page);
+    }
+    // Picking the tracks takes a moment after the last page.
+    if (asksConsent || pre.length > 0) showView('loading');
+    return { consent: consentRecord, pre: answers };
 }
 
 /**
- * Checks if all session completion criteria have been met.
+ * Asks the post-session questions. Passed to the session engine as its
+ * `debrief`, so the answers are reported with the session.
+ * @returns {Promise<object>} The answers, keyed by page ID.
  */
-function checkCompletion() {
-    const allTracksGoalMet = state.session.tracks.every(t => t.goalMet);
-    const totalTimeMet = (Date.now() - state.session.startTime) / 1000 >= state.session.totalDuration;
+async function askAfterSession() {
+    // Ratings still open when the session ends are left unanswered.
+    state.pendingRatings = [];
+    trackRatingEl.classList.add('hidden');
+    playbackNoticeEl.classList.add('hidden');
 
-    // Show "Finish Now" button if track goals are met but time is not
-    if (allTracksGoalMet && !totalTimeMet) {
-        finishNowBtn.classList.remove('hidden');
-        finishNowBtn.onclick = () => finishSession();
-    } else {
-        finishNowBtn.classList.add('hidden');
+    const answers = {};
+    for (const page of state.questionnaire?.post || []) {
+        answers[page.id] = await askPage(page);
+    }
+    return answers;
+}
+
+/**
+ * Asks the participant to rate a track once its listening goal is met, if the
+ * questionnaire has track rating questions. Ratings are asked one track at a
+ * time, in the session view, while playback goes on.
+ * @param {SessionEngine} engine - The running session.
+ * @param {object} goal - From `SESSION_EVENTS.TRACK_GOAL_MET`.
+ */
+function promptTrackRating(engine, goal) {
+    if (!state.questionnaire?.trackRating) return;
+    state.pendingRatings.push(goal);
+    if (state.pendingRatings.length === 1) showTrackRating(engine);
+}
+
+/**
+ * Shows the rating questions for the first track waiting to be rated.
+ * @param {SessionEngine} engine - The running session.
+ */
+function showTrackRating(engine) {
+    const [next] = state.pendingRatings;
+    if (!next) {
+        trackRatingEl.classList.add('hidden');
+        return;
+    }
+    const page = state.questionnaire.trackRating;
+    trackRatingTitleEl.textContent = `${page.title || 'Please rate this track'}: ${next.track.name}`;
+    const form = renderQuestions(trackRatingItemsEl, page);
+    trackRatingEl.classList.remove('hidden');
+
+    trackRatingBtn.onclick = () => {
+        const answers = form.read();
+        const errors = validateAnswers(page, answers);
+        form.showErrors(errors);
+        if (Object.keys(errors).length > 0) return;
+        engine.rateTrack(next.trackIndex, cleanAnswers(page, answers));
+        state.pendingRatings.shift();
+        showTrackRating(engine);
+    };
+}
+
+// --- Campaigns ---
+
+/**
+ * Shows the landing screen of a campaign: which rounds are done and which one is due.
+ * @param {string} campaignName - The campaign selected for this visit.
+ */
+async function showCampaign(campaignName) {
+    if (!hasSession()) {
+        redirectToLogin();
+        return;
+    }
+    try {
+        state.user = await SpotifyAPI.getUserProfile();
+        state.campaign = await loadCampaign(campaignName).catch(error => {
+            // Don't keep bringing the participant back to a campaign that can't be loaded.
+            forgetCampaign(campaignName);
+            throw error;
+        });
+        rememberCampaign(campaignName);
+        renderCampaign();
+    } catch (error) {
+        console.error('Failed to load the campaign:', error);
+        showError(`Could not load your sessions: ${error.message}`);
     }
-    
-    // Complete session if both goals are met
-    if(allTracksGoalMet && totalTimeMet) {
-        finishSession();
+}
+
+/**
+ * Describes where a round stands, for the round list.
+ * @param {object} round - A round from the campaign schedule.
+ * @returns {string} The round's status, in words.
+ */
+function describeRound(round) {
+    switch (round.status) {
+        case ROUND_STATUS.DONE: return `Done, ${formatDateTime(round.completedAt)}`;
+        case ROUND_STATUS.DUE: return round.late ? 'Ready now (overdue)' : 'Ready now';
+        case ROUND_STATUS.WAITING: return `Opens ${formatDateTime(round.opensAt)}`;
+        default: return 'Opens after the previous session';
     }
 }
 
 /**
- * Finalizes the session and displays the completion view.
+ * Renders the campaign schedule and offers to start the due round.
  */
-function finishSession() {
-    // Stop all timers
-    clearInterval(state.session.timerInterval);
-    clearInterval(state.session.progressInterval);
-    state.player.pause();
+function renderCampaign() {
+    const progress = loadCampaignProgress(state.user.id, state.campaign.name);
+    const { rounds, dueRound, nextRound, complete } = getCampaignSchedule(state.campaign, progress);
 
-    // Generate completion code
-    const code = `${state.user.id.substring(0, 4)}-${Date.now().toString().slice(-5)}`;
-    completionCodeEl.textContent = code;
+    campaignTitleEl.textContent = state.campaign.title || 'Your Listening Sessions';
+    if (complete) {
+        campaignSummaryEl.textContent = `You have completed all ${rounds.length} sessions. Thank you for taking part!`;
+    } else if (dueRound) {
+        campaignSummaryEl.textContent = `Session ${dueRound.index + 1} of ${rounds.length} is ready.`;
+    } else {
+        campaignSummaryEl.textContent = `Session ${nextRound.index + 1} of ${rounds.length} opens `
+            + `${formatDateTime(nextRound.opensAt)}. Please come back then.`;
+    }
 
-    // Send completion data to webhook
-    SpotifyAPI.sendWebhook(CONFIG.N8N_COMPLETED_URL, {
-        event: 'session_complete',
-        userId: state.user.id,
-        completionCode: code,
-        session: state.session,
+    campaignRoundsEl.innerHTML = '';
+    rounds.forEach(round => {
+        const item = document.createElement('li');
+        item.className = `round-${round.status}`;
+        item.textContent = `Session ${round.index + 1}: ${describeRound(round)}`;
+        campaignRoundsEl.appendChild(item);
     });
-    
-    
-    console.log("Session Finished!");
-    showView('completion');
+
+    startRoundBtn.classList.toggle('hidden', !dueRound);
+    startRoundBtn.onclick = () => {
+        startRoundBtn.disabled = true;
+        state.round = dueRound;
+        showView('loading');
+        setUpPlayback();
+    };
+    showView('campaign');
+}
+
+/**
+ * Records a finished campaign round, reports the campaign progress and tells
+ * the participant what comes next.
+ * @param {object} summary - The session summary, from `SESSION_EVENTS.COMPLETED`.
+ * @param {string} code - The session's completion code.
+ */
+async function completeCampaignRound(summary, code) {
+    const { name, round } = summary.campaign;
+    const progress = saveRoundResult(state.user.id, name, {
+        round,
+        sessionId: summary.id,
+        completedAt: summary.completedAt,
+        code,
+        trackIds: summary.tracks.map(track => track.id),
+    });
+    try {
+        // A resumed session may belong to another campaign than the one selected now.
+        const campaign = state.campaign?.name === name ? state.campaign : await loadCampaign(name);
+        reportCampaignProgress(campaign, progress, round, state.participant);
+
+        const { nextRound, dueRound, complete } = getCampaignSchedule(campaign, progress);
+        if (complete) {
+            completionNextEl.textContent = `That was the last of your ${campaign.rounds.length} sessions. Thank you for taking part!`;
+        } else if (dueRound) {
+            completionNextEl.textContent = `That was session ${round + 1} of ${campaign.rounds.length}. Your next session is ready whenever you are.`;
+        } else {
+            completionNextEl.textContent = `That was session ${round + 1} of ${campaign.rounds.length}. `
+                + `Your next session opens ${formatDateTime(nextRound.opensAt)}.`;
+        }
+        campaignOverviewLink.classList.remove('hidden');
+    } catch (error) {
+        // The round is recorded on this device; the participant still has their code.
+        console.error('Could not report campaign progress:', error);
+    }
+}
+
+
+// --- Playlist Cleanup ---
+
+/**
+ * Whether the page was opened to clean up playlists rather than to play a session.
+ * @returns {boolean} True if the URL has a `cleanup` parameter.
+ */
+function isCleanupMode() {
+    return new URLSearchParams(window.location.search).has('cleanup');
+}
+
+/**
+ * Lists session playlists that no session needs anymore and removes them once
+ * the user confirms.
+ */
+async function runPlaylistCleanup() {
+    if (!hasSession()) {
+        redirectToLogin();
+        return;
+    }
+    if (CONFIG.PLAYBACK_MODE !== 'playlist') {
+        // Without the playlist scopes, private playlists can neither be listed nor removed.
+        showView('cleanup');
+        cleanupSummaryEl.textContent = "Playlist cleanup needs PLAYBACK_MODE 'playlist', which requests the playlist scopes.";
+        return;
+    }
+    try {
+        state.user = await SpotifyAPI.getUserProfile();
+        const orphaned = await findOrphanedPlaylists(state.user.id);
+        showView('cleanup');
+
+        if (orphaned.length === 0) {
+            cleanupSummaryEl.textContent = 'No leftover session playlists found.';
+            return;
+        }
+        cleanupSummaryEl.textContent = `Found ${orphaned.length} leftover session playlist(s):`;
+        cleanupListEl.innerHTML = '';
+        orphaned.forEach(playlist => {
+            const item = document.createElement('li');
+            item.textContent = playlist.name;
+            cleanupListEl.appendChild(item);
+        });
+        cleanupBtn.classList.remove('hidden');
+
+        cleanupBtn.onclick = async () => {
+            cleanupBtn.disabled = true;
+            const { removed, failed } = await removePlaylists(orphaned, (done, total) => {
+                cleanupSummaryEl.textContent = `Removing playlists... ${done} of ${total}`;
+            });
+            cleanupSummaryEl.textContent = failed.length > 0
+                ? `Removed ${removed.length} playlist(s); ${failed.length} could not be removed. Reload to try again.`
+                : `Removed ${removed.length} playlist(s).`;
+            cleanupListEl.innerHTML = '';
+            cleanupBtn.classList.add('hidden');
+        };
+    } catch (error) {
+        console.error('Playlist cleanup failed:', error);
+        showError(`Could not clean up playlists: ${error.message}`);
+    }
+}
+
+// --- Application Entry Point ---
+
+/**
+ * Loads the player and leads on to device selection, where the session starts.
+ */
+function setUpPlayback() {
+    loadPlaybackSdk();
+
+    // The Spotify Web Playback SDK will be initialized via the `onSpotifyWebPlaybackSDKReady`
+    // global function, which acts as our entry point after the script loads.
+    // If the SDK fails to load (e.g. blocked by an extension), fall back to the
+    // device picker so that the participant can use another Spotify device.
+    setTimeout(() => {
+        if (!state.playerReady && !views.loading.classList.contains('hidden')) {
+            deviceFeedback.textContent = 'The web player did not start in this browser. '
+                + 'Open Spotify on your phone or computer, then refresh the list below.';
+            refreshDevices();
+        }
+    }, CONFIG.WEB_PLAYER_TIMEOUT_MS);
+}
+
+/**
+ * Initializes the application on page load.
+ */
+function main() {
+    // Start with the loading view. The SDK initialization will handle the next steps.
+    showView('loading');
+    // Participants may come straight to app.html from a study platform.
+    captureStudyContext();
+    if (isCleanupMode()) {
+        runPlaylistCleanup();
+        return;
+    }
+    checkDevicesBtn.addEventListener('click', refreshDevices);
+
+    // In a campaign, participants see their schedule first and set up the player
+    // once they start the due round.
+    const campaignName = getSelectedCampaignName();
+    if (campaignName) {
+        showCampaign(campaignName);
+        return;
+    }
+    setUpPlayback();
 }
 
 
 // Run the main function when the DOM is ready.
-document.addEventListener('DOMContentLoaded', main);
\ No newline at end of file
+document.addEventListener('DOMContentLoaded', main);
@@ -7,51 +7,21 @@
 // 2. Handling the callback from Spotify after the user approves.
 // 3. Exchanging the authorization code for an access token.
 // 4. Storing the token securely and redirecting to the main application.
+// Participant and study IDs from a study platform travel through the sign-in
+// in the OAuth `state` (see participant.js).
 // =================================================================================
 
 import { CONFIG } from './config.js';
+import { storeTokens } from './token-manager.js';
+import { generateCodeVerifier, generateCodeChallenge } from './pkce.js';
+import { captureStudyContext, encodeOAuthState, decodeOAuthState, saveStudyContext } from './participant.js';
 
 // --- DOM Elements ---
 const loginButton = document.getElementById('spotify-login');
 const errorContainer = document.getElementById('error-container');
 const authSection = document.getElementById('auth-section');
 const loadingSection = document.getElementById('loading-section');
-
-// --- PKCE Helper Functions ---
-
-/**
- * Generates a cryptographically random string for the PKCE code verifier.
- * @returns {string} A 128-character URL-safe string.
- */
-function generateCodeVerifier() {
-    const randomBytes = new Uint8Array(96); // 96 bytes = 128 base64 characters
-    window.crypto.getRandomValues(randomBytes);
-    return base64urlencode(randomBytes);
-}
-
-/**
- * Hashes the code verifier using SHA-256 to create the code challenge.
- * @param {string} verifier - The PKCE code verifier.
- * @returns {Promise<string>} The base64-URL-encoded SHA-256 hash of the verifier.
- */
-async function generateCodeChallenge(verifier) {
-    const encoder = new TextEncoder();
-    const data = encoder.encode(verifier);
-    const digest = await window.crypto.subtle.digest('SHA-256', data);
-    return base64urlencode(new Uint8Array(digest));
-}
-
-/**
- * Encodes an ArrayBuffer into a URL-safe base64 string.
- * @param {ArrayBuffer} buffer - The buffer to encode.
- * @returns {string} The URL-safe base64-encoded string.
- */
-function base64urlencode(buffer) {
-    return btoa(String.fromCharCode.apply(null, new Uint8Array(buffer)))
-        .replace(/\+/g, '-')
-        .replace(/\//g, '_')
-        .replace(/=/g, '');
-}
+const accessNote = document.getElementById('access-note');
 
 // --- UI Helper Functions ---
 
@@ -93,8 +63,9 @@ async function redirectToSpotify() {
     const codeChallenge = await generateCodeChallenge(codeVerifier);
     
     // 3. Construct the authorization URL
-    const authUrl = new URL('https://accounts.spotify.com/authorize');
-    const state = generateCodeVerifier(); // Use a random string for CSRF protection
+    const authUrl = new URL(`${CONFIG.SPOTIFY_ACCOUNTS_URL}/authorize`);
+    // A random string for CSRF protection, followed by the study context
+    const state = encodeOAuthState(generateCodeVerifier(), captureStudyContext());
     sessionStorage.setItem('oauth_state', state);
 
     authUrl.search = new URLSearchParams({
@@ -140,6 +111,10 @@ async function handleAuthCallback() {
         return;
     }
     sessionStorage.removeItem('oauth_state');
+    const { context } = decodeOAuthState(state);
+    if (context) {
+        saveStudyContext(context);
+    }
 
     // 2. Retrieve the code verifier.
     const codeVerifier = sessionStorage.getItem('code_verifier');
@@ -151,7 +126,7 @@ async function handleAuthCallback() {
 
     try {
         // 3. Exchange the authorization code for an access token.
-        const response = await fetch('https://accounts.spotify.com/api/token', {
+        const response = await fetch(`${CONFIG.SPOTIFY_ACCOUNTS_URL}/api/token`, {
             method: 'POST',
             headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
             body: new URLSearchParams({
@@ -168,14 +143,11 @@ async function handleAuthCallback() {
             throw new Error(errorData.error_description || 'Failed to get token');
         }
 
-        const { access_token, expires_in } = await response.json();
-        
-        // 4. Store the token and its expiration time.
-        // The token is stored in sessionStorage, so it will be cleared when the
+        // 4. Store the tokens and the access token's expiration time.
+        // The tokens are stored in sessionStorage, so they will be cleared when the
         // user closes the browser tab. This is a secure practice for SPAs.
-        const expiresAt = Date.now() + expires_in * 1000;
-        sessionStorage.setItem('access_token', access_token);
-        sessionStorage.setItem('expires_at', expiresAt);
+        // The refresh token lets the session outlive the one-hour access token.
+        storeTokens(await response.json());
         
         // 5. Clean up and redirect to the main application page.
         sessionStorage.removeItem('code_verifier');
@@ -196,8 +168,14 @@ function initialize() {
     if (new URLSearchParams(window.location.search).has('code')) {
         handleAuthCallback();
     } else {
-        // Otherwise, set up the login button.
+        // Otherwise, keep any study IDs from the URL and set up the login button.
+        captureStudyContext();
         loginButton.addEventListener('click', redirectToSpotify);
+        if (CONFIG.PLAYBACK_MODE !== 'playlist') {
+            // Without a session playlist, nothing is written to the participant's library.
+            accessNote.innerHTML = "You'll need Spotify Premium to play full tracks.<br>"
+                + 'We only access your basic profile and control playback; nothing is added to your library.';
+        }
         // Ensure the auth section is visible by default
         showLoading(false); 
     }
@@ -0,0 +1,69 @@
+// =================================================================================
+// CAMPAIGN STORE MODULE
+//
+// Keeps a participant's progress through a campaign (see campaigns.js) in
+// localStorage, so that it survives between visits on the same device. For
+// each completed round it records the session, when it was completed, its
+// completion code and the tracks it played. Progress is kept per Spotify user
+// and campaign; the completion webhook receives a copy after every round.
+// =================================================================================
+
+const STORAGE_KEY_PREFIX = 'rhythm_game_campaign_progress';
+
+// Bump when the progress format changes; older progress is then discarded.
+const PROGRESS_VERSION = 1;
+
+/**
+ * Builds the storage key for a participant's progress in a campaign.
+ * @param {string} userId - The Spotify user.
+ * @param {string} campaignName - The campaign.
+ * @returns {string} The localStorage key.
+ */
+function storageKey(userId, campaignName) {
+    return `${STORAGE_KEY_PREFIX}:${campaignName}:${userId}`;
+}
+
+/**
+ * Loads a participant's progress in a campaign.
+ * @param {string} userId - The Spotify user.
+ * @param {string} campaignName - The campaign.
+ * @returns {object} `{ version, userId, campaign, rounds }`, where `rounds` lists the completed
+ *   rounds as `{ round, sessionId, completedAt, code, trackIds }`. Empty if there is none yet.
+ */
+export function loadCampaignProgress(userId, campaignName) {
+    let progress;
+    try {
+        progress = JSON.parse(localStorage.getItem(storageKey(userId, campaignName)));
+    } catch (error) {
+        progress = null;
+    }
+    if (!progress || progress.version !== PROGRESS_VERSION) {
+        return { version: PROGRESS_VERSION, userId, campaign: campaignName, rounds: [] };
+    }
+    return progress;
+}
+
+/**
+ * Records a completed round. Completing a round again replaces the earlier result.
+ * @param {string} userId - The Spotify user.
+ * @param {string} campaignName - The campaign.
+ * @param {object} result
+ * @param {number} result.round - The index of the round.
+ * @param {string} result.sessionId - The session that completed it.
+ * @param {number} result.completedAt - When the session was completed.
+ * @param {string} result.code - The session's completion code.
+ * @param {string[]} result.trackIds - The tracks the session played.
+ * @returns {object} The updated progress, as `loadCampaignProgress` returns it.
+ */
+export function saveRoundResult(userId, campaignName, result) {
+    const progress = loadCampaignProgress(userId, campaignName);
+    progress.rounds = [...progress.rounds.filter(r => r.round !== result.round), result]
+        .sort((a, b) => a.round - b.round);
+    try {
+        localStorage.setItem(storageKey(userId, campaignName), JSON.stringify(progress));
+    } catch (error) {
+        // The webhook still receives the result, and the participant keeps their code.
+        console.warn('Could not save campaign progress:', error.message);
+    }
+    return progress;
+}
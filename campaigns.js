@@ -0,0 +1,233 @@
+// =================================================================================
+// CAMPAIGNS MODULE
+//
+// A campaign is a named series of sessions (rounds) that a participant
+// completes over several visits, e.g. one session a day for a week. Each round
+// plays a session profile (see session-profiles.js), and a round opens a set
+// time after the previous one was completed. Campaigns are defined in
+// `CONFIG.CAMPAIGNS` and, optionally, in a JSON file at `CONFIG.CAMPAIGNS_URL`,
+// whose entries take precedence:
+//
+//     {
+//       title: 'Evening listening',       // Shown on the landing screen (optional)
+//       spacingHours: [20, 48],           // [min, max] hours between rounds
+//       rounds: [
+//         { profile: 'short' },
+//         { profile: 'default' },
+//         { profile: 'extended', spacingHours: [44, 72] }, // Overrides the campaign's spacing
+//       ],
+//     }
+//
+// A round opens `min` hours after the previous round was completed. It stays
+// open after `max` hours, but is then reported as late.
+//
+// The campaign is chosen with the `campaign` URL parameter on app.html
+// (e.g. app.html?campaign=evening). Once the campaign has loaded, the choice
+// is remembered on the device, because participants come back on later days,
+// often through the sign-in page; `?campaign=off`, or a campaign that no
+// longer loads, forgets it. Without a campaign, every visit is a one-off
+// session, as before.
+//
+// Progress is stored by campaign-store.js; this module works out the schedule.
+// =================================================================================
+
+import { CONFIG } from './config.js';
+import { enqueueEvent } from './event-queue.js';
+
+const CAMPAIGN_STORAGE_KEY = 'rhythm_game_campaign';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Where a round stands for a participant.
+ */
+export const ROUND_STATUS = {
+    DONE: 'done',
+    DUE: 'due', // Can be played now
+    WAITING: 'waiting', // The next round, but it opens later
+    LOCKED: 'locked', // Opens once the rounds before it are done
+};
+
+/**
+ * Returns the campaign selected with the `campaign` URL parameter, or the one
+ * remembered from an earlier visit. A campaign from the URL is only remembered
+ * once it has loaded, see `rememberCampaign`.
+ * @returns {string | null} The campaign name, or null if this is a one-off session.
+ */
+export function getSelectedCampaignName() {
+    const param = new URLSearchParams(window.location.search).get('campaign');
+    if (param === 'off') {
+        forgetCampaign();
+        return null;
+    }
+    return param || localStorage.getItem(CAMPAIGN_STORAGE_KEY);
+}
+
+/**
+ * Remembers a campaign for later visits without the `campaign` URL parameter.
+ * @param {string} name - A campaign that has loaded.
+ */
+export function rememberCampaign(name) {
+    localStorage.setItem(CAMPAIGN_STORAGE_KEY, name);
+}
+
+/**
+ * Forgets the remembered campaign, so that later visits are one-off sessions.
+ * @param {string} [name] - Only forget the campaign if it is this one.
+ */
+export function forgetCampaign(name) {
+    if (name === undefined || localStorage.getItem(CAMPAIGN_STORAGE_KEY) === name) {
+        localStorage.removeItem(CAMPAIGN_STORAGE_KEY);
+    }
+}
+
+/**
+ * Fetches the campaigns defined in the JSON file at `CONFIG.CAMPAIGNS_URL`.
+ * @returns {Promise<object>} The campaigns keyed by name, or an empty object if no file is configured.
+ * @throws {Error} If the file is configured but cannot be loaded.
+ */
+async function fetchCampaignFile() {
+    if (!CONFIG.CAMPAIGNS_URL) {
+        return {};
+    }
+    const response = await fetch(CONFIG.CAMPAIGNS_URL);
+    if (!response.ok) {
+        throw new Error(`Failed to load campaigns from ${CONFIG.CAMPAIGNS_URL} (HTTP ${response.status}).`);
+    }
+    return response.json();
+}
+
+/**
+ * Checks that a spacing is a well-formed [min, max] pair of hours.
+ * @param {string} name - The campaign name, for the error message.
+ * @param {any} spacing - The value to check.
+ * @throws {Error} If the value is not two non-negative numbers in ascending order.
+ */
+function assertSpacing(name, spacing) {
+    // The max may be Infinity: a round that is never late.
+    const isValid = Array.isArray(spacing) && spacing.length === 2 &&
+        spacing.every(hours => typeof hours === 'number' && hours >= 0) && spacing[0] <= spacing[1];
+    if (!isValid) {
+        throw new Error(`Campaign "${name}" has an invalid spacingHours: expected [min, max] hours.`);
+    }
+}
+
+/**
+ * Checks that a campaign can be scheduled. Round profiles are checked when
+ * the round is played, by `loadSessionProfile`.
+ * @param {object} campaign - The campaign, including its `name`.
+ * @throws {Error} If the campaign has no rounds or a malformed round or spacing.
+ */
+export function validateCampaign(campaign) {
+    const { name } = campaign;
+    if (!Array.isArray(campaign.rounds) || campaign.rounds.length === 0) {
+        throw new Error(`Campaign "${name}" must have at least one round.`);
+    }
+    assertSpacing(name, campaign.spacingHours);
+    campaign.rounds.forEach((round, index) => {
+        if (typeof round.profile !== 'string' || !round.profile) {
+            throw new Error(`Round ${index + 1} of campaign "${name}" must name a session profile.`);
+        }
+        if (round.spacingHours !== undefined) assertSpacing(name, round.spacingHours);
+    });
+}
+
+/**
+ * Resolves a campaign by name.
+ * @param {string} name - The campaign to load.
+ * @returns {Promise<object>} The campaign, with its `name` and `title` and a default spacing of [0, Infinity].
+ * @throws {Error} If the campaign does not exist or is invalid.
+ */
+export async function loadCampaign(name) {
+    const campaigns = { ...CONFIG.CAMPAIGNS, ...await fetchCampaignFile() };
+    if (!Object.hasOwn(campaigns, name)) {
+        throw new Error(`Unknown campaign "${name}".`);
+    }
+
+    const campaign = { title: null, spacingHours: [0, Infinity], ...campaigns[name], name };
+    validateCampaign(campaign);
+
+    if (CONFIG.DEBUG_MODE) {
+        console.log('Campaign:', campaign);
+    }
+
+    return campaign;
+}
+
+/**
+ * Works out which rounds are done, which one is due and when the next one opens.
+ * @param {object} campaign - The campaign, from `loadCampaign`.
+ * @param {object} progress - The participant's progress, from campaign-store.js.
+ * @param {number} [now=Date.now()] - The current time.
+ * @returns {{rounds: object[], dueRound: object | null, nextRound: object | null, complete: boolean}}
+ *   Every round as `{ index, profile, status, opensAt, lateAt, completedAt, late }`, the
+ *   round that can be played now (if any), the first round not done yet and whether all
+ *   are done. `opensAt` and `lateAt` are null for the first round and for rounds whose
+ *   previous round is not done yet.
+ */
+export function getCampaignSchedule(campaign, progress, now = Date.now()) {
+    const completedAtByRound = new Map(progress.rounds.map(result => [result.round, result.completedAt]));
+    let previousCompletedAt = null;
+    let nextRound = null;
+
+    const rounds = campaign.rounds.map((round, index) => {
+        const completedAt = completedAtByRound.get(index) ?? null;
+        const [minHours, maxHours] = round.spacingHours || campaign.spacingHours;
+        const isScheduled = index > 0 && previousCompletedAt !== null;
+        const opensAt = isScheduled ? previousCompletedAt + minHours * HOUR_MS : null;
+        const lateAt = isScheduled ? previousCompletedAt + maxHours * HOUR_MS : null;
+
+        let status;
+        if (completedAt !== null) {
+            status = ROUND_STATUS.DONE;
+        } else if (nextRound) {
+            status = ROUND_STATUS.LOCKED;
+        } else {
+            status = opensAt === null || opensAt <= now ? ROUND_STATUS.DUE : ROUND_STATUS.WAITING;
+        }
+        previousCompletedAt = completedAt;
+
+        const late = lateAt !== null && (completedAt ?? now) > lateAt;
+        const entry = { index, profile: round.profile, status, opensAt, lateAt, completedAt, late };
+        if (status !== ROUND_STATUS.DONE && !nextRound) nextRound = entry;
+        return entry;
+    });
+
+    return {
+        rounds,
+        dueRound: nextRound?.status === ROUND_STATUS.DUE ? nextRound : null,
+        nextRound,
+        complete: nextRound === null,
+    };
+}
+
+/**
+ * Collects the tracks played in the rounds done so far, so that later rounds can avoid them.
+ * @param {object} progress - The participant's progress, from campaign-store.js.
+ * @returns {string[]} Spotify track IDs.
+ */
+export function getHeardTrackIds(progress) {
+    return [...new Set(progress.rounds.flatMap(result => result.trackIds))];
+}
+
+/**
+ * Sends the participant's campaign progress to the completion webhook, after a round is done.
+ * @param {object} campaign - The campaign, from `loadCampaign`.
+ * @param {object} progress - The updated progress, from campaign-store.js.
+ * @param {number} round - The index of the round that was just completed.
+ * @param {object} participant - The participant, from `getParticipant`.
+ */
+export function reportCampaignProgress(campaign, progress, round, participant) {
+    const { rounds, nextRound, complete } = getCampaignSchedule(campaign, progress);
+    enqueueEvent(CONFIG.N8N_COMPLETED_URL, {
+        event: 'campaign_progress',
+        participant,
+        campaign: campaign.name,
+        round,
+        roundCount: campaign.rounds.length,
+        late: rounds[round].late,
+        completedRounds: progress.rounds.map(({ trackIds, ...result }) => result),
+        nextRoundOpensAt: nextRound?.opensAt ?? null,
+        complete,
+    });
+}
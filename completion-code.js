@@ -0,0 +1,173 @@
+// =================================================================================
+// COMPLETION CODE MODULE
+//
+// Creates and verifies the code a participant receives at the end of a session.
+// A code looks like `G6M8KR9M-1M59RFHAD-3-6N90X9Q3` and is made of four groups:
+// 1. The session ID (8 Crockford base32 characters, random per session).
+// 2. The completion timestamp (milliseconds since the epoch).
+// 3. The session result as a bitmask of `RESULT_FLAGS`.
+// 4. A signature over the first three groups: an HMAC-SHA-256 when a secret is
+//    configured, otherwise a plain SHA-256 checksum, truncated to 40 bits.
+// All groups use Crockford base32, so codes survive being read aloud or retyped.
+//
+// The module only relies on the Web Crypto API, so it runs both in the browser
+// and in Node (18+), where verify-completion-code.js uses it.
+// =================================================================================
+
+const CODE_VERSION = 'rg-completion-v1';
+
+// Crockford's base32 alphabet omits I, L, O and U to avoid transcription errors.
+const BASE32_ALPHABET = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+
+// The latest time a JavaScript Date can hold, in milliseconds since the epoch.
+const MAX_DATE_MS = 8.64e15;
+
+/**
+ * Bits of the result group. A code's result is the sum of the flags that applied.
+ */
+export const RESULT_FLAGS = {
+    ALL_TRACK_GOALS_MET: 1,
+    DURATION_MET: 2,
+    INTEGRITY_FLAGGED: 4, // Seeks, muting or rate anomalies were detected during listening
+    TAP_ACCURACY_MET: 8, // Every track with a tap challenge was tapped to its minimum accuracy
+};
+
+/**
+ * Encodes bytes as Crockford base32, five bits per character.
+ * @param {Uint8Array} bytes - The bytes to encode. Should be a multiple of 5 bytes long.
+ * @returns {string} The encoded string.
+ */
+function encodeBase32(bytes) {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+    for (const byte of bytes) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+    return output;
+}
+
+/**
+ * Writes a non-negative integer in Crockford base32.
+ * @param {number} number - The integer to encode (up to 2^53).
+ * @returns {string} The encoded number.
+ */
+function encodeNumber(number) {
+    let output = '';
+    let remaining = number;
+    do {
+        output = BASE32_ALPHABET[remaining % 32] + output;
+        remaining = Math.floor(remaining / 32);
+    } while (remaining > 0);
+    return output;
+}
+
+/**
+ * Reads a non-negative integer written in Crockford base32.
+ * @param {string} text - The encoded number.
+ * @returns {number} The decoded integer, or NaN if the text is not valid base32.
+ */
+function decodeNumber(text) {
+    let number = 0;
+    for (const char of text) {
+        const digit = BASE32_ALPHABET.indexOf(char);
+        if (digit === -1) return NaN;
+        number = number * 32 + digit;
+    }
+    return text.length ? number : NaN;
+}
+
+/**
+ * Normalizes a code typed in by a person: uppercase, no surrounding spaces,
+ * and the characters Crockford base32 treats as aliases (O → 0, I/L → 1).
+ * @param {string} code - The raw code.
+ * @returns {string} The normalized code.
+ */
+function normalizeCode(code) {
+    return code.trim().toUpperCase().replace(/O/g, '0').replace(/[IL]/g, '1');
+}
+
+/**
+ * Computes the signature group for a code body.
+ * @param {string} body - The first three groups of the code, joined by hyphens.
+ * @param {string | null} secret - The HMAC secret, or null for an unkeyed checksum.
+ * @returns {Promise<string>} The 8-character signature.
+ */
+async function sign(body, secret) {
+    const encoder = new TextEncoder();
+    const data = encoder.encode(`${CODE_VERSION}:${body}`);
+    let digest;
+    if (secret) {
+        const key = await crypto.subtle.importKey(
+            'raw', encoder.encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']
+        );
+        digest = await crypto.subtle.sign('HMAC', key, data);
+    } else {
+        digest = await crypto.subtle.digest('SHA-256', data);
+    }
+    return encodeBase32(new Uint8Array(digest).slice(0, 5));
+}
+
+/**
+ * Generates a random session ID.
+ * @returns {string} 8 Crockford base32 characters (40 random bits).
+ */
+export function generateSessionId() {
+    return encodeBase32(crypto.getRandomValues(new Uint8Array(5)));
+}
+
+/**
+ * Creates the completion code for a finished session.
+ * @param {object} result
+ * @param {string} result.sessionId - The session ID from `generateSessionId`.
+ * @param {number} result.completedAt - Completion time in milliseconds since the epoch.
+ * @param {number} result.resultFlags - Bitmask of `RESULT_FLAGS`.
+ * @param {string | null} [secret=null] - The HMAC secret. Without one, the code
+ *   only carries a checksum, which catches typos but not forgery.
+ * @returns {Promise<string>} The completion code.
+ */
+export async function createCompletionCode({ sessionId, completedAt, resultFlags }, secret = null) {
+    const body = [sessionId, encodeNumber(completedAt), encodeNumber(resultFlags)].join('-');
+    return `${body}-${await sign(body, secret)}`;
+}
+
+/**
+ * Checks a completion code and decodes the session it belongs to.
+ * @param {string} code - The code as reported by the participant.
+ * @param {string | null} [secret=null] - The secret the code was created with.
+ * @returns {Promise<object>} `{ valid, sessionId, completedAt, resultFlags, result }` for a
+ *   well-formed code, where `completedAt` is an ISO date and `result` lists the flags that
+ *   are set; `{ valid: false, reason }` if the code cannot be parsed.
+ */
+export async function verifyCompletionCode(code, secret = null) {
+    const groups = normalizeCode(code).split('-');
+    if (groups.length !== 4) {
+        return { valid: false, reason: 'A completion code has four groups separated by hyphens.' };
+    }
+
+    const [sessionId, timestamp, flags, signature] = groups;
+    const completedAt = decodeNumber(timestamp);
+    const resultFlags = decodeNumber(flags);
+    if (!/^[0-9A-HJKMNP-TV-Z]{8}$/.test(sessionId) || Number.isNaN(completedAt) || Number.isNaN(resultFlags)) {
+        return { valid: false, reason: 'The code is malformed.' };
+    }
+    if (completedAt > MAX_DATE_MS) {
+        return { valid: false, reason: 'The completion timestamp is out of range.' };
+    }
+
+    const expected = await sign([sessionId, timestamp, flags].join('-'), secret);
+    const result = Object.keys(RESULT_FLAGS).filter(name => resultFlags & RESULT_FLAGS[name]);
+
+    return {
+        valid: signature === expected,
+        sessionId,
+        completedAt: new Date(completedAt).toISOString(),
+        resultFlags,
+        result,
+    };
+}
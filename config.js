@@ -27,34 +27,210 @@ const getBaseUrl = () => {
 
 const APP_BASE_URL = getBaseUrl();
 
+// Mock mode: open any page with `?mock=<URL of mock/server.js>`, e.g. `?mock=http://localhost:8888`,
+// to run against the offline mock backend instead of Spotify. The choice is remembered for
+// the tab, because the sign-in redirects drop query parameters; `?mock=off` turns it off.
+// The mock backend receives the sign-in code and tokens, so mock mode is only honoured when
+// the app itself runs on localhost (or in a dev build with `MOCK_ON_ANY_HOST`), and only for
+// a mock backend on localhost.
+const MOCK_STORAGE_KEY = 'spotify_mock_url';
+const MOCK_ON_ANY_HOST = false; // Dev builds only: allow mock mode when the app is not served locally
+const MOCK_HOSTS = ['localhost', '127.0.0.1'];
+
+/**
+ * Checks that a mock backend URL points to this machine.
+ * @param {string} url - The mock backend URL.
+ * @returns {boolean} True for an http(s) URL on localhost or 127.0.0.1.
+ */
+const isAllowedMockUrl = (url) => {
+    try {
+        const { protocol, hostname } = new URL(url);
+        return ['http:', 'https:'].includes(protocol) && MOCK_HOSTS.includes(hostname);
+    } catch (error) {
+        return false;
+    }
+};
+
+const getMockUrl = () => {
+    if (!isLocal && !MOCK_ON_ANY_HOST) {
+        sessionStorage.removeItem(MOCK_STORAGE_KEY);
+        return null;
+    }
+    const param = new URLSearchParams(window.location.search).get('mock');
+    if (param === 'off') {
+        sessionStorage.removeItem(MOCK_STORAGE_KEY);
+    } else if (param && isAllowedMockUrl(param)) {
+        sessionStorage.setItem(MOCK_STORAGE_KEY, param.replace(/\/+$/, ''));
+    } else if (param) {
+        console.warn(`Ignoring mock backend ${param}: it must run on localhost.`);
+    }
+    const stored = sessionStorage.getItem(MOCK_STORAGE_KEY);
+    return stored && isAllowedMockUrl(stored) ? stored : null;
+};
+
+const MOCK_SPOTIFY_URL = getMockUrl();
+
+/**
+ * Works out the smallest set of Spotify scopes the configuration needs.
+ * Track sources of profiles loaded from `SESSION_PROFILES_URL` are not known
+ * at sign-in; profiles there that use 'saved-tracks' must also be listed in
+ * `SESSION_PROFILES` or `TRACK_SOURCES` for the scope to be requested.
+ * @param {object} config - The configuration object below.
+ * @returns {string} Space-separated scopes, as the authorize endpoint expects.
+ */
+function getRequiredScopes(config) {
+  const scopes = [
+    'streaming', // The Web Playback SDK needs these three
+    'user-read-email',
+    'user-read-private',
+    'user-modify-playback-state',
+    'user-read-playback-state',
+  ];
+  if (config.PLAYBACK_MODE === 'playlist') {
+    scopes.push(
+      'playlist-modify-private',
+      'playlist-modify-public',
+      'playlist-read-private', // To find leftover private session playlists
+    );
+  }
+  const sources = [
+    ...config.TRACK_SOURCES,
+    ...Object.values(config.SESSION_PROFILES).flatMap(profile => profile.trackSources || []),
+  ];
+  if (sources.some(source => source.type === 'saved-tracks')) {
+    scopes.push('user-library-read');
+  }
+  return scopes.join(' ');
+}
+
 /**
  * @type {Object}
  * @property {string} CLIENT_ID - The Client ID from your Spotify Developer Dashboard.
  * @property {string} REDIRECT_URI - The URI to redirect to after Spotify authentication. Must be whitelisted.
  * @property {string} APP_URL - The URL of the main application page.
- * @property {string[]} SCOPES - The Spotify API scopes required for the application to function.
+ * @property {string} SPOTIFY_ACCOUNTS_URL - Base URL of the accounts service (authorize and token endpoints).
+ * @property {string} SPOTIFY_API_BASE_URL - Base URL of the Web API.
+ * @property {string | null} MOCK_SPOTIFY_URL - The mock backend in use, if mock mode is on. Both URLs
+ *   above then point to it, and a fake Web Playback SDK is loaded (see mock/server.js).
+ * @property {string} SCOPES - The Spotify API scopes requested at sign-in. Derived from `PLAYBACK_MODE`
+ *   and the track sources, so that participants are only asked for what the configuration needs.
+ * @property {string} PLAYBACK_MODE - How session tracks are played: 'playlist' puts them into a private
+ *   playlist (see session-playlists.js); 'uris' plays them as a list of track URIs, which needs no
+ *   playlist scopes and leaves the participant's library untouched.
  * @property {string | null} N8N_TELEMETRY_URL - Optional webhook URL for sending telemetry data.
  * @property {string | null} N8N_COMPLETED_URL - Optional webhook URL for sending completion data.
+ * @property {object[]} TRACK_SOURCES - Where candidate tracks come from. Each entry has a provider `type`
+ *   (see track-sources.js), a relative `weight` and provider-specific `options`.
+ * @property {Object<string, object>} SESSION_PROFILES - Named session rules. Each profile overrides
+ *   any of the defaults in session-profiles.js (track count, duration and goal ranges, filters, sources, seed).
+ * @property {string} DEFAULT_SESSION_PROFILE - The profile used when app.html has no `profile` URL parameter.
+ * @property {string | null} SESSION_PROFILES_URL - Optional URL of a JSON file with more profiles, keyed by name.
+ * @property {Object<string, object>} CAMPAIGNS - Named multi-round studies, chosen with the `campaign` URL
+ *   parameter on app.html. Each lists its rounds (a session profile each) and the spacing between them,
+ *   see campaigns.js.
+ * @property {string | null} CAMPAIGNS_URL - Optional URL of a JSON file with more campaigns, keyed by name.
+ * @property {object | null} QUESTIONNAIRE - Optional consent page, pre- and post-session questions and per-track
+ *   rating questions, see questionnaire.js. Without one, sessions start and end without questions.
+ * @property {string | null} QUESTIONNAIRE_URL - Optional URL of a JSON file with the questionnaire, which
+ *   replaces `QUESTIONNAIRE`.
+ * @property {string | null} COMPLETION_CODE_SECRET - Optional HMAC secret for signing completion codes.
+ *   Verify codes with `node verify-completion-code.js <code> --secret <secret>`. Note that this file is
+ *   served to the browser, so the secret deters casual forging rather than a determined participant.
+ *   Without a secret, codes carry a checksum that only catches typos.
+ * @property {string[]} PARTICIPANT_ID_PARAMS - URL parameters on index.html or app.html that carry a study
+ *   platform's participant ID, in order of preference (see participant.js).
+ * @property {string[]} STUDY_ID_PARAMS - URL parameters that carry the study platform's study ID.
+ * @property {string | null} PARTICIPANT_KEY_SECRET - Optional HMAC secret for the pseudonymous participant key
+ *   that telemetry and webhooks carry instead of the Spotify user ID. Note that this file is served to the
+ *   browser, so with or without the secret, anyone who knows a Spotify user ID can recompute its key.
+ *   To protect the link to Spotify accounts, re-key participants server-side (see participant.js).
+ * @property {string | null} STUDY_RETURN_URL - Optional URL to send participants back to their study platform
+ *   once the session is finished. `{code}`, `{participantId}`, `{studyId}` and `{sessionId}` are filled in.
+ * @property {number} TELEMETRY_BATCH_SIZE - Send in-session telemetry once this many events are buffered.
+ * @property {number} TELEMETRY_FLUSH_INTERVAL_MS - Send buffered telemetry at least this often.
+ * @property {number} WEB_PLAYER_TIMEOUT_MS - How long to wait for the in-browser player before offering other devices.
+ * @property {number} REMOTE_PLAYBACK_POLL_INTERVAL_MS - How often playback on other devices is read from the Web API.
+ * @property {number} SESSION_RESUME_MAX_AGE_HOURS - How long an interrupted session can still be resumed.
+ * @property {boolean} REUSE_SESSION_PLAYLIST - Refill one playlist for every session instead of creating
+ *   a new one each time. Otherwise each session's playlist is removed when the session ends.
+ * @property {string} PLAY_ORDER_POLICY - What happens when tracks are played out of order (see play-order.js):
+ *   'auto-return' sends playback back to the expected track, 'warn' tells the participant, and
+ *   'record' only records the violation. Violations are reported with the session either way.
  * @property {boolean} DEBUG_MODE - Enables or disables additional logging for development.
+ * @property {number} API_MAX_CONCURRENT_REQUESTS - Maximum number of Spotify API requests in flight at once.
+ * @property {number} API_MAX_RETRIES - How many times a rate-limited (429), 5xx or network failure is retried.
+ * @property {number} API_BACKOFF_BASE_MS - Base delay for exponential backoff when Spotify sends no Retry-After.
+ * @property {number} API_BACKOFF_MAX_MS - Upper bound for a single backoff delay.
  */
 const CONFIG = {
   CLIENT_ID: '314f6b8f332041dcb5f678b85acf36ea', // Replace with your app's Client ID
   REDIRECT_URI: `${APP_BASE_URL}/index.html`,
   APP_URL: `${APP_BASE_URL}/app.html`,
-  SCOPES: [
-    'user-read-email',
-    'user-read-private',
-    'user-modify-playback-state',
-    'user-read-playback-state',
-    'streaming', // Required for Web Playback SDK
-    'playlist-modify-private',
-    'playlist-modify-public',
-  ].join(' '),
+  SPOTIFY_ACCOUNTS_URL: MOCK_SPOTIFY_URL || 'https://accounts.spotify.com',
+  SPOTIFY_API_BASE_URL: MOCK_SPOTIFY_URL ? `${MOCK_SPOTIFY_URL}/v1` : 'https://api.spotify.com/v1',
+  MOCK_SPOTIFY_URL,
+  SCOPES: '', // Derived below, see getRequiredScopes
+  PLAYBACK_MODE: 'playlist',
   N8N_TELEMETRY_URL: null, // Optional: Replace with your N8N telemetry endpoint
   N8N_COMPLETED_URL: null, // Optional: Replace with your N8N completion endpoint
+  TELEMETRY_BATCH_SIZE: 20,
+  TELEMETRY_FLUSH_INTERVAL_MS: 15000,
+  TRACK_SOURCES: [
+    { type: 'new-releases', weight: 1 },
+    { type: 'featured-playlists', weight: 1 },
+    // Other providers: 'album' ({ albumIds }), 'playlist' ({ playlistId }),
+    // 'search' ({ genre, query }), 'saved-tracks', 'recommendations' ({ genres, artists, tracks }).
+    // e.g. { type: 'search', weight: 2, options: { genre: 'ambient' } },
+  ],
+  SESSION_PROFILES: {
+    default: {},
+    short: {
+      trackCount: 2,
+      durationRange: [120, 240],
+      completionGoalRange: [40, 60],
+    },
+    extended: {
+      trackCount: 5,
+      durationRange: [900, 1200],
+      completionGoalRange: [70, 90],
+      audioFeatureFilters: { instrumentalness: { min: 0.7 }, energy: { max: 0.6 } },
+    },
+    game: {
+      trackCount: 2,
+      tapChallenge: true, // Tap along to the beat; see tap-challenge.js
+    },
+    tempo: {
+      trackCount: 2,
+      tapTempo: true, // Tap along to find each track's tempo; see tap-tempo.js
+    },
+  },
+  DEFAULT_SESSION_PROFILE: 'default',
+  SESSION_PROFILES_URL: null, // Optional: e.g. 'session-profiles.json'
+  CAMPAIGNS: {
+    // e.g. 'three-evenings': { spacingHours: [20, 48], rounds: [{ profile: 'short' }, { profile: 'default' }, { profile: 'default' }] },
+  },
+  CAMPAIGNS_URL: null, // Optional: e.g. 'campaigns.json'
+  QUESTIONNAIRE: null, // Optional: e.g. { consent: { id: 'consent-v1', text: '...' }, pre: [], post: [], trackRating: null }
+  QUESTIONNAIRE_URL: null, // Optional: e.g. 'questionnaire.json'
+  COMPLETION_CODE_SECRET: null, // Optional: Replace with a random string shared with the verifier
+  PARTICIPANT_ID_PARAMS: ['participant', 'PROLIFIC_PID'],
+  STUDY_ID_PARAMS: ['study', 'STUDY_ID'],
+  PARTICIPANT_KEY_SECRET: null, // Optional: Replace with a random string
+  STUDY_RETURN_URL: null, // Optional: e.g. 'https://app.prolific.com/submissions/complete?cc={code}'
+  WEB_PLAYER_TIMEOUT_MS: 15000,
+  REMOTE_PLAYBACK_POLL_INTERVAL_MS: 2000,
+  SESSION_RESUME_MAX_AGE_HOURS: 24,
+  REUSE_SESSION_PLAYLIST: false,
+  PLAY_ORDER_POLICY: 'auto-return',
   DEBUG_MODE: isLocal,
+  API_MAX_CONCURRENT_REQUESTS: 6,
+  API_MAX_RETRIES: 4,
+  API_BACKOFF_BASE_MS: 500,
+  API_BACKOFF_MAX_MS: 30000,
 };
 
+CONFIG.SCOPES = getRequiredScopes(CONFIG);
+
 // Log the configuration in debug mode for easier troubleshooting.
 if (CONFIG.DEBUG_MODE) {
   console.log('Application running in debug mode.');
@@ -0,0 +1,54 @@
+// =================================================================================
+// EVENT EMITTER MODULE
+//
+// A minimal publish/subscribe channel. The session engine announces what
+// happens during a session through one, so that any number of UIs (the main
+// page, a kiosk view, an embedded widget) can follow the same session.
+// A listener that throws is logged and does not stop the others.
+// =================================================================================
+
+/**
+ * Creates an event emitter.
+ * @returns {object} The emitter, with `on`, `off` and `emit`.
+ */
+export function createEventEmitter() {
+    const listeners = new Map(); // Event name -> Set of listeners
+
+    /**
+     * Stops calling a listener.
+     * @param {string} event - The event name.
+     * @param {function(any): void} listener - The listener passed to `on`.
+     */
+    function off(event, listener) {
+        listeners.get(event)?.delete(listener);
+    }
+
+    /**
+     * Calls a listener whenever an event is emitted.
+     * @param {string} event - The event name.
+     * @param {function(any): void} listener - Called with the event's payload.
+     * @returns {function(): void} Removes the listener again.
+     */
+    function on(event, listener) {
+        if (!listeners.has(event)) listeners.set(event, new Set());
+        listeners.get(event).add(listener);
+        return () => off(event, listener);
+    }
+
+    /**
+     * Calls every listener of an event, in the order they were added.
+     * @param {string} event - The event name.
+     * @param {any} [payload] - Passed to each listener.
+     */
+    function emit(event, payload) {
+        for (const listener of [...(listeners.get(event) || [])]) {
+            try {
+                listener(payload);
+            } catch (error) {
+                console.error(`A "${event}" listener failed:`, error);
+            }
+        }
+    }
+
+    return { on, off, emit };
+}
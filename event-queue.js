@@ -0,0 +1,252 @@
+// =================================================================================
+// EVENT QUEUE MODULE
+//
+// Delivers webhook events (telemetry, session completion) at least once.
+// Every event is written to an IndexedDB outbox before it is sent, and only
+// removed once the endpoint has acknowledged it with a 2xx response:
+// - Failed deliveries are retried with exponential backoff.
+// - The outbox is flushed on page load and whenever the browser comes back online.
+// - On page unload, pending events are handed to `navigator.sendBeacon`, and stay
+//   in the outbox until a later flush confirms them.
+// Each event carries an idempotency key (as `eventId` in the body and as the
+// `Idempotency-Key` header), so the receiver can discard duplicate deliveries.
+// =================================================================================
+
+import { CONFIG } from './config.js';
+
+const DB_NAME = 'rhythm-game';
+const DB_VERSION = 1;
+const STORE_NAME = 'outbox';
+
+const RETRY_BASE_MS = 2000;
+const RETRY_MAX_MS = 5 * 60 * 1000;
+
+// A copy of the undelivered entries, kept in step with the outbox. IndexedDB is
+// asynchronous, but `pagehide` handlers must act synchronously, so beacons are
+// sent from this copy. It also stands in for IndexedDB when that is unavailable
+// (e.g. some private browsing modes); events then survive retries and
+// reconnects, but not a page reload.
+const memoryOutbox = new Map();
+
+let dbPromise = null;
+let flushPromise = null;
+let flushRequested = false;
+let retryTimer = null;
+
+// --- Storage ---
+
+/**
+ * Wraps an IndexedDB request in a promise.
+ * @param {IDBRequest} request - The request to wait for.
+ * @returns {Promise<any>} The request's result.
+ */
+function promisifyRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Opens the outbox database, creating the object store on first use.
+ * @returns {Promise<IDBDatabase | null>} The database, or null if IndexedDB is unavailable.
+ */
+function openDatabase() {
+    if (!dbPromise) {
+        if (!window.indexedDB) {
+            dbPromise = Promise.resolve(null);
+        } else {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(STORE_NAME, { keyPath: 'id' });
+            };
+            dbPromise = promisifyRequest(request).catch(error => {
+                console.warn('IndexedDB unavailable, telemetry will be buffered in memory only:', error);
+                return null;
+            });
+        }
+    }
+    return dbPromise;
+}
+
+/**
+ * Runs an operation against the outbox store, if IndexedDB is available.
+ * @param {IDBTransactionMode} mode - 'readonly' or 'readwrite'.
+ * @param {function(IDBObjectStore): IDBRequest} operation - The operation on the store.
+ * @returns {Promise<any>} The operation's result, or undefined without IndexedDB.
+ */
+async function withStore(mode, operation) {
+    const db = await openDatabase();
+    if (!db) return undefined;
+    const store = db.transaction(STORE_NAME, mode).objectStore(STORE_NAME);
+    return promisifyRequest(operation(store));
+}
+
+/**
+ * Adds or updates an outbox entry.
+ * @param {object} entry - The entry, keyed by its `id`.
+ */
+async function putEntry(entry) {
+    memoryOutbox.set(entry.id, entry);
+    await withStore('readwrite', store => store.put(entry));
+}
+
+/**
+ * Removes a delivered entry from the outbox.
+ * @param {string} id - The entry's idempotency key.
+ */
+async function deleteEntry(id) {
+    memoryOutbox.delete(id);
+    await withStore('readwrite', store => store.delete(id));
+}
+
+/**
+ * Reads every undelivered entry, including those left over from earlier page loads.
+ * @returns {Promise<object[]>} The outbox entries.
+ */
+async function getAllEntries() {
+    try {
+        const stored = await withStore('readonly', store => store.getAll());
+        stored?.forEach(entry => memoryOutbox.set(entry.id, entry));
+    } catch (error) {
+        console.warn('Could not read the outbox, sending the events buffered in memory:', error);
+    }
+    return [...memoryOutbox.values()];
+}
+
+// --- Delivery ---
+
+/**
+ * Sends one outbox entry to its webhook.
+ * @param {object} entry - The outbox entry.
+ * @returns {Promise<boolean>} True if the endpoint acknowledged the event.
+ */
+async function deliver(entry) {
+    try {
+        const response = await fetch(entry.url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Idempotency-Key': entry.id,
+            },
+            body: JSON.stringify(entry.payload),
+        });
+        return response.ok;
+    } catch (error) {
+        return false; // Offline or blocked; retry later
+    }
+}
+
+/**
+ * Schedules the next flush for when the earliest pending retry is due.
+ * @param {object[]} entries - The entries still in the outbox.
+ */
+function scheduleRetry(entries) {
+    clearTimeout(retryTimer);
+    if (entries.length === 0) return;
+    const nextAttemptAt = Math.min(...entries.map(entry => entry.nextAttemptAt));
+    retryTimer = setTimeout(() => flushQueue(), Math.max(nextAttemptAt - Date.now(), 0));
+}
+
+/**
+ * Sends every due event in the outbox. Delivered events are removed; failed
+ * ones are rescheduled with exponential backoff. A call made while a flush is
+ * running triggers one more flush afterwards, so newly queued events are not
+ * left waiting for the next retry.
+ * @param {boolean} [ignoreBackoff=false] - Send every event now, even if its retry is not yet due.
+ * @returns {Promise<void>}
+ */
+export function flushQueue(ignoreBackoff = false) {
+    if (flushPromise) {
+        flushRequested = true;
+        return flushPromise;
+    }
+    flushPromise = (async () => {
+        const entries = await getAllEntries();
+        const pending = [];
+        for (const entry of entries.sort((a, b) => a.createdAt - b.createdAt)) {
+            if (!ignoreBackoff && entry.nextAttemptAt > Date.now()) {
+                pending.push(entry);
+            } else if (await deliver(entry)) {
+                await deleteEntry(entry.id);
+            } else {
+                entry.attempts++;
+                entry.nextAttemptAt = Date.now() + Math.min(RETRY_MAX_MS, RETRY_BASE_MS * 2 ** entry.attempts);
+                await putEntry(entry);
+                pending.push(entry);
+            }
+        }
+        scheduleRetry(pending);
+    })()
+        .catch(error => console.error('Telemetry flush failed:', error))
+        .finally(() => {
+            flushPromise = null;
+            if (flushRequested) {
+                flushRequested = false;
+                flushQueue();
+            }
+        });
+    return flushPromise;
+}
+
+/**
+ * Queues an event for delivery to a webhook and starts sending it. Never
+ * rejects: callers fire and forget. If the outbox cannot be written (e.g. the
+ * storage quota is exhausted), the event is kept in memory and sent right away.
+ * @param {string | null} url - The webhook URL. Nothing is queued if it is not configured.
+ * @param {object} payload - The JSON payload. An `eventId` idempotency key is added to it.
+ * @returns {Promise<string | null>} The event's idempotency key, or null if no URL is configured.
+ */
+export async function enqueueEvent(url, payload) {
+    if (!url) return null; // Don't send if URL is not configured
+    const id = crypto.randomUUID();
+    const entry = {
+        id,
+        url,
+        payload: { ...payload, eventId: id },
+        createdAt: Date.now(),
+        attempts: 0,
+        nextAttemptAt: 0,
+    };
+    try {
+        await putEntry(entry);
+    } catch (error) {
+        // `putEntry` has already buffered the entry in memory, where retries and the
+        // unload beacon still find it; it just does not survive a reload.
+        console.warn(`Could not store ${payload.event} event ${id} in the outbox, sending it directly:`, error);
+        if (await deliver(entry)) {
+            memoryOutbox.delete(id);
+        } else {
+            entry.attempts++;
+            entry.nextAttemptAt = Date.now() + RETRY_BASE_MS * 2;
+            scheduleRetry([...memoryOutbox.values()]);
+        }
+        return id;
+    }
+    if (CONFIG.DEBUG_MODE) {
+        console.log(`Queued ${payload.event} event ${id}.`);
+    }
+    flushQueue();
+    return id;
+}
+
+/**
+ * Hands all pending events to the browser's beacon queue as the page unloads.
+ * Beacons cannot report delivery, so the events stay in the outbox and are
+ * sent again (and deduplicated by the receiver) on the next flush.
+ */
+function beaconPendingEvents() {
+    if (!navigator.sendBeacon) return;
+    memoryOutbox.forEach(entry => {
+        // text/plain keeps the beacon a CORS "simple" request, which sendBeacon needs cross-origin.
+        const body = new Blob([JSON.stringify(entry.payload)], { type: 'text/plain;charset=UTF-8' });
+        navigator.sendBeacon(entry.url, body);
+    });
+}
+
+// --- Lifecycle ---
+// Deliver anything left over from earlier page loads, retry as soon as the
+// network returns, and beacon what is still pending when the page goes away.
+window.addEventListener('online', () => flushQueue(true));
+window.addEventListener('pagehide', beaconPendingEvents);
+flushQueue();
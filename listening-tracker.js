@@ -0,0 +1,187 @@
+// =================================================================================
+// LISTENING TRACKER MODULE
+//
+// Measures how long each track has actually been played, instead of trusting
+// the playback position. The tracker is fed observations of the player state
+// (from the SDK's `player_state_changed` events and from periodic polling) and
+// credits a track only with wall-clock time during which playback advanced
+// normally. Anything that breaks that pattern is recorded as an integrity flag:
+// - seeks (the position jumped relative to the time that passed),
+// - pauses,
+// - muting (volume 0; muted time is not credited),
+// - rate anomalies (the position advanced noticeably faster or slower than time),
+// - the tab being sent to the background.
+// =================================================================================
+
+/**
+ * The kinds of integrity flag the tracker records.
+ */
+export const INTEGRITY_FLAGS = {
+    SEEK: 'seek',
+    PAUSE: 'pause',
+    MUTED: 'muted',
+    RATE_ANOMALY: 'rate_anomaly',
+    BACKGROUNDED: 'backgrounded',
+};
+
+// Flags that suggest the goal may have been met without really listening.
+// Pauses and backgrounding are recorded for context but are not suspicious on their own.
+const SUSPICIOUS_FLAGS = new Set([INTEGRITY_FLAGS.SEEK, INTEGRITY_FLAGS.MUTED, INTEGRITY_FLAGS.RATE_ANOMALY]);
+
+// A position change that differs from the elapsed time by more than this is a seek.
+const SEEK_TOLERANCE_MS = 1500;
+
+// Playback rate is judged over windows of at least this much playing time,
+// so that polling jitter does not register as an anomaly.
+const RATE_WINDOW_MS = 10000;
+
+// The accepted range of position advance per unit of wall-clock time.
+const RATE_BOUNDS = [0.9, 1.1];
+
+/**
+ * Checks whether any of the recorded flags call the session's listening into question.
+ * @param {object[]} flags - Integrity flags, as recorded by a listening tracker.
+ * @returns {boolean} True if at least one flag is a seek, mute or rate anomaly.
+ */
+export function hasIntegrityConcerns(flags) {
+    return flags.some(flag => SUSPICIOUS_FLAGS.has(flag.type));
+}
+
+/**
+ * Creates a tracker that accumulates verified listening time per track.
+ *
+ * @param {object} [options={}]
+ * @param {function(object): void} [options.onFlag] - Called with each new integrity flag.
+ * @param {Object<string, number>} [options.initialListenedMs={}] - Listening time already
+ *   verified per track ID, e.g. when resuming a saved session.
+ * @returns {object} The tracker, with `observe`, `setMuted`, `setBackgrounded`,
+ *   `getListenedMs` and `getFlags`.
+ */
+export function createListeningTracker({ onFlag = () => {}, initialListenedMs = {} } = {}) {
+    const listenedMs = new Map(Object.entries(initialListenedMs));
+    const flags = [];
+    let last = null; // The previous observation: { trackId, position, paused, at }
+    let muted = false;
+    let rateWindow = { wallMs: 0, positionMs: 0 };
+
+    /**
+     * Records an integrity flag and notifies the listener.
+     * @param {string} type - One of `INTEGRITY_FLAGS`.
+     * @param {number} now - The time of the event, in milliseconds.
+     * @param {object} [detail={}] - Extra information about the event.
+     */
+    function addFlag(type, now, detail = {}) {
+        const flag = { type, at: now, trackId: last?.trackId ?? null, ...detail };
+        flags.push(flag);
+        onFlag(flag);
+    }
+
+    /**
+     * Adds playing time to a track and checks the playback rate once a full window has played.
+     * @param {string} trackId - The track that was playing.
+     * @param {number} wallDelta - Wall-clock time since the previous observation.
+     * @param {number} positionDelta - How far the position advanced in that time.
+     * @param {number} now - The time of the observation.
+     */
+    function credit(trackId, wallDelta, positionDelta, now) {
+        if (!muted) {
+            const played = Math.min(wallDelta, Math.max(positionDelta, 0));
+            listenedMs.set(trackId, (listenedMs.get(trackId) || 0) + played);
+        }
+
+        rateWindow.wallMs += wallDelta;
+        rateWindow.positionMs += positionDelta;
+        if (rateWindow.wallMs >= RATE_WINDOW_MS) {
+            const rate = rateWindow.positionMs / rateWindow.wallMs;
+            if (rate < RATE_BOUNDS[0] || rate > RATE_BOUNDS[1]) {
+                addFlag(INTEGRITY_FLAGS.RATE_ANOMALY, now, { rate: Math.round(rate * 100) / 100 });
+            }
+            rateWindow = { wallMs: 0, positionMs: 0 };
+        }
+    }
+
+    /**
+     * Feeds the tracker the current player state.
+     * @param {object} observation
+     * @param {string} observation.trackId - The ID of the track currently loaded.
+     * @param {number} observation.position - The playback position in milliseconds.
+     * @param {boolean} observation.paused - Whether playback is paused.
+     * @param {number} [now=Date.now()] - The time of the observation, in milliseconds.
+     */
+    function observe({ trackId, position, paused }, now = Date.now()) {
+        if (last && last.trackId === trackId) {
+            if (!last.paused) {
+                const wallDelta = now - last.at;
+                const positionDelta = position - last.position;
+                if (Math.abs(positionDelta - wallDelta) > SEEK_TOLERANCE_MS) {
+                    addFlag(INTEGRITY_FLAGS.SEEK, now, { from: last.position, to: position });
+                    rateWindow = { wallMs: 0, positionMs: 0 };
+                } else {
+                    credit(trackId, wallDelta, positionDelta, now);
+                }
+            } else if (Math.abs(position - last.position) > SEEK_TOLERANCE_MS) {
+                // The position moved while paused: a seek made before resuming.
+                addFlag(INTEGRITY_FLAGS.SEEK, now, { from: last.position, to: position });
+            }
+
+            if (paused && !last.paused) {
+                addFlag(INTEGRITY_FLAGS.PAUSE, now, { position });
+            }
+        } else {
+            // A different track: the rate window belongs to the previous one.
+            rateWindow = { wallMs: 0, positionMs: 0 };
+        }
+
+        last = { trackId, position, paused, at: now };
+    }
+
+    /**
+     * Records the player's volume state. Time played while muted is not credited.
+     * @param {boolean} isMuted - True if the volume is 0.
+     * @param {number} [now=Date.now()] - The time of the change.
+     */
+    function setMuted(isMuted, now = Date.now()) {
+        if (isMuted && !muted) {
+            addFlag(INTEGRITY_FLAGS.MUTED, now);
+        }
+        muted = isMuted;
+    }
+
+    /**
+     * Records the page moving to the background. Playing time is still credited,
+     * since audio keeps playing, but the event is flagged for review.
+     * @param {boolean} isHidden - True if the page is hidden.
+     * @param {number} [now=Date.now()] - The time of the change.
+     */
+    function setBackgrounded(isHidden, now = Date.now()) {
+        if (isHidden) {
+            addFlag(INTEGRITY_FLAGS.BACKGROUNDED, now);
+        }
+    }
+
+    /**
+     * Forgets the previous observation, so that the next one starts a new
+     * stretch of playback. Used after an interruption, when playback is restored
+     * at the last known position and the jump in time is not a seek.
+     */
+    function resetContinuity() {
+        last = null;
+        rateWindow = { wallMs: 0, positionMs: 0 };
+    }
+
+    return {
+        observe,
+        setMuted,
+        setBackgrounded,
+        resetContinuity,
+        /**
+         * @param {string} trackId - The track to look up.
+         * @returns {number} Verified listening time for the track, in milliseconds.
+         */
+        getListenedMs: (trackId) => listenedMs.get(trackId) || 0,
+        /**
+         * @returns {object[]} A copy of all integrity flags recorded so far.
+         */
+        getFlags: () => [...flags],
+    };
+}
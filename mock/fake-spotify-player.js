@@ -0,0 +1,136 @@
+// =================================================================================
+// FAKE WEB PLAYBACK SDK (MOCK)
+//
+// Stands in for Spotify's Web Playback SDK in mock mode (see mock/server.js).
+// `installFakeSpotify` defines `window.Spotify.Player` and calls
+// `window.onSpotifyWebPlaybackSDKReady`, like the real SDK script does.
+//
+// The fake player registers itself as a device with the mock server and
+// mirrors the server's simulated playback: it emits 'ready' and 'not_ready'
+// as the device goes online and offline, and 'player_state_changed' when the
+// track, pause, shuffle or repeat state changes. What happens is scripted on
+// the server (its `--scenario`), so the same script drives both the web
+// player and other devices.
+// =================================================================================
+
+import { installFastClock, realTimers } from './fast-clock.js';
+
+// How often (in real time) the fake player reads the simulated playback.
+const POLL_MS = 200;
+
+/**
+ * Checks whether two SDK player states differ enough to emit 'player_state_changed'.
+ * @param {object | null} previous - The previously seen state.
+ * @param {object | null} next - The current state.
+ * @returns {boolean} True if the track, pause, shuffle or repeat state changed, or playback started or stopped.
+ */
+function hasStateChanged(previous, next) {
+    if (!previous || !next) return previous !== next;
+    return previous.track_window.current_track.id !== next.track_window.current_track.id
+        || previous.paused !== next.paused
+        || previous.shuffle !== next.shuffle
+        || previous.repeat_mode !== next.repeat_mode;
+}
+
+/**
+ * Creates a constructor with the interface of `Spotify.Player`. It is a plain
+ * function returning the player, so it can be called with `new` like the SDK's.
+ * @param {string} mockUrl - Base URL of the mock server.
+ * @returns {function(object): object} The player constructor.
+ */
+function createFakePlayerConstructor(mockUrl) {
+    return function FakePlayer({ name, getOAuthToken, volume = 0.5 }) {
+        const listeners = new Map(); // Event name -> Set of callbacks
+        let deviceId = null;
+        let online = false;
+        let lastState = null;
+        let poller = null;
+
+        const emit = (event, payload) => (listeners.get(event) || new Set()).forEach(callback => callback(payload));
+        const request = (path, options = {}) => fetch(`${mockUrl}${path}`, {
+            ...options,
+            headers: { 'Content-Type': 'application/json' },
+        });
+        const control = action => request('/mock/player', { method: 'POST', body: JSON.stringify({ action }) });
+
+        /**
+         * Reads the device's status and playback from the mock server.
+         * @returns {Promise<object>} `{ online, volume, state }`.
+         */
+        async function readDevice() {
+            const response = await request(`/mock/devices/${deviceId}`);
+            return response.json();
+        }
+
+        /**
+         * Emits events for whatever changed since the last poll.
+         */
+        async function poll() {
+            let device;
+            try {
+                device = await readDevice();
+            } catch (error) {
+                console.warn('Fake player could not reach the mock server:', error.message);
+                return;
+            }
+            if (device.online !== online) {
+                online = device.online;
+                emit(online ? 'ready' : 'not_ready', { device_id: deviceId });
+            }
+            if (hasStateChanged(lastState, device.state)) {
+                emit('player_state_changed', device.state);
+            }
+            lastState = device.state;
+        }
+
+        return {
+            async connect() {
+                // The real SDK asks for a token on every connect.
+                await new Promise(resolve => getOAuthToken(resolve));
+                if (!deviceId) {
+                    const response = await request('/mock/devices', { method: 'POST', body: JSON.stringify({ name }) });
+                    deviceId = (await response.json()).id;
+                    await request(`/mock/devices/${deviceId}/volume`, { method: 'PUT', body: JSON.stringify({ volume }) });
+                    poller = realTimers.setInterval(poll, POLL_MS);
+                }
+                return true;
+            },
+            disconnect() {
+                realTimers.clearInterval(poller);
+                poller = null;
+            },
+            addListener(event, callback) {
+                if (!listeners.has(event)) listeners.set(event, new Set());
+                listeners.get(event).add(callback);
+                return true;
+            },
+            removeListener(event, callback) {
+                if (callback) listeners.get(event)?.delete(callback);
+                else listeners.delete(event);
+                return true;
+            },
+            getCurrentState: async () => (await readDevice()).state,
+            getVolume: async () => (await readDevice()).volume,
+            setVolume: value => request(`/mock/devices/${deviceId}/volume`, { method: 'PUT', body: JSON.stringify({ volume: value }) }),
+            pause: () => control('pause'),
+            resume: () => control('resume'),
+            togglePlay: () => control(lastState?.paused ? 'resume' : 'pause'),
+            activateElement: async () => {},
+        };
+    };
+}
+
+/**
+ * Installs the fake SDK and hands over to the app, as the real SDK script does once loaded.
+ * Speeds up the page's clock to match the mock server's `--speed`.
+ * @param {string} mockUrl - Base URL of the mock server.
+ */
+export async function installFakeSpotify(mockUrl) {
+    const response = await fetch(`${mockUrl}/mock/config`);
+    const { speed, scenario } = await response.json();
+    console.log(`Using the fake Web Playback SDK (speed ${speed}x${scenario ? `, scenario: ${scenario}` : ''}).`);
+
+    installFastClock(speed);
+    window.Spotify = { Player: createFakePlayerConstructor(mockUrl) };
+    window.onSpotifyWebPlaybackSDKReady?.();
+}
@@ -0,0 +1,39 @@
+// =================================================================================
+// FAST CLOCK (MOCK)
+//
+// Makes the page's clock run faster so that a mock session of several minutes
+// finishes in seconds. `Date.now()` and `performance.now()` advance `factor`
+// times faster than real time, and `setTimeout`/`setInterval` delays shrink
+// by the same factor, so timers, the listening tracker and the mock server's
+// simulated playback (started with the same `--speed`) all stay in step.
+// `new Date()` is not affected; the app only uses it for display.
+// =================================================================================
+
+/**
+ * The original timer functions, for code that must keep running in real time
+ * (e.g. the fake player's polling of the mock server).
+ */
+export const realTimers = {
+    setTimeout: globalThis.setTimeout.bind(globalThis),
+    setInterval: globalThis.setInterval.bind(globalThis),
+    clearTimeout: globalThis.clearTimeout.bind(globalThis),
+    clearInterval: globalThis.clearInterval.bind(globalThis),
+};
+
+/**
+ * Speeds up the global clock and timers.
+ * @param {number} factor - How much faster than real time the clock should run. 1 does nothing.
+ */
+export function installFastClock(factor) {
+    if (!(factor > 1)) return;
+
+    const realDateNow = Date.now;
+    const realPerformanceNow = performance.now.bind(performance);
+    const dateOrigin = realDateNow();
+    const performanceOrigin = realPerformanceNow();
+
+    Date.now = () => dateOrigin + (realDateNow() - dateOrigin) * factor;
+    performance.now = () => performanceOrigin + (realPerformanceNow() - performanceOrigin) * factor;
+    globalThis.setTimeout = (callback, delay = 0, ...args) => realTimers.setTimeout(callback, delay / factor, ...args);
+    globalThis.setInterval = (callback, delay = 0, ...args) => realTimers.setInterval(callback, delay / factor, ...args);
+}
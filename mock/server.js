@@ -0,0 +1,585 @@
+#!/usr/bin/env node
+// =================================================================================
+// MOCK SPOTIFY BACKEND (NODE)
+//
+// A local stand-in for accounts.spotify.com and api.spotify.com, so the whole
+// flow can run without a Premium account or network access:
+//
+//     node mock/server.js [--port 8888] [--speed 10] [--scenario mock/scenarios/interruptions.json]
+//
+// then open http://localhost:8888/index.html?mock=http://localhost:8888. The
+// server also serves the app's files, and `?mock=` makes the app use this
+// server for sign-in and the Web API and load the fake Web Playback SDK from
+// mock/fake-spotify-player.js instead of Spotify's.
+//
+// Catalog data comes from mock/fixtures. Playback is simulated: positions
+// advance with time, tracks end and the next one starts. `--speed` makes
+// simulated time run faster (the fake SDK speeds up the page's clock to
+// match), and a scenario file scripts what the participant does, e.g. pausing,
+// skipping or the device dropping off. See mock/scenarios for examples.
+// =================================================================================
+
+import http from 'node:http';
+import { readFile } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+
+const MOCK_DIR = path.dirname(fileURLToPath(import.meta.url));
+const APP_DIR = path.dirname(MOCK_DIR);
+
+// How often (in real time) scripted events are checked.
+const TICK_MS = 100;
+
+const CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+};
+
+/**
+ * Reads a JSON file from mock/fixtures.
+ * @param {string} name - The file name.
+ * @returns {Promise<object>} The parsed fixture.
+ */
+async function loadFixture(name) {
+    return JSON.parse(await readFile(path.join(MOCK_DIR, 'fixtures', name), 'utf8'));
+}
+
+// --- Catalog ---
+
+/**
+ * Builds lookups over the catalog fixture, with tracks and albums in the shape the Web API returns.
+ * @param {object} fixture - The contents of fixtures/catalog.json.
+ * @returns {object} The catalog.
+ */
+function createCatalog({ albums, tracks, audioFeatures, featuredPlaylists }) {
+    const toSimplifiedAlbum = ({ tracks: _, ...album }) => album;
+    const albumsById = new Map(albums.map(album => [album.id, album]));
+    const tracksById = new Map(tracks.map(({ album_id, ...track }) => [
+        track.id,
+        { ...track, album: toSimplifiedAlbum(albumsById.get(album_id)) },
+    ]));
+
+    return {
+        albums: albums.map(toSimplifiedAlbum),
+        tracks: [...tracksById.values()],
+        getTrack: id => tracksById.get(id),
+        getAlbum: id => albumsById.get(id),
+        getAlbumTracks: id => albumsById.get(id)?.tracks.map(trackId => {
+            const { album, ...track } = tracksById.get(trackId);
+            return track;
+        }),
+        getAudioFeatures: id => audioFeatures.find(features => features.id === id) || null,
+        getAudioAnalysis: id => {
+            const features = audioFeatures.find(f => f.id === id);
+            return features ? createAudioAnalysis(features) : null;
+        },
+        featuredPlaylists,
+    };
+}
+
+/**
+ * Builds an audio analysis with evenly spaced beats at the track's tempo, four
+ * to the bar. Only the fields the app reads are included.
+ * @param {object} features - The track's audio features, with `tempo` and `duration_ms`.
+ * @returns {object} The analysis, with `beats` and `bars` as `{ start, duration, confidence }` in seconds.
+ */
+function createAudioAnalysis({ tempo, duration_ms }) {
+    const beatSeconds = 60 / tempo;
+    const count = Math.floor(duration_ms / 1000 / beatSeconds);
+    const interval = (start, duration) => ({ start: Number(start.toFixed(5)), duration: Number(duration.toFixed(5)), confidence: 0.8 });
+    const beats = Array.from({ length: count }, (_, i) => interval(i * beatSeconds, beatSeconds));
+    const bars = beats.filter((_, i) => i % 4 === 0).map(beat => interval(beat.start, 4 * beatSeconds));
+    return { track: { tempo, time_signature: 4, duration: duration_ms / 1000 }, bars, beats };
+}
+
+// --- Player Simulation ---
+
+/**
+ * Creates the simulated player: which device is active, what is queued and
+ * where playback is. All times are simulated milliseconds from `clock`.
+ * @param {function(): number} clock - Returns the simulated time.
+ * @param {object} catalog - The catalog, for track durations.
+ * @returns {object} The player.
+ */
+function createPlayer(clock, catalog) {
+    const state = {
+        deviceId: null,
+        queue: [], // Track IDs, in play order
+        contextUri: null,
+        index: 0,
+        positionMs: 0,
+        playing: false,
+        since: 0, // Simulated time `positionMs` was last brought up to date
+        shuffle: false,
+        repeat: 'off',
+    };
+
+    const currentTrack = () => catalog.getTrack(state.queue[state.index]);
+
+    /**
+     * Brings the position up to date, moving on to the next tracks as they end.
+     */
+    function settle() {
+        const now = clock();
+        if (state.playing && currentTrack()) {
+            let position = state.positionMs + (now - state.since);
+            while (position >= currentTrack().duration_ms) {
+                position -= currentTrack().duration_ms;
+                if (state.repeat === 'track') continue;
+                if (state.index + 1 < state.queue.length) {
+                    state.index++;
+                } else if (state.repeat === 'context') {
+                    state.index = 0;
+                } else {
+                    state.playing = false;
+                    position = currentTrack().duration_ms;
+                    break;
+                }
+            }
+            state.positionMs = position;
+        }
+        state.since = now;
+    }
+
+    return {
+        /** @returns {object} The up-to-date player state. */
+        getState() {
+            settle();
+            return { ...state, track: currentTrack() || null };
+        },
+        /**
+         * Changes the player state, e.g. `{ playing: false }` to pause.
+         * @param {object} changes - The fields to change.
+         */
+        update(changes) {
+            settle();
+            Object.assign(state, changes);
+        },
+        /**
+         * Starts playing a queue of tracks.
+         * @param {string[]} queue - The track IDs.
+         * @param {object} options - `{ contextUri, index, positionMs }`.
+         */
+        load(queue, { contextUri = null, index = 0, positionMs = 0 }) {
+            settle();
+            Object.assign(state, { queue, contextUri, index, positionMs, playing: true });
+        },
+    };
+}
+
+// --- HTTP Helpers ---
+
+/**
+ * Sends a JSON response, or an empty one for 204.
+ * @param {http.ServerResponse} res - The response.
+ * @param {number} status - The HTTP status.
+ * @param {object} [body] - The response body.
+ */
+function send(res, status, body) {
+    res.writeHead(status, body === undefined ? {} : { 'Content-Type': 'application/json' });
+    res.end(body === undefined ? undefined : JSON.stringify(body));
+}
+
+/**
+ * Sends a Web API style error.
+ * @param {http.ServerResponse} res - The response.
+ * @param {number} status - The HTTP status.
+ * @param {string} message - The error message.
+ */
+function sendError(res, status, message) {
+    send(res, status, { error: { status, message } });
+}
+
+/**
+ * Reads and parses a request body (JSON or form-encoded).
+ * @param {http.IncomingMessage} req - The request.
+ * @returns {Promise<object>} The parsed body, or an empty object.
+ */
+async function readBody(req) {
+    let raw = '';
+    for await (const chunk of req) raw += chunk;
+    if (!raw) return {};
+    if ((req.headers['content-type'] || '').includes('application/x-www-form-urlencoded')) {
+        return Object.fromEntries(new URLSearchParams(raw));
+    }
+    try {
+        return JSON.parse(raw);
+    } catch {
+        return {};
+    }
+}
+
+/**
+ * Builds a Web API paging object over a list, honouring `offset` and `limit`.
+ * @param {object[]} items - All items.
+ * @param {URL} url - The request URL; `next` links back to it with the next offset.
+ * @returns {object} `{ items, total, limit, offset, next }`.
+ */
+function page(items, url) {
+    const offset = Number(url.searchParams.get('offset')) || 0;
+    const limit = Number(url.searchParams.get('limit')) || 20;
+    let next = null;
+    if (offset + limit < items.length) {
+        const nextUrl = new URL(url);
+        nextUrl.searchParams.set('offset', offset + limit);
+        nextUrl.searchParams.set('limit', limit);
+        next = nextUrl.toString();
+    }
+    return { items: items.slice(offset, offset + limit), total: items.length, limit, offset, next };
+}
+
+// --- Server ---
+
+/**
+ * Creates the mock server. It is not listening yet; call `listen` on the result.
+ * @param {object} [options={}]
+ * @param {number} [options.speed=1] - How much faster than real time playback runs.
+ * @param {object} [options.scenario] - Scripted events, see mock/scenarios.
+ * @returns {Promise<http.Server>} The server.
+ */
+export async function createMockServer({ speed = 1, scenario = { events: [] } } = {}) {
+    const catalog = createCatalog(await loadFixture('catalog.json'));
+    const me = await loadFixture('me.json');
+    const devices = new Map((await loadFixture('devices.json')).devices.map(device => [device.id, { ...device, online: true }]));
+
+    const startedAt = Date.now();
+    const clock = () => (Date.now() - startedAt) * speed;
+    const player = createPlayer(clock, catalog);
+    const playlists = new Map();
+    let nextPlaylistNumber = 1;
+    let nextDeviceNumber = 1;
+
+    // Scenario events are timed from the first playback request.
+    const pendingEvents = [...(scenario.events || [])].sort((a, b) => a.atMs - b.atMs);
+    let scenarioStart = null;
+
+    /**
+     * Applies a participant or device action to the simulation. Used by scenario
+     * events and the `/mock/player` control endpoint.
+     * @param {object} event - `{ action, ... }`, as in the scenario files in mock/scenarios.
+     */
+    function applyAction({ action, ...args }) {
+        const { index, queue, deviceId } = player.getState();
+        switch (action) {
+            case 'pause': player.update({ playing: false }); break;
+            case 'resume': player.update({ playing: true }); break;
+            case 'seek': player.update({ positionMs: args.positionMs }); break;
+            case 'next': player.update({ index: Math.min(index + 1, queue.length - 1), positionMs: 0 }); break;
+            case 'previous': player.update({ index: Math.max(index - 1, 0), positionMs: 0 }); break;
+            case 'shuffle': player.update({ shuffle: args.state }); break;
+            case 'repeat': player.update({ repeat: args.state }); break;
+            case 'volume': if (devices.has(deviceId)) devices.get(deviceId).volume_percent = args.percent; break;
+            case 'play_elsewhere': player.update({ deviceId: args.deviceId || 'mock-phone' }); break;
+            case 'play_other': {
+                // Something the participant picked themselves, outside the session's queue.
+                const other = args.trackId || catalog.tracks.find(track => !queue.includes(track.id)).id;
+                player.load([other], {});
+                break;
+            }
+            case 'go_offline': {
+                const device = devices.get(deviceId);
+                if (!device) break;
+                // A device that drops off stops playing; the app has to start it again.
+                device.online = false;
+                player.update({ playing: false, deviceId: null });
+                setTimeout(() => { device.online = true; }, (args.durationMs || 5000) / speed).unref();
+                break;
+            }
+            default: console.warn(`Unknown mock action "${action}" ignored.`);
+        }
+    }
+
+    const ticker = setInterval(() => {
+        if (scenarioStart === null) return;
+        while (pendingEvents.length > 0 && pendingEvents[0].atMs <= clock() - scenarioStart) {
+            const event = pendingEvents.shift();
+            console.log(`Scenario: ${event.action} at ${event.atMs}ms`);
+            applyAction(event);
+        }
+    }, TICK_MS);
+    ticker.unref();
+
+    /**
+     * Describes a device as the Web API does.
+     * @param {object} device - The device record.
+     * @returns {object} The device object.
+     */
+    const describeDevice = ({ online, ...device }) => ({ ...device, is_active: device.id === player.getState().deviceId });
+
+    /**
+     * Describes the current playback as the Web Playback SDK's `getCurrentState` does.
+     * @returns {object} The SDK player state.
+     */
+    function describeSdkState() {
+        const { track, positionMs, playing, shuffle, repeat, contextUri } = player.getState();
+        return {
+            context: { uri: contextUri },
+            paused: !playing,
+            position: Math.round(positionMs),
+            duration: track.duration_ms,
+            shuffle,
+            repeat_mode: ['off', 'context', 'track'].indexOf(repeat),
+            timestamp: 0, // Positions are current as served; there is nothing to extrapolate
+            track_window: { current_track: track, previous_tracks: [], next_tracks: [] },
+        };
+    }
+
+    /**
+     * Resolves what a play request asks for into a queue of track IDs.
+     * @param {object} body - The `/me/player/play` request body.
+     * @returns {object | null} `{ queue, contextUri }`, or null if nothing playable was given.
+     */
+    function resolvePlayTarget(body) {
+        if (body.uris) {
+            return { queue: body.uris.map(uri => uri.split(':').pop()), contextUri: null };
+        }
+        const [, type, id] = (body.context_uri || '').split(':');
+        if (type === 'playlist' && playlists.has(id)) return { queue: playlists.get(id).tracks, contextUri: body.context_uri };
+        if (type === 'album' && catalog.getAlbum(id)) return { queue: catalog.getAlbum(id).tracks, contextUri: body.context_uri };
+        return null;
+    }
+
+    // Each route is [method, path pattern, handler({ req, res, url, params, body })].
+    const routes = [
+        // Accounts service: approve every sign-in straight away.
+        ['GET', /^\/authorize$/, ({ res, url }) => {
+            const redirect = new URL(url.searchParams.get('redirect_uri'));
+            redirect.search = new URLSearchParams({ code: 'mock-code', state: url.searchParams.get('state') || '' });
+            res.writeHead(302, { Location: redirect.toString() });
+            res.end();
+        }],
+        ['POST', /^\/api\/token$/, ({ res, body }) => send(res, 200, {
+            access_token: `mock-access-token-${Date.now()}`,
+            token_type: 'Bearer',
+            expires_in: 3600,
+            refresh_token: body.refresh_token || 'mock-refresh-token',
+            scope: '',
+        })],
+
+        // Mock controls
+        ['GET', /^\/mock\/config$/, ({ res }) => send(res, 200, { speed, scenario: scenario.description || null })],
+        ['POST', /^\/mock\/devices$/, ({ res, body }) => {
+            const id = `mock-web-player-${nextDeviceNumber++}`;
+            devices.set(id, { id, name: body.name || 'Web Player', type: 'Computer', is_active: false, is_restricted: false, volume_percent: 50, online: true });
+            send(res, 201, { id });
+        }],
+        ['GET', /^\/mock\/devices\/([^/]+)$/, ({ res, params: [id] }) => {
+            const device = devices.get(id);
+            if (!device) return sendError(res, 404, 'Unknown device');
+            const { deviceId, track } = player.getState();
+            send(res, 200, {
+                online: device.online,
+                volume: device.volume_percent / 100,
+                state: device.online && deviceId === id && track ? describeSdkState() : null,
+            });
+        }],
+        ['PUT', /^\/mock\/devices\/([^/]+)\/volume$/, ({ res, params: [id], body }) => {
+            if (devices.has(id)) devices.get(id).volume_percent = Math.round(body.volume * 100);
+            send(res, 204);
+        }],
+        ['POST', /^\/mock\/player$/, ({ res, body }) => {
+            applyAction(body);
+            send(res, 204);
+        }],
+
+        // Web API: user and catalog
+        ['GET', /^\/v1\/me$/, ({ res }) => send(res, 200, me)],
+        ['GET', /^\/v1\/browse\/new-releases$/, ({ res, url }) => send(res, 200, { albums: page(catalog.albums, url) })],
+        ['GET', /^\/v1\/browse\/featured-playlists$/, ({ res, url }) => send(res, 200, {
+            message: 'Mock picks',
+            playlists: page(catalog.featuredPlaylists.map(({ tracks, ...playlist }) => playlist), url),
+        })],
+        ['GET', /^\/v1\/albums\/([^/]+)$/, ({ res, params: [id] }) => {
+            const album = catalog.getAlbum(id);
+            if (!album) return sendError(res, 404, 'Non existing id');
+            send(res, 200, { ...album, tracks: { items: catalog.getAlbumTracks(id), next: null } });
+        }],
+        ['GET', /^\/v1\/albums\/([^/]+)\/tracks$/, ({ res, url, params: [id] }) => {
+            const tracks = catalog.getAlbumTracks(id);
+            if (!tracks) return sendError(res, 404, 'Non existing id');
+            send(res, 200, page(tracks, url));
+        }],
+        ['GET', /^\/v1\/playlists\/([^/]+)\/tracks$/, ({ res, url, params: [id] }) => {
+            const playlist = catalog.featuredPlaylists.find(p => p.id === id) || playlists.get(id);
+            if (!playlist) return sendError(res, 404, 'Not found.');
+            send(res, 200, page(playlist.tracks.map(trackId => ({ track: catalog.getTrack(trackId) })), url));
+        }],
+        ['GET', /^\/v1\/search$/, ({ res, url }) => {
+            // Matches track and artist names; genre filters are ignored.
+            const words = url.searchParams.get('q').toLowerCase().replace(/genre:"[^"]*"/g, '').split(/\s+/).filter(Boolean);
+            const tracks = catalog.tracks.filter(track => words.every(word =>
+                `${track.name} ${track.artists.map(a => a.name).join(' ')}`.toLowerCase().includes(word)
+            ));
+            send(res, 200, { tracks: page(tracks, url) });
+        }],
+        ['GET', /^\/v1\/me\/tracks$/, ({ res, url }) => send(res, 200, page(
+            catalog.tracks.slice(0, 8).map(track => ({ added_at: '2024-01-01T00:00:00Z', track })), url
+        ))],
+        ['GET', /^\/v1\/recommendations$/, ({ res }) => send(res, 200, { seeds: [], tracks: catalog.tracks.slice(-8) })],
+        ['GET', /^\/v1\/audio-analysis\/([^/]+)$/, ({ res, params: [id] }) => {
+            const analysis = catalog.getAudioAnalysis(id);
+            if (!analysis) return sendError(res, 404, 'Analysis not found');
+            send(res, 200, analysis);
+        }],
+        ['GET', /^\/v1\/audio-features$/, ({ res, url }) => send(res, 200, {
+            audio_features: url.searchParams.get('ids').split(',').map(catalog.getAudioFeatures),
+        })],
+
+        // Web API: playlists
+        ['GET', /^\/v1\/me\/playlists$/, ({ res, url }) => send(res, 200, page([...playlists.values()].map(({ tracks, ...playlist }) => playlist), url))],
+        ['POST', /^\/v1\/users\/([^/]+)\/playlists$/, ({ res, params: [userId], body }) => {
+            const id = `mocksession${String(nextPlaylistNumber++).padStart(11, '0')}`;
+            const playlist = { id, uri: `spotify:playlist:${id}`, name: body.name, description: body.description || '', public: false, owner: { id: userId }, tracks: [] };
+            playlists.set(id, playlist);
+            const { tracks, ...created } = playlist;
+            send(res, 201, created);
+        }],
+        ['POST', /^\/v1\/playlists\/([^/]+)\/tracks$/, ({ res, params: [id], body }) => {
+            const playlist = playlists.get(id);
+            if (!playlist) return sendError(res, 404, 'Not found.');
+            playlist.tracks.push(...body.uris.map(uri => uri.split(':').pop()));
+            send(res, 201, { snapshot_id: `mock-snapshot-${Date.now()}` });
+        }],
+        ['PUT', /^\/v1\/playlists\/([^/]+)\/tracks$/, ({ res, params: [id], body }) => {
+            const playlist = playlists.get(id);
+            if (!playlist) return sendError(res, 404, 'Not found.');
+            playlist.tracks = body.uris.map(uri => uri.split(':').pop());
+            send(res, 200, { snapshot_id: `mock-snapshot-${Date.now()}` });
+        }],
+        ['DELETE', /^\/v1\/playlists\/([^/]+)\/followers$/, ({ res, params: [id] }) => {
+            playlists.delete(id);
+            send(res, 200); // Spotify answers with an empty 200
+        }],
+
+        // Web API: player
+        ['GET', /^\/v1\/me\/player\/devices$/, ({ res }) => send(res, 200, {
+            devices: [...devices.values()].filter(device => device.online).map(describeDevice),
+        })],
+        ['GET', /^\/v1\/me\/player$/, ({ res }) => {
+            const { deviceId, track, positionMs, playing, shuffle, repeat, contextUri } = player.getState();
+            if (!deviceId || !track) return send(res, 204);
+            send(res, 200, {
+                device: describeDevice(devices.get(deviceId)),
+                shuffle_state: shuffle,
+                repeat_state: repeat,
+                progress_ms: Math.round(positionMs),
+                is_playing: playing,
+                item: track,
+                context: contextUri ? { uri: contextUri } : null,
+            });
+        }],
+        ['PUT', /^\/v1\/me\/player$/, ({ res, body }) => {
+            const device = devices.get(body.device_ids?.[0]);
+            if (!device || !device.online) return sendError(res, 404, 'Device not found');
+            player.update({ deviceId: device.id, playing: Boolean(body.play) && player.getState().playing });
+            send(res, 204);
+        }],
+        ['PUT', /^\/v1\/me\/player\/play$/, ({ res, url, body }) => {
+            const deviceId = url.searchParams.get('device_id') || player.getState().deviceId;
+            const device = devices.get(deviceId);
+            if (!device || !device.online) return sendError(res, 404, 'Device not found');
+            const target = resolvePlayTarget(body);
+            if (target) {
+                player.load(target.queue, {
+                    contextUri: target.contextUri,
+                    index: body.offset?.position || 0,
+                    positionMs: body.position_ms || 0,
+                });
+            }
+            player.update({ deviceId, playing: true });
+            if (scenarioStart === null) scenarioStart = clock();
+            send(res, 204);
+        }],
+        ['PUT', /^\/v1\/me\/player\/pause$/, ({ res }) => {
+            player.update({ playing: false });
+            send(res, 204);
+        }],
+        ['PUT', /^\/v1\/me\/player\/shuffle$/, ({ res, url }) => {
+            player.update({ shuffle: url.searchParams.get('state') === 'true' });
+            send(res, 204);
+        }],
+        ['PUT', /^\/v1\/me\/player\/repeat$/, ({ res, url }) => {
+            player.update({ repeat: url.searchParams.get('state') });
+            send(res, 204);
+        }],
+    ];
+
+    /**
+     * Serves a file of the app, so that the app and the mock run from one origin.
+     * @param {http.ServerResponse} res - The response.
+     * @param {URL} url - The request URL.
+     */
+    async function serveAppFile(res, url) {
+        const filePath = path.join(APP_DIR, path.normalize(decodeURIComponent(url.pathname)).replace(/^([/\\])+/, ''));
+        if (!filePath.startsWith(APP_DIR)) return sendError(res, 403, 'Forbidden');
+        try {
+            const content = await readFile(filePath);
+            res.writeHead(200, { 'Content-Type': CONTENT_TYPES[path.extname(filePath)] || 'application/octet-stream' });
+            res.end(content);
+        } catch {
+            sendError(res, 404, 'Not found');
+        }
+    }
+
+    const server = http.createServer(async (req, res) => {
+        res.setHeader('Access-Control-Allow-Origin', '*');
+        res.setHeader('Access-Control-Allow-Headers', 'Authorization, Content-Type, Idempotency-Key');
+        res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
+        if (req.method === 'OPTIONS') return send(res, 204);
+
+        const url = new URL(req.url, `http://${req.headers.host}`);
+        const route = routes.find(([method, pattern]) => method === req.method && pattern.test(url.pathname));
+        if (!route) {
+            if (req.method === 'GET' && !url.pathname.startsWith('/v1/')) return serveAppFile(res, url);
+            return sendError(res, 404, `No mock for ${req.method} ${url.pathname}`);
+        }
+        if (url.pathname.startsWith('/v1/') && !(req.headers.authorization || '').startsWith('Bearer ')) {
+            return sendError(res, 401, 'No token provided');
+        }
+
+        try {
+            const [, pattern, handler] = route;
+            const params = url.pathname.match(pattern).slice(1);
+            await handler({ req, res, url, params, body: await readBody(req) });
+        } catch (error) {
+            console.error('Mock server error:', error);
+            sendError(res, 500, error.message);
+        }
+    });
+    server.on('close', () => clearInterval(ticker));
+    return server;
+}
+
+/**
+ * Parses the command-line arguments.
+ * @param {string[]} args - The arguments after the script name.
+ * @returns {{port: number, speed: number, scenarioPath: string | null}}
+ */
+function parseArguments(args) {
+    const options = { port: 8888, speed: 1, scenarioPath: null };
+    for (let i = 0; i < args.length; i++) {
+        if (args[i] === '--port') options.port = Number(args[++i]);
+        else if (args[i] === '--speed') options.speed = Number(args[++i]);
+        else if (args[i] === '--scenario') options.scenarioPath = args[++i];
+    }
+    return options;
+}
+
+/**
+ * Starts the mock server from the command line.
+ */
+async function main() {
+    const { port, speed, scenarioPath } = parseArguments(process.argv.slice(2));
+    const scenario = scenarioPath ? JSON.parse(await readFile(scenarioPath, 'utf8')) : undefined;
+    const server = await createMockServer({ speed, scenario });
+    server.listen(port, () => {
+        console.log(`Mock Spotify running at http://localhost:${port} (speed ${speed}x)`);
+        console.log(`Open http://localhost:${port}/index.html?mock=http://localhost:${port}`);
+    });
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+    main();
+}
@@ -0,0 +1,164 @@
+// =================================================================================
+// PARTICIPANT MODULE
+//
+// Who a session belongs to, as far as the research data is concerned.
+//
+// Participants recruited through a study platform (e.g. Prolific) arrive with
+// the platform's participant and study IDs in the URL of index.html or
+// app.html. The parameter names are set in `CONFIG.PARTICIPANT_ID_PARAMS` and
+// `CONFIG.STUDY_ID_PARAMS`. The IDs are kept in sessionStorage for the visit
+// and ride along in the OAuth `state` through the Spotify sign-in, so that
+// they arrive on app.html with the participant.
+//
+// Telemetry and webhooks identify the participant by a pseudonymous key
+// derived from the Spotify user ID, never by the ID itself. With
+// `CONFIG.PARTICIPANT_KEY_SECRET` set, the key is an HMAC; without it, a plain
+// hash. Either way the key is derived in the browser, and config.js (with the
+// secret) is served to every participant, so anyone who knows a Spotify user
+// ID can recompute its key. The key keeps Spotify IDs out of the research data
+// in plain sight; it is not anonymisation. Where the link to Spotify accounts
+// must be protected, re-key the participant server-side, e.g. in the webhook,
+// with a secret that never reaches the browser. When the session finishes, `CONFIG.STUDY_RETURN_URL` (if set)
+// is filled in with the completion code and the IDs, and offered as the way
+// back to the study platform.
+// =================================================================================
+
+import { CONFIG } from './config.js';
+import { base64urlencode } from './pkce.js';
+
+const STUDY_CONTEXT_KEY = 'study_context';
+
+// Length of the participant key, in bytes of the hash (16 bytes = 22 characters).
+const PARTICIPANT_KEY_BYTES = 16;
+
+// --- Study Context ---
+
+/**
+ * Returns the value of the first of the given URL parameters that is set.
+ * @param {URLSearchParams} params - The page's URL parameters.
+ * @param {string[]} names - The parameter names to look for, in order.
+ * @returns {string | null} The value, or null if none of them is set.
+ */
+function getFirstParam(params, names) {
+    const name = names.find(n => params.get(n));
+    return name ? params.get(name) : null;
+}
+
+/**
+ * Stores the study context for the rest of the visit.
+ * @param {{participantId: string | null, studyId: string | null}} context - The IDs to keep.
+ */
+export function saveStudyContext({ participantId = null, studyId = null }) {
+    sessionStorage.setItem(STUDY_CONTEXT_KEY, JSON.stringify({ participantId, studyId }));
+}
+
+/**
+ * Returns the study context of this visit.
+ * @returns {{participantId: string | null, studyId: string | null}} The IDs, null where unknown.
+ */
+export function getStudyContext() {
+    try {
+        const context = JSON.parse(sessionStorage.getItem(STUDY_CONTEXT_KEY));
+        return { participantId: context?.participantId ?? null, studyId: context?.studyId ?? null };
+    } catch (error) {
+        return { participantId: null, studyId: null };
+    }
+}
+
+/**
+ * Reads the participant and study IDs from the page's URL parameters. If
+ * either is present, they replace the stored context; otherwise the stored
+ * context is kept, e.g. when app.html is reached after the sign-in.
+ * @returns {{participantId: string | null, studyId: string | null}} The study context.
+ */
+export function captureStudyContext() {
+    const params = new URLSearchParams(window.location.search);
+    const participantId = getFirstParam(params, CONFIG.PARTICIPANT_ID_PARAMS);
+    const studyId = getFirstParam(params, CONFIG.STUDY_ID_PARAMS);
+    if (participantId || studyId) {
+        saveStudyContext({ participantId, studyId });
+    }
+    return getStudyContext();
+}
+
+// --- OAuth State ---
+
+/**
+ * Builds the OAuth `state` parameter: a random nonce, which protects against
+ * CSRF, followed by the study context.
+ * @param {string} nonce - A random, URL-safe string without dots.
+ * @param {object} context - The study context, from `getStudyContext`.
+ * @returns {string} `<nonce>.<base64url JSON>`, or just the nonce if the context is empty.
+ */
+export function encodeOAuthState(nonce, context) {
+    if (!context.participantId && !context.studyId) return nonce;
+    return `${nonce}.${base64urlencode(new TextEncoder().encode(JSON.stringify(context)))}`;
+}
+
+/**
+ * Reads the study context back from an OAuth `state` parameter.
+ * @param {string} state - The `state` Spotify returned.
+ * @returns {{nonce: string, context: object | null}} The nonce and the study context, if the state has a
+ *   readable one.
+ */
+export function decodeOAuthState(state) {
+    const [nonce, encoded] = state.split('.');
+    if (!encoded) return { nonce, context: null };
+    try {
+        const base64 = encoded.replace(/-/g, '+').replace(/_/g, '/');
+        const bytes = Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+        const { participantId = null, studyId = null } = JSON.parse(new TextDecoder().decode(bytes));
+        return { nonce, context: { participantId, studyId } };
+    } catch (error) {
+        return { nonce, context: null };
+    }
+}
+
+// --- Participant Key ---
+
+/**
+ * Derives the pseudonymous participant key for a Spotify user. The same user
+ * always gets the same key, so sessions can be linked without the Spotify ID.
+ * @param {string} spotifyUserId - The Spotify user ID.
+ * @param {string | null} [secret=CONFIG.PARTICIPANT_KEY_SECRET] - The HMAC secret, or null for a plain hash.
+ * @returns {Promise<string>} A 22-character URL-safe key.
+ */
+export async function derivePseudonymousKey(spotifyUserId, secret = CONFIG.PARTICIPANT_KEY_SECRET) {
+    const encoder = new TextEncoder();
+    const data = encoder.encode(`participant:${spotifyUserId}`);
+    let digest;
+    if (secret) {
+        const key = await crypto.subtle.importKey(
+            'raw', encoder.encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']
+        );
+        digest = await crypto.subtle.sign('HMAC', key, data);
+    } else {
+        digest = await crypto.subtle.digest('SHA-256', data);
+    }
+    return base64urlencode(new Uint8Array(digest).slice(0, PARTICIPANT_KEY_BYTES));
+}
+
+/**
+ * Identifies the participant for the research data.
+ * @param {string} spotifyUserId - The Spotify user ID.
+ * @returns {Promise<{key: string, participantId: string | null, studyId: string | null}>}
+ *   The pseudonymous key and the study platform's IDs, if the participant came with them.
+ */
+export async function getParticipant(spotifyUserId) {
+    return { key: await derivePseudonymousKey(spotifyUserId), ...getStudyContext() };
+}
+
+// --- Return URL ---
+
+/**
+ * Fills in a return URL template. `{code}`, `{participantId}`, `{studyId}` and
+ * `{sessionId}` are replaced with the URL-encoded values; unknown values become empty.
+ * @param {string | null} template - The template, e.g. `CONFIG.STUDY_RETURN_URL`.
+ * @param {object} values - `{ code, participantId, studyId, sessionId }`.
+ * @returns {string | null} The URL, or null if there is no template.
+ */
+export function buildReturnUrl(template, values) {
+    if (!template) return null;
+    return template.replace(/\{(code|participantId|studyId|sessionId)\}/g,
+        (placeholder, name) => encodeURIComponent(values[name] ?? ''));
+}
@@ -0,0 +1,44 @@
+// =================================================================================
+// PKCE MODULE
+//
+// Helpers for the PKCE (Proof Key for Code Exchange) part of the Spotify login:
+// the random code verifier sent with the token request and the code challenge
+// derived from it for the authorization request (RFC 7636, method S256).
+//
+// The module only relies on the Web Crypto API and `btoa`, so it runs both in
+// the browser and in Node (18+).
+// =================================================================================
+
+/**
+ * Generates a cryptographically random string for the PKCE code verifier.
+ * @returns {string} A 128-character URL-safe string.
+ */
+export function generateCodeVerifier() {
+    const randomBytes = new Uint8Array(96); // 96 bytes = 128 base64 characters
+    crypto.getRandomValues(randomBytes);
+    return base64urlencode(randomBytes);
+}
+
+/**
+ * Hashes the code verifier using SHA-256 to create the code challenge.
+ * @param {string} verifier - The PKCE code verifier.
+ * @returns {Promise<string>} The base64-URL-encoded SHA-256 hash of the verifier.
+ */
+export async function generateCodeChallenge(verifier) {
+    const encoder = new TextEncoder();
+    const data = encoder.encode(verifier);
+    const digest = await crypto.subtle.digest('SHA-256', data);
+    return base64urlencode(new Uint8Array(digest));
+}
+
+/**
+ * Encodes an ArrayBuffer into a URL-safe base64 string.
+ * @param {ArrayBuffer | Uint8Array} buffer - The buffer to encode.
+ * @returns {string} The URL-safe base64-encoded string.
+ */
+export function base64urlencode(buffer) {
+    return btoa(String.fromCharCode.apply(null, new Uint8Array(buffer)))
+        .replace(/\+/g, '-')
+        .replace(/\//g, '_')
+        .replace(/=/g, '');
+}
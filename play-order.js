@@ -0,0 +1,115 @@
+// =================================================================================
+// PLAY ORDER MODULE
+//
+// Checks that session tracks are played in order. A participant may only move
+// on to the next track once the current one has met its listening goal; going
+// back, jumping ahead or leaving a track early is a violation, and so is
+// turning on shuffle or repeat. What happens on a violation is a policy:
+//
+// - 'auto-return': playback is sent back to the expected track.
+// - 'warn': the participant is told, and the session continues from where they went.
+// - 'record': the violation is only recorded.
+//
+// Every violation is recorded regardless of policy. Like the listening
+// tracker, this module only interprets the player states it is fed, so it
+// can be tested without a player.
+// =================================================================================
+
+export const PLAY_ORDER_POLICIES = {
+    AUTO_RETURN: 'auto-return',
+    WARN: 'warn',
+    RECORD: 'record',
+};
+
+export const PLAY_ORDER_VIOLATIONS = {
+    SKIPPED_AHEAD: 'skipped_ahead', // Moved on before the track's goal was met, or past the next track
+    WENT_BACK: 'went_back',
+    SHUFFLE: 'shuffle',
+    REPEAT: 'repeat',
+};
+
+/**
+ * Creates a play order monitor for a session.
+ *
+ * @param {object} [options={}]
+ * @param {string} [options.policy='record'] - One of `PLAY_ORDER_POLICIES`.
+ * @param {number} [options.expectedIndex=0] - The track the session is at, e.g. when resuming.
+ * @param {function(object): void} [options.onViolation] - Called with each violation as it is recorded.
+ * @returns {object} The monitor, with `observeTrack`, `observeModes`, `getExpectedIndex` and `getViolations`.
+ */
+export function createPlayOrderMonitor({ policy = PLAY_ORDER_POLICIES.RECORD, expectedIndex = 0, onViolation = () => {} } = {}) {
+    const violations = [];
+    let expected = expectedIndex;
+    let lastIndex = expectedIndex;
+    let modes = { shuffle: false, repeat: false };
+
+    /**
+     * Records a violation and notifies the listener.
+     * @param {string} type - One of `PLAY_ORDER_VIOLATIONS`.
+     * @param {number} now - The time of the violation, in milliseconds.
+     * @param {object} [detail={}] - Extra information about the violation.
+     * @returns {object} The violation.
+     */
+    function addViolation(type, now, detail = {}) {
+        const violation = { type, at: now, policy, ...detail };
+        violations.push(violation);
+        onViolation(violation);
+        return violation;
+    }
+
+    /**
+     * Checks a change of the current session track.
+     * @param {number} trackIndex - The index of the session track now playing.
+     * @param {boolean} canAdvance - Whether the expected track has met its goal, so that
+     *   moving on to the next track is allowed.
+     * @param {number} [now=Date.now()] - The time of the observation, in milliseconds.
+     * @returns {object | null} The violation, or null if the track is in order.
+     */
+    function observeTrack(trackIndex, canAdvance, now = Date.now()) {
+        // Only changes count; staying on a track that was already judged is not a new violation.
+        if (trackIndex === lastIndex) return null;
+        lastIndex = trackIndex;
+
+        if (trackIndex === expected) return null;
+        if (trackIndex === expected + 1 && canAdvance) {
+            expected = trackIndex;
+            return null;
+        }
+
+        const violation = addViolation(
+            trackIndex < expected ? PLAY_ORDER_VIOLATIONS.WENT_BACK : PLAY_ORDER_VIOLATIONS.SKIPPED_AHEAD,
+            now,
+            { expectedIndex: expected, actualIndex: trackIndex }
+        );
+        if (policy !== PLAY_ORDER_POLICIES.AUTO_RETURN) {
+            // Continue from where the participant went; only the jump itself is a violation.
+            expected = trackIndex;
+        }
+        return violation;
+    }
+
+    /**
+     * Checks the player's shuffle and repeat modes. Each time one is turned on counts once.
+     * @param {object} playerModes
+     * @param {boolean} playerModes.shuffle - Whether shuffle is on.
+     * @param {boolean} playerModes.repeat - Whether repeat (track or context) is on.
+     * @param {number} [now=Date.now()] - The time of the observation, in milliseconds.
+     * @returns {object[]} The violations found, if any.
+     */
+    function observeModes({ shuffle, repeat }, now = Date.now()) {
+        const found = [];
+        if (shuffle && !modes.shuffle) found.push(addViolation(PLAY_ORDER_VIOLATIONS.SHUFFLE, now));
+        if (repeat && !modes.repeat) found.push(addViolation(PLAY_ORDER_VIOLATIONS.REPEAT, now));
+        modes = { shuffle, repeat };
+        return found;
+    }
+
+    return {
+        observeTrack,
+        observeModes,
+        /** @returns {number} The index of the track the participant should be listening to. */
+        getExpectedIndex: () => expected,
+        /** @returns {object[]} A copy of all violations recorded so far. */
+        getViolations: () => [...violations],
+    };
+}
@@ -0,0 +1,145 @@
+// =================================================================================
+// PLAYBACK RECOVERY MODULE
+//
+// Tracks whether session playback is currently "ours" and tries to get it back
+// when it is not. The state machine has four states:
+//
+//   playing ──lost──▶ interrupted ──attempt──▶ recovering ──success──▶ playing
+//                         ▲                        │
+//                         └────────failure─────────┘ (after too many: failed)
+//
+// Interruptions caused by the connection (the web player going offline, network
+// errors) are retried automatically with exponential backoff. Interruptions
+// caused by the participant (playback moved to another device) wait for an
+// explicit `retry()`, so that the app does not fight them for control.
+// Observing playback that is ours again at any point ends the interruption.
+// =================================================================================
+
+export const RECOVERY_STATES = {
+    PLAYING: 'playing',
+    INTERRUPTED: 'interrupted',
+    RECOVERING: 'recovering',
+    FAILED: 'failed',
+};
+
+/**
+ * Creates a playback recovery state machine.
+ *
+ * @param {object} options
+ * @param {function(): Promise<void>} options.recover - Reconnects and restores playback.
+ *   Should reject if playback could not be restored.
+ * @param {function(object): void} [options.onStateChange] - Called on every transition with
+ *   `{ state, reason, autoRecover, attempt, downtimeMs }`.
+ * @param {number} [options.maxAttempts=6] - Automatic attempts before giving up.
+ * @param {number} [options.baseDelayMs=1000] - Delay before the first automatic attempt.
+ * @param {number} [options.maxDelayMs=30000] - Upper bound for the delay between attempts.
+ * @returns {object} The state machine, with `reportLost`, `reportRestored`, `retry`,
+ *   `isPlaybackOurs`, `getState` and `stop`.
+ */
+export function createPlaybackRecovery({
+    recover,
+    onStateChange = () => {},
+    maxAttempts = 6,
+    baseDelayMs = 1000,
+    maxDelayMs = 30000,
+}) {
+    let current = RECOVERY_STATES.PLAYING;
+    let reason = null;
+    let autoRecover = true;
+    let attempt = 0;
+    let interruptedAt = null;
+    let timer = null;
+
+    /**
+     * Moves to a new state and notifies the listener.
+     * @param {string} next - One of `RECOVERY_STATES`.
+     * @param {object} [extra={}] - Additional fields for the listener.
+     */
+    function transition(next, extra = {}) {
+        current = next;
+        onStateChange({ state: next, reason, autoRecover, attempt, ...extra });
+    }
+
+    /**
+     * Schedules the next automatic attempt with exponential backoff.
+     */
+    function scheduleAttempt() {
+        clearTimeout(timer);
+        const delay = Math.min(maxDelayMs, baseDelayMs * 2 ** attempt);
+        timer = setTimeout(runAttempt, delay);
+    }
+
+    /**
+     * Runs one recovery attempt.
+     */
+    async function runAttempt() {
+        attempt++;
+        transition(RECOVERY_STATES.RECOVERING);
+        try {
+            await recover();
+            reportRestored();
+        } catch (error) {
+            console.warn(`Playback recovery attempt ${attempt} failed:`, error.message);
+            if (current !== RECOVERY_STATES.RECOVERING) return; // Restored or stopped meanwhile
+            if (attempt >= maxAttempts) {
+                transition(RECOVERY_STATES.FAILED);
+            } else {
+                transition(RECOVERY_STATES.INTERRUPTED);
+                scheduleAttempt();
+            }
+        }
+    }
+
+    /**
+     * Reports that playback is no longer ours. Ignored if already interrupted.
+     * @param {string} lostReason - Why playback was lost, e.g. 'device_offline' or 'playback_moved'.
+     * @param {object} [options={}]
+     * @param {boolean} [options.autoRecover=true] - Retry automatically, or wait for `retry()`.
+     */
+    function reportLost(lostReason, options = {}) {
+        if (current !== RECOVERY_STATES.PLAYING) return;
+        reason = lostReason;
+        autoRecover = options.autoRecover ?? true;
+        attempt = 0;
+        interruptedAt = Date.now();
+        transition(RECOVERY_STATES.INTERRUPTED);
+        if (autoRecover) scheduleAttempt();
+    }
+
+    /**
+     * Reports that playback is ours again, ending any interruption.
+     */
+    function reportRestored() {
+        if (current === RECOVERY_STATES.PLAYING) return;
+        clearTimeout(timer);
+        const downtimeMs = Date.now() - interruptedAt;
+        interruptedAt = null;
+        transition(RECOVERY_STATES.PLAYING, { downtimeMs });
+        reason = null;
+        attempt = 0;
+    }
+
+    /**
+     * Starts a recovery attempt now, e.g. when the participant asks to resume
+     * here or after automatic recovery gave up.
+     */
+    function retry() {
+        if (current === RECOVERY_STATES.PLAYING || current === RECOVERY_STATES.RECOVERING) return;
+        clearTimeout(timer);
+        autoRecover = true;
+        attempt = 0;
+        runAttempt();
+    }
+
+    return {
+        reportLost,
+        reportRestored,
+        retry,
+        /** @returns {boolean} True while session playback is running normally. */
+        isPlaybackOurs: () => current === RECOVERY_STATES.PLAYING,
+        /** @returns {string} The current state, one of `RECOVERY_STATES`. */
+        getState: () => current,
+        /** Cancels any scheduled attempt, e.g. when the session ends. */
+        stop: () => clearTimeout(timer),
+    };
+}
@@ -0,0 +1,167 @@
+// =================================================================================
+// PLAYER ADAPTERS MODULE
+//
+// Gives the session engine one interface to the device a session plays on,
+// whether that is the in-browser Web Playback SDK player or another Spotify
+// device controlled through the Web API. An adapter:
+//
+// - names the device (`getDeviceId`), which the Web API's playback calls target;
+// - reads the current playback as a snapshot (`readSnapshot`);
+// - pushes snapshots and losses of the device as they happen (`subscribe`),
+//   where the device can; other devices are only polled;
+// - pauses playback (`pause`) and reconnects a device that went away (`ensureReady`).
+//
+// A snapshot is `{ trackId, position, paused, muted?, shuffle, repeat, deviceId? }`,
+// or null when nothing is playing.
+// =================================================================================
+
+import { CONFIG } from './config.js';
+import * as SpotifyAPI from './spotify-api.js';
+
+// The web player pushes state changes; polling only fills the gaps between them.
+const WEB_PLAYER_POLL_INTERVAL_MS = 500;
+
+/**
+ * Converts a Web Playback SDK state into a playback snapshot.
+ * @param {object} playerState - The state from `getCurrentState` or `player_state_changed`.
+ * @param {number} [now=Date.now()] - The current time, to extrapolate the position to.
+ * @returns {object | null} `{ trackId, position, paused, shuffle, repeat }`, or null if no track is loaded.
+ */
+export function snapshotFromSdkState(playerState, now = Date.now()) {
+    const sdkTrack = playerState.track_window.current_track;
+    if (!sdkTrack) return null;
+    // Relinked tracks play under another ID; `linked_from` holds the one in the playlist.
+    const trackId = sdkTrack.linked_from?.id || sdkTrack.id;
+    // The SDK reports the position as of `timestamp`; extrapolate it to now while playing.
+    const position = playerState.paused || !playerState.timestamp
+        ? playerState.position
+        : playerState.position + (now - playerState.timestamp);
+    return {
+        trackId,
+        position,
+        paused: playerState.paused,
+        shuffle: playerState.shuffle,
+        repeat: playerState.repeat_mode !== 0,
+    };
+}
+
+/**
+ * Creates an adapter for the in-browser Web Playback SDK player.
+ * @param {object} sdkPlayer - A connected `Spotify.Player`.
+ * @param {object} options
+ * @param {string} options.deviceId - The player's device ID, from its 'ready' event.
+ * @param {boolean} [options.ready=true] - Whether the player is currently connected.
+ * @param {number} [options.reconnectTimeoutMs=CONFIG.WEB_PLAYER_TIMEOUT_MS] - How long
+ *   `ensureReady` waits for the player to come back.
+ * @returns {object} The player adapter.
+ */
+export function createWebPlayerAdapter(sdkPlayer, { deviceId, ready = true, reconnectTimeoutMs = CONFIG.WEB_PLAYER_TIMEOUT_MS }) {
+    let currentDeviceId = deviceId;
+    let isReady = ready;
+    let subscriber = null;
+
+    sdkPlayer.addListener('ready', ({ device_id }) => {
+        // The player may come back with a new device ID.
+        currentDeviceId = device_id;
+        isReady = true;
+    });
+    sdkPlayer.addListener('not_ready', () => {
+        isReady = false;
+        subscriber?.onLost('device_offline');
+    });
+    sdkPlayer.addListener('player_state_changed', playerState => {
+        if (!subscriber) return;
+        if (playerState) {
+            subscriber.onSnapshot(snapshotFromSdkState(playerState));
+        } else {
+            // The SDK reports no state once playback has been transferred elsewhere.
+            subscriber.onLost('playback_moved', { autoRecover: false });
+        }
+    });
+
+    /**
+     * Reconnects the player and waits for it to report ready.
+     * @returns {Promise<void>} Resolves when the player is ready again.
+     * @throws {Error} If the player cannot connect or is not ready within `reconnectTimeoutMs`.
+     */
+    function reconnect() {
+        return new Promise((resolve, reject) => {
+            const fail = message => {
+                clearTimeout(timeout);
+                sdkPlayer.removeListener('ready', onReady);
+                reject(new Error(message));
+            };
+            const onReady = () => {
+                clearTimeout(timeout);
+                sdkPlayer.removeListener('ready', onReady);
+                resolve();
+            };
+            const timeout = setTimeout(() => fail('The web player did not become ready in time.'), reconnectTimeoutMs);
+
+            sdkPlayer.addListener('ready', onReady);
+            sdkPlayer.connect()
+                .then(connected => {
+                    if (!connected) fail('The web player could not reconnect to Spotify.');
+                })
+                .catch(error => fail(error.message));
+        });
+    }
+
+    return {
+        pollIntervalMs: WEB_PLAYER_POLL_INTERVAL_MS,
+        getDeviceId: () => currentDeviceId,
+        async readSnapshot() {
+            const playerState = await sdkPlayer.getCurrentState();
+            const snapshot = playerState && snapshotFromSdkState(playerState);
+            if (!snapshot) return null;
+            const volume = await sdkPlayer.getVolume();
+            return { ...snapshot, muted: volume === 0 };
+        },
+        /**
+         * Forwards the player's state changes and disconnects.
+         * @param {object} handlers
+         * @param {function(object | null): void} handlers.onSnapshot - Called with each new snapshot.
+         * @param {function(string, object=): void} handlers.onLost - Called with the reason (and
+         *   recovery options) when playback is lost.
+         * @returns {function(): void} Stops forwarding.
+         */
+        subscribe(handlers) {
+            subscriber = handlers;
+            return () => { subscriber = null; };
+        },
+        pause: () => sdkPlayer.pause(),
+        ensureReady: () => (isReady ? Promise.resolve() : reconnect()),
+    };
+}
+
+/**
+ * Creates an adapter for a Spotify device other than the web player, such as
+ * the participant's phone. It can only be observed by polling the Web API.
+ * @param {string} deviceId - The device's ID, from `/me/player/devices`.
+ * @param {object} [options={}]
+ * @param {object} [options.api=SpotifyAPI] - The Web API client.
+ * @param {number} [options.pollIntervalMs=CONFIG.REMOTE_PLAYBACK_POLL_INTERVAL_MS] - How often to poll.
+ * @returns {object} The player adapter.
+ */
+export function createRemoteDeviceAdapter(deviceId, { api = SpotifyAPI, pollIntervalMs = CONFIG.REMOTE_PLAYBACK_POLL_INTERVAL_MS } = {}) {
+    return {
+        pollIntervalMs,
+        getDeviceId: () => deviceId,
+        async readSnapshot() {
+            const playback = await api.getPlaybackState();
+            if (!playback || !playback.item) return null;
+            return {
+                trackId: playback.item.linked_from?.id || playback.item.id,
+                position: playback.progress_ms,
+                paused: !playback.is_playing,
+                muted: playback.device?.volume_percent === 0,
+                deviceId: playback.device?.id,
+                shuffle: playback.shuffle_state,
+                repeat: playback.repeat_state !== 'off',
+            };
+        },
+        subscribe: () => () => {},
+        pause: () => api.pause(deviceId),
+        ensureReady: () => Promise.resolve(),
+    };
+}
@@ -0,0 +1,285 @@
+// =================================================================================
+// QUESTIONNAIRE MODULE
+//
+// Declarative questionnaires around the listening session: a consent page,
+// pages asked before the session starts and after it finishes, and an
+// optional rating prompt for each track once its listening goal is met. The
+// questionnaire is defined in `CONFIG.QUESTIONNAIRE` or, if set, in a JSON
+// file at `CONFIG.QUESTIONNAIRE_URL`, which replaces it:
+//
+//     {
+//       consent: { id: 'consent-v1', title: 'Consent', text: '...', agreeLabel: 'I agree' },
+//       pre: [{ id: 'mood', title: 'Before you listen', items: [
+//         { id: 'mood', type: 'likert', prompt: 'How do you feel right now?', required: true,
+//           scale: { min: 1, max: 7, minLabel: 'Very bad', maxLabel: 'Very good' } },
+//       ] }],
+//       post: [{ id: 'experience', title: 'After listening', items: [
+//         { id: 'device', type: 'choice', prompt: 'What did you listen on?',
+//           options: ['Headphones', 'Speakers'], required: true },
+//         { id: 'comments', type: 'text', prompt: 'Anything else?', maxLength: 500, multiline: true },
+//       ] }],
+//       trackRating: { id: 'track', title: 'How did you like this track?', items: [...] },
+//     }
+//
+// Item types are 'likert' (an integer on a scale), 'choice' (one option, or
+// several with `multiple: true`) and 'text'. Answers are keyed by page and
+// item ID and reported with the session (see session-engine.js). This module
+// defines and checks questionnaires and answers; app.js renders them.
+// =================================================================================
+
+import { CONFIG } from './config.js';
+
+const CONSENT_STORAGE_KEY_PREFIX = 'rhythm_game_consent';
+
+/**
+ * The kinds of questionnaire items.
+ */
+export const ITEM_TYPES = {
+    LIKERT: 'likert',
+    CHOICE: 'choice',
+    TEXT: 'text',
+};
+
+const DEFAULT_LIKERT_SCALE = { min: 1, max: 5, minLabel: null, maxLabel: null };
+
+// --- Definitions ---
+
+/**
+ * Fetches the questionnaire defined in the JSON file at `CONFIG.QUESTIONNAIRE_URL`.
+ * @returns {Promise<object | null>} The questionnaire, or null if no file is configured.
+ * @throws {Error} If the file is configured but cannot be loaded.
+ */
+async function fetchQuestionnaireFile() {
+    if (!CONFIG.QUESTIONNAIRE_URL) {
+        return null;
+    }
+    const response = await fetch(CONFIG.QUESTIONNAIRE_URL);
+    if (!response.ok) {
+        throw new Error(`Failed to load the questionnaire from ${CONFIG.QUESTIONNAIRE_URL} (HTTP ${response.status}).`);
+    }
+    return response.json();
+}
+
+/**
+ * Fills in the defaults of an item.
+ * @param {object} item - The item as defined.
+ * @returns {object} The item with `required` and its type's settings.
+ */
+function normalizeItem(item) {
+    const normalized = { required: false, ...item };
+    if (item.type === ITEM_TYPES.LIKERT) {
+        normalized.scale = { ...DEFAULT_LIKERT_SCALE, ...item.scale };
+    } else if (item.type === ITEM_TYPES.CHOICE) {
+        // Options may be plain strings, which serve as both value and label.
+        normalized.options = (item.options || []).map(option =>
+            (typeof option === 'string' ? { value: option, label: option } : option));
+        normalized.multiple = Boolean(item.multiple);
+    } else if (item.type === ITEM_TYPES.TEXT) {
+        normalized.maxLength = item.maxLength ?? 1000;
+        normalized.multiline = Boolean(item.multiline);
+    }
+    return normalized;
+}
+
+/**
+ * Fills in the defaults of a page.
+ * @param {object} page - The page as defined.
+ * @returns {object} The page with a `title`, `text` and normalized `items`.
+ */
+function normalizePage(page) {
+    return { title: null, text: null, ...page, items: (page.items || []).map(normalizeItem) };
+}
+
+/**
+ * Checks that a page and its items are well-formed.
+ * @param {object} page - A normalized page.
+ * @param {string} where - Where the page is, for error messages (e.g. 'pre[0]').
+ * @param {Set<string>} pageIds - IDs of the pages checked so far; page IDs must be unique.
+ * @throws {Error} If the page is malformed.
+ */
+function assertPage(page, where, pageIds) {
+    if (typeof page.id !== 'string' || !page.id) {
+        throw new Error(`Questionnaire page ${where} must have an id.`);
+    }
+    if (pageIds.has(page.id)) {
+        throw new Error(`Questionnaire page id "${page.id}" is used more than once.`);
+    }
+    pageIds.add(page.id);
+
+    const itemIds = new Set();
+    page.items.forEach((item, index) => {
+        const name = `Item ${index + 1} of questionnaire page "${page.id}"`;
+        if (typeof item.id !== 'string' || !item.id || itemIds.has(item.id)) {
+            throw new Error(`${name} must have an id that is unique on its page.`);
+        }
+        itemIds.add(item.id);
+        if (!Object.values(ITEM_TYPES).includes(item.type)) {
+            throw new Error(`${name} has an unknown type "${item.type}".`);
+        }
+        if (typeof item.prompt !== 'string' || !item.prompt) {
+            throw new Error(`${name} must have a prompt.`);
+        }
+        if (item.type === ITEM_TYPES.LIKERT) {
+            const { min, max } = item.scale;
+            if (!Number.isInteger(min) || !Number.isInteger(max) || min >= max) {
+                throw new Error(`${name} has an invalid scale: expected integers with min < max.`);
+            }
+        }
+        if (item.type === ITEM_TYPES.CHOICE && item.options.length < 2) {
+            throw new Error(`${name} must offer at least two options.`);
+        }
+    });
+}
+
+/**
+ * Checks that a questionnaire is well-formed.
+ * @param {object} questionnaire - A normalized questionnaire, as `loadQuestionnaire` returns it.
+ * @throws {Error} If a page or item is malformed.
+ */
+export function validateQuestionnaire(questionnaire) {
+    const pageIds = new Set();
+    const { consent, pre, post, trackRating } = questionnaire;
+    if (consent && (typeof consent.id !== 'string' || !consent.id || typeof consent.text !== 'string')) {
+        throw new Error('The consent page must have an id and a text.');
+    }
+    pre.forEach((page, index) => assertPage(page, `pre[${index}]`, pageIds));
+    post.forEach((page, index) => assertPage(page, `post[${index}]`, pageIds));
+    if (trackRating) assertPage(trackRating, 'trackRating', pageIds);
+}
+
+/**
+ * Resolves the questionnaire. Without one, every part is empty and the
+ * session runs without questions.
+ * @returns {Promise<object>} `{ consent, pre, post, trackRating }`, where `consent` and
+ *   `trackRating` may be null and `pre` and `post` are lists of pages.
+ * @throws {Error} If the questionnaire cannot be loaded or is malformed.
+ */
+export async function loadQuestionnaire() {
+    const definition = await fetchQuestionnaireFile() || CONFIG.QUESTIONNAIRE || {};
+    const questionnaire = {
+        consent: definition.consent
+            ? { title: 'Consent', agreeLabel: 'I agree', declineLabel: 'I do not agree', ...definition.consent }
+            : null,
+        pre: (definition.pre || []).map(normalizePage),
+        post: (definition.post || []).map(normalizePage),
+        trackRating: definition.trackRating ? normalizePage(definition.trackRating) : null,
+    };
+    validateQuestionnaire(questionnaire);
+
+    if (CONFIG.DEBUG_MODE) {
+        console.log('Questionnaire:', questionnaire);
+    }
+
+    return questionnaire;
+}
+
+// --- Answers ---
+
+/**
+ * Checks one answer against its item.
+ * @param {object} item - A normalized item.
+ * @param {any} answer - The answer: a number, an option value, a list of option values, a string or null.
+ * @returns {string | null} What is wrong with the answer, or null if it is fine.
+ */
+function checkAnswer(item, answer) {
+    const isEmpty = answer === null || answer === undefined
+        || (typeof answer === 'string' && answer.trim() === '')
+        || (Array.isArray(answer) && answer.length === 0);
+    if (isEmpty) {
+        return item.required ? 'Please answer this question.' : null;
+    }
+
+    switch (item.type) {
+        case ITEM_TYPES.LIKERT: {
+            const { min, max } = item.scale;
+            return Number.isInteger(answer) && answer >= min && answer <= max
+                ? null : `Please choose a value from ${min} to ${max}.`;
+        }
+        case ITEM_TYPES.CHOICE: {
+            const values = new Set(item.options.map(option => option.value));
+            const chosen = item.multiple ? answer : [answer];
+            return Array.isArray(chosen) && chosen.every(value => values.has(value))
+                ? null : 'Please choose from the options given.';
+        }
+        default:
+            return typeof answer === 'string' && answer.length <= item.maxLength
+                ? null : `Please keep your answer under ${item.maxLength} characters.`;
+    }
+}
+
+/**
+ * Checks the answers to a page.
+ * @param {object} page - A normalized page.
+ * @param {Object<string, any>} answers - The answers, keyed by item ID.
+ * @returns {Object<string, string>} A message for every item whose answer is missing or
+ *   invalid, keyed by item ID. Empty if the page can be submitted.
+ */
+export function validateAnswers(page, answers) {
+    const errors = {};
+    page.items.forEach(item => {
+        const error = checkAnswer(item, answers[item.id]);
+        if (error) errors[item.id] = error;
+    });
+    return errors;
+}
+
+/**
+ * Reduces the answers to a page to what is reported: every item of the page,
+ * with null for unanswered ones and text answers trimmed.
+ * @param {object} page - A normalized page.
+ * @param {Object<string, any>} answers - The answers, keyed by item ID.
+ * @returns {Object<string, any>} The answers to report.
+ */
+export function cleanAnswers(page, answers) {
+    return Object.fromEntries(page.items.map(item => {
+        const answer = answers[item.id];
+        const cleaned = typeof answer === 'string' ? answer.trim() : answer;
+        return [item.id, cleaned === '' || cleaned === undefined ? null : cleaned];
+    }));
+}
+
+// --- Consent ---
+
+/**
+ * Builds the storage key for a participant's consent.
+ * @param {string} participantKey - The pseudonymous participant key, see participant.js.
+ * @returns {string} The localStorage key.
+ */
+function consentStorageKey(participantKey) {
+    return `${CONSENT_STORAGE_KEY_PREFIX}:${participantKey}`;
+}
+
+/**
+ * Returns the participant's consent, if they gave it on this device to the current consent page.
+ * Changing the consent page's `id` asks everyone again.
+ * @param {string} participantKey - The pseudonymous participant key.
+ * @param {object} consent - The consent page.
+ * @returns {{id: string, agreedAt: number} | null} The consent, or null if it has not been given.
+ */
+export function getStoredConsent(participantKey, consent) {
+    try {
+        const stored = JSON.parse(localStorage.getItem(consentStorageKey(participantKey)));
+        return stored?.id === consent.id ? stored : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Remembers that the participant agreed to the consent page, so that later
+ * sessions, e.g. campaign rounds, do not ask again.
+ * @param {string} participantKey - The pseudonymous participant key.
+ * @param {object} consent - The consent page.
+ * @param {number} [agreedAt=Date.now()] - When they agreed.
+ * @returns {{id: string, agreedAt: number}} The consent, as reported with the session.
+ */
+export function storeConsent(participantKey, consent, agreedAt = Date.now()) {
+    const record = { id: consent.id, agreedAt };
+    try {
+        localStorage.setItem(consentStorageKey(participantKey), JSON.stringify(record));
+    } catch (error) {
+        // The participant is asked again next time; the session still carries the consent.
+        console.warn('Could not save consent:', error.message);
+    }
+    return record;
+}
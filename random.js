@@ -0,0 +1,97 @@
+// =================================================================================
+// SEEDED RANDOMNESS MODULE
+//
+// All randomness in a session (duration, goal, track selection) comes from a
+// generator created here, so that a session can be regenerated exactly from
+// its seed. Seeds are arbitrary strings; they are hashed into the 32-bit state
+// of a mulberry32 generator. The module has no browser dependencies and can be
+// imported from Node to audit a session.
+// =================================================================================
+
+/**
+ * Hashes a string seed into a 32-bit unsigned integer (FNV-1a followed by a
+ * murmur3-style finalizer, so that similar seeds give unrelated states).
+ * @param {string} seed - The seed string.
+ * @returns {number} A 32-bit unsigned integer.
+ */
+export function hashSeed(seed) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < seed.length; i++) {
+        hash ^= seed.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    hash ^= hash >>> 16;
+    hash = Math.imul(hash, 0x85ebca6b);
+    hash ^= hash >>> 13;
+    hash = Math.imul(hash, 0xc2b2ae35);
+    hash ^= hash >>> 16;
+    return hash >>> 0;
+}
+
+/**
+ * Creates a seeded pseudo-random number generator.
+ * The same seed always yields the same sequence of values.
+ * @param {string} seed - The seed string.
+ * @returns {object} A generator with `seed`, `next`, `intInRange`, `shuffle` and `weightedSample`.
+ */
+export function createRandom(seed) {
+    let stateValue = hashSeed(String(seed));
+
+    /**
+     * Returns the next value of the mulberry32 sequence.
+     * @returns {number} A float in [0, 1).
+     */
+    function next() {
+        stateValue = (stateValue + 0x6d2b79f5) >>> 0;
+        let t = stateValue;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * Picks an integer within an inclusive range.
+     * @param {number[]} range - The [min, max] bounds.
+     * @returns {number} An integer between min and max.
+     */
+    function intInRange([min, max]) {
+        return Math.floor(next() * (max - min + 1)) + min;
+    }
+
+    /**
+     * Returns a shuffled copy of an array using an unbiased Fisher–Yates shuffle.
+     * @param {any[]} items - The array to shuffle. It is not modified.
+     * @returns {any[]} A new array with the same items in random order.
+     */
+    function shuffle(items) {
+        const result = [...items];
+        for (let i = result.length - 1; i > 0; i--) {
+            const j = Math.floor(next() * (i + 1));
+            [result[i], result[j]] = [result[j], result[i]];
+        }
+        return result;
+    }
+
+    /**
+     * Draws items without replacement, each with a likelihood proportional to
+     * its weight. Equal weights fall back to a plain Fisher–Yates shuffle;
+     * otherwise Efraimidis–Spirakis sampling is used.
+     * @param {any[]} items - The items to draw from. The array is not modified.
+     * @param {number} count - The number of items to draw.
+     * @param {function(any): number} [weightOf] - Returns an item's positive weight. Defaults to 1.
+     * @returns {any[]} Up to `count` items, in draw order.
+     */
+    function weightedSample(items, count, weightOf = () => 1) {
+        const weights = items.map(weightOf);
+        if (weights.every(weight => weight === weights[0])) {
+            return shuffle(items).slice(0, count);
+        }
+        return items
+            .map((item, i) => ({ item, key: next() ** (1 / weights[i]) }))
+            .sort((a, b) => b.key - a.key)
+            .slice(0, count)
+            .map(({ item }) => item);
+    }
+
+    return { seed: String(seed), next, intInRange, shuffle, weightedSample };
+}
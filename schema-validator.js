@@ -0,0 +1,101 @@
+// =================================================================================
+// SCHEMA VALIDATOR MODULE
+//
+// A small JSON Schema validator covering the keywords the project's schemas
+// use: type, const, enum, minimum, required, properties, additionalProperties
+// (false only), items, oneOf and local $ref ("#/$defs/..."). It has no browser
+// dependencies, so the same code can check payloads in the page and in Node.
+// =================================================================================
+
+/**
+ * Returns the JSON Schema type name of a value.
+ * @param {any} value - The value to classify.
+ * @returns {string} 'null', 'array', 'integer', 'number', 'string', 'boolean' or 'object'.
+ */
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (Number.isInteger(value)) return 'integer';
+    return typeof value;
+}
+
+/**
+ * Resolves a local reference such as "#/$defs/event" against the root schema.
+ * @param {object} rootSchema - The schema document containing the definitions.
+ * @param {string} ref - The reference.
+ * @returns {object} The referenced schema.
+ * @throws {Error} If the reference is not local or does not exist.
+ */
+function resolveRef(rootSchema, ref) {
+    if (!ref.startsWith('#/')) {
+        throw new Error(`Only local schema references are supported, got "${ref}".`);
+    }
+    const target = ref.slice(2).split('/').reduce((node, key) => node?.[key], rootSchema);
+    if (!target) {
+        throw new Error(`Unresolved schema reference "${ref}".`);
+    }
+    return target;
+}
+
+/**
+ * Validates a value against a schema.
+ * @param {object} schema - The schema (or sub-schema) to validate against.
+ * @param {any} value - The value to check.
+ * @param {object} [rootSchema=schema] - The document that `$ref`s resolve against.
+ * @param {string} [path='$'] - Location of the value, used in error messages.
+ * @returns {string[]} Human-readable errors; empty if the value is valid.
+ */
+export function validate(schema, value, rootSchema = schema, path = '$') {
+    if (schema.$ref) {
+        return validate(resolveRef(rootSchema, schema.$ref), value, rootSchema, path);
+    }
+
+    const errors = [];
+    const actualType = typeOf(value);
+
+    if (schema.type) {
+        const allowed = [].concat(schema.type);
+        const matches = allowed.includes(actualType) || (actualType === 'integer' && allowed.includes('number'));
+        if (!matches) {
+            return [`${path} should be ${allowed.join(' or ')}, got ${actualType}`];
+        }
+    }
+    if ('const' in schema && value !== schema.const) {
+        errors.push(`${path} should be ${JSON.stringify(schema.const)}`);
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push(`${path} should be one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}`);
+    }
+    if (schema.minimum !== undefined && typeof value === 'number' && value < schema.minimum) {
+        errors.push(`${path} should be at least ${schema.minimum}`);
+    }
+
+    if (actualType === 'object') {
+        (schema.required || []).forEach(key => {
+            if (!(key in value)) errors.push(`${path}.${key} is required`);
+        });
+        Object.entries(value).forEach(([key, child]) => {
+            if (schema.properties?.[key]) {
+                errors.push(...validate(schema.properties[key], child, rootSchema, `${path}.${key}`));
+            } else if (schema.additionalProperties === false) {
+                errors.push(`${path}.${key} is not allowed`);
+            }
+        });
+    }
+
+    if (actualType === 'array' && schema.items) {
+        value.forEach((item, i) => errors.push(...validate(schema.items, item, rootSchema, `${path}[${i}]`)));
+    }
+
+    if (schema.oneOf) {
+        const results = schema.oneOf.map(option => validate(option, value, rootSchema, path));
+        const matching = results.filter(result => result.length === 0).length;
+        if (matching !== 1) {
+            // Report the errors of the closest option to keep the message useful.
+            const closest = results.reduce((best, result) => (result.length < best.length ? result : best));
+            errors.push(matching === 0 ? closest.join('; ') : `${path} matches more than one schema`);
+        }
+    }
+
+    return errors;
+}
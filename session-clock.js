@@ -0,0 +1,113 @@
+// =================================================================================
+// SESSION CLOCK MODULE
+//
+// Measures how long a session has actually been playing, which is what counts
+// toward the session duration. Time spent paused, buffering, interrupted, or
+// with the computer asleep does not count.
+//
+// Playing time is credited from playback observations, the way the listening
+// tracker credits listening time: between two observations of playback, the
+// clock advances by the time that passed or by how far playback advanced,
+// whichever is less. A throttled background tab therefore still counts the
+// music that kept playing, and a stalled player counts nothing. Only credited
+// time counts toward the session. For a timer display that moves smoothly,
+// `getDisplayMs` runs on between observations for at most `maxExtrapolationMs`.
+//
+// Time is read from a monotonic source (`performance.now()` by default), so
+// changing the system clock does not change the session time. The clock also
+// keeps wall time: everything since the session started, playing or not.
+// =================================================================================
+
+/**
+ * Creates a session clock.
+ * @param {object} [options={}]
+ * @param {function(): number} [options.now=() => performance.now()] - Monotonic time, in milliseconds.
+ * @param {number} [options.maxExtrapolationMs=2000] - How long the display time runs on after the
+ *   last observation of playback. Should cover the gap between two observations.
+ * @param {number} [options.playingMs=0] - Playing time carried over, e.g. from a resumed session.
+ * @param {number} [options.wallMs=0] - Wall time carried over.
+ * @returns {object} The session clock.
+ */
+export function createSessionClock({ now = () => performance.now(), maxExtrapolationMs = 2000, playingMs = 0, wallMs = 0 } = {}) {
+    const startedAt = now();
+    let creditedMs = playingMs;
+    let last = null; // The previous observation: { trackId, position, durationMs, playing, at }
+    let stoppedAt = null;
+
+    /**
+     * Credits the playing time between the previous observation and this one.
+     * @param {object} observation - The current observation.
+     * @param {number} at - The time of the observation.
+     */
+    function credit({ trackId, position }, at) {
+        const wallDelta = at - last.at;
+        // Across a track change, playback covered the rest of the previous track
+        // (if its length is known) and the start of this one.
+        const positionDelta = trackId === last.trackId
+            ? position - last.position
+            : (last.durationMs ?? last.position) - last.position + position;
+        creditedMs += Math.min(wallDelta, Math.max(positionDelta, 0));
+    }
+
+    /**
+     * Feeds the clock the current playback.
+     * @param {object} observation
+     * @param {string} observation.trackId - The ID of the track currently loaded.
+     * @param {number} observation.position - The playback position, in milliseconds.
+     * @param {boolean} observation.paused - Whether playback is paused.
+     * @param {number} [observation.durationMs] - The track's length, in milliseconds.
+     * @param {number} [at=now()] - The time of the observation.
+     */
+    function observe({ trackId, position, paused, durationMs }, at = now()) {
+        if (stoppedAt !== null) return;
+        if (last?.playing) credit({ trackId, position }, at);
+        last = { trackId, position, durationMs, playing: !paused, at };
+    }
+
+    /**
+     * Stops the clock until the next observation, e.g. when playback is
+     * interrupted or paused. Time since the last observation is not credited.
+     */
+    function suspend() {
+        last = null;
+    }
+
+    /**
+     * Freezes the clock for good, e.g. when the session finishes. Time since
+     * the last observation is not credited.
+     * @param {number} [at=now()] - The time the session ended.
+     */
+    function stop(at = now()) {
+        if (stoppedAt !== null) return;
+        last = null;
+        stoppedAt = at;
+    }
+
+    /**
+     * @returns {number} The playing time credited from observations, in milliseconds.
+     */
+    function getPlayingMs() {
+        return creditedMs;
+    }
+
+    /**
+     * Returns the playing time run on since the last observation, for display
+     * only: the time run on may turn out not to have been played.
+     * @param {number} [at=now()] - The time to measure up to.
+     * @returns {number} The playing time for a timer display, in milliseconds.
+     */
+    function getDisplayMs(at = now()) {
+        if (!last?.playing) return creditedMs;
+        return creditedMs + Math.min(Math.max(at - last.at, 0), maxExtrapolationMs);
+    }
+
+    /**
+     * @param {number} [at=now()] - The time to measure up to.
+     * @returns {number} The time since the session started, playing or not, in milliseconds.
+     */
+    function getWallMs(at = now()) {
+        return wallMs + (stoppedAt ?? at) - startedAt;
+    }
+
+    return { observe, suspend, stop, getPlayingMs, getDisplayMs, getWallMs };
+}
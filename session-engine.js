@@ -0,0 +1,1014 @@
+// =================================================================================
+// SESSION ENGINE MODULE
+//
+// Runs a listening session, independent of any page: it picks the tracks,
+// starts playback, verifies listening time, keeps the play order, recovers
+// lost playback, times the session and produces the completion code.
+// The session duration counts playing time only, see session-clock.js.
+//
+// In a session with a tap challenge, it also loads each track's beats from
+// the audio analysis and scores the participant's taps (see tap-challenge.js);
+// the UI calls `tap` and draws the beats from `getBeatMap` at the position
+// from `getPlaybackPosition`. In a session with a tap tempo game, the same
+// taps are used to estimate the participant's tempo, which is graded against
+// the track's tempo from its audio features (see tap-tempo.js).
+//
+// Everything it talks to is handed in:
+// - a player adapter for the chosen device (see player-adapters.js),
+// - an API client with the interface of spotify-api.js, for playback control,
+// - a clock (`now`, `monotonicNow`, `setInterval`, `clearInterval`),
+// - an event emitter (see event-emitter.js), on which it announces what happens.
+//
+// A UI subscribes with `engine.on(SESSION_EVENTS.…, listener)` and calls
+// `start`, `pause` and `finish`; the engine never touches the DOM. Track pools
+// and session playlists are still built through track-sources.js and
+// session-playlists.js, which call spotify-api.js themselves.
+//
+// Questionnaire answers (see questionnaire.js) are reported with the session:
+// consent and pre-session answers are handed to `start`, track ratings to
+// `rateTrack`, and post-session answers come from the `debrief` callback,
+// which runs once the session has been reported, and are reported separately.
+//
+// Telemetry and webhooks identify the participant by their pseudonymous key
+// (see participant.js); the Spotify user ID is only used to manage playlists.
+// =================================================================================
+
+import { CONFIG } from './config.js';
+import * as SpotifyAPI from './spotify-api.js';
+import { buildTrackPool } from './track-sources.js';
+import { createRandom } from './random.js';
+import { createCompletionCode, generateSessionId } from './completion-code.js';
+import { createListeningTracker, INTEGRITY_FLAGS } from './listening-tracker.js';
+import { saveSession, clearSession } from './session-store.js';
+import { enqueueEvent } from './event-queue.js';
+import { startTelemetry, trackEvent, stopTelemetry, TELEMETRY_EVENTS } from './telemetry.js';
+import { createPlaybackRecovery, RECOVERY_STATES } from './playback-recovery.js';
+import { createPlayOrderMonitor, PLAY_ORDER_POLICIES } from './play-order.js';
+import { prepareSessionPlaylist, discardSessionPlaylist } from './session-playlists.js';
+import { createEventEmitter } from './event-emitter.js';
+import { createSessionClock } from './session-clock.js';
+import { buildReturnUrl } from './participant.js';
+import { getBeatMap, createTapScorer } from './tap-challenge.js';
+import { createTempoTracker } from './tap-tempo.js';
+import * as SessionRules from './session-rules.js';
+
+// Consecutive snapshots without session playback before it counts as interrupted.
+// Playback briefly reports nothing (or the previous context) around track changes.
+const MISSED_SNAPSHOTS_BEFORE_INTERRUPTION = 3;
+
+// How often the session timer advances and completion is checked.
+const TICK_INTERVAL_MS = 1000;
+
+/**
+ * The events a session engine emits, and their payloads.
+ */
+export const SESSION_EVENTS = {
+    STARTED: 'started', // { session, resumed }: the tracks are chosen and playback is about to start
+    TICK: 'tick', // { elapsedMs, displayMs, wallMs, totalDuration }: every second while the session runs
+    TRACK_PROGRESS: 'track-progress', // { trackIndex, track }: verified listening time changed
+    TRACK_GOAL_MET: 'track-goal-met', // { trackIndex, track }
+    FINISHABLE: 'finishable', // { finishable }: every track goal is met, but not the duration yet
+    PLAYBACK: 'playback', // A recovery transition, see playback-recovery.js
+    PLAY_ORDER_VIOLATION: 'play-order-violation', // { violation, returned }
+    TAP: 'tap', // { trackIndex, judgement, stats }: a tap was scored, see tap-challenge.js
+    TEMPO: 'tempo', // { trackIndex, estimate, stats }: a tap was taken for the tempo, see tap-tempo.js
+    COMPLETED: 'completed', // { code, summary }: the session is over and reported, before the post-session questions
+    FINISHED: 'finished', // { code, summary, returnUrl }: returnUrl leads back to the study platform, if configured
+};
+
+/**
+ * The clock of the page. `now` dates events; `monotonicNow` times the session,
+ * and is not affected by changes to the system clock.
+ */
+export const systemClock = {
+    now: () => Date.now(),
+    monotonicNow: () => performance.now(),
+    setInterval: (callback, ms) => setInterval(callback, ms),
+    clearInterval: handle => clearInterval(handle),
+};
+
+/**
+ * Creates the state of a session that has not started yet.
+ * @returns {object} The session state.
+ */
+function createSessionState() {
+    return {
+        id: null, // Random session ID, embedded in the completion code
+        seed: null,
+        campaign: null, // { name, round } if the session is a round of a campaign, see campaigns.js
+        totalDuration: 0, // in seconds
+        trackCompletionGoal: 0, // percentage
+        tapChallenge: null, // The tap challenge settings, if the session is played as a game, see tap-challenge.js
+        tapTempo: null, // The tap tempo settings, if the session has the tempo game, see tap-tempo.js
+        tracks: [],
+        playlistId: null,
+        playlistUri: null,
+        currentTrackIndex: 0, // Where playback was last seen, for resuming
+        positionMs: 0,
+        resumes: [], // Timestamps at which the session was resumed after an interruption
+        startTime: 0,
+        interruptedMs: 0, // Time playback was not ours
+        interruptedAt: null, // When the current interruption began, if playback is interrupted
+        completedAt: null,
+        integrityFlags: [], // Seeks, pauses, mutes etc. recorded by the listening tracker
+        playOrderViolations: [], // Skips, going back, shuffle and repeat, see play-order.js
+        answers: { consent: null, pre: {}, post: {} }, // Questionnaire answers, keyed by page ID, see questionnaire.js
+    };
+}
+
+export class SessionEngine {
+    #player;
+    #api;
+    #clock;
+    #events;
+    #debrief;
+    #session = createSessionState();
+    #user = null;
+    #participant = null; // { key, participantId, studyId }, see participant.js
+    #profile = null; // The session profile in use, see session-profiles.js
+    #random = null; // The seeded generator behind all session randomness, see random.js
+    #tracker = null; // Verifies listening time from player state, see listening-tracker.js
+    #sessionClock = null; // Playing time and wall time of the session, see session-clock.js
+    #recovery = null; // Whether playback is ours, and getting it back if not, see playback-recovery.js
+    #playOrder = null; // Checks that tracks are played in order, see play-order.js
+    #lastObserved = null; // { trackId, paused } of the previous snapshot, for telemetry transitions
+    #lastPosition = null; // { trackIndex, position, paused, at } of the previous snapshot, for the tap challenge
+    #beatMaps = new Map(); // Beats and bars by track index, in a session with a tap challenge
+    #tapScorers = new Map(); // Tap scorers by track index
+    #tempoTrackers = new Map(); // Tempo trackers by track index, in a session with a tap tempo game
+    #missedSnapshots = 0; // Consecutive snapshots without session playback
+    #finishable = false;
+    #returningToExpectedTrack = false; // Whether playback is being sent back after a play order violation
+    #disablingPlaybackModes = false; // Whether shuffle and repeat are being turned off
+    #timers = { tick: null, poll: null };
+    #unsubscribePlayer = null;
+
+    /**
+     * @param {object} options
+     * @param {object} options.player - The adapter for the device the session plays on.
+     * @param {object} [options.api=SpotifyAPI] - The Web API client.
+     * @param {object} [options.clock=systemClock] - The clock the session is timed with.
+     * @param {object} [options.events=createEventEmitter()] - Where session events are emitted.
+     * @param {function(): Promise<object>} [options.debrief=null] - Asks the post-session questions
+     *   once playback has stopped and the session has been reported. Resolves with the
+     *   answers, keyed by page ID, which are reported in a `session_debrief` event.
+     */
+    constructor({ player, api = SpotifyAPI, clock = systemClock, events = createEventEmitter(), debrief = null }) {
+        this.#player = player;
+        this.#api = api;
+        this.#clock = clock;
+        this.#events = events;
+        this.#debrief = debrief;
+    }
+
+    // --- Public Interface ---
+
+    /**
+     * Listens for a session event.
+     * @param {string} event - One of `SESSION_EVENTS`.
+     * @param {function(object): void} listener - Called with the event's payload.
+     * @returns {function(): void} Removes the listener again.
+     */
+    on(event, listener) {
+        return this.#events.on(event, listener);
+    }
+
+    /**
+     * The session state. Treat it as read-only; it changes as the session runs.
+     * @returns {object} The session.
+     */
+    getSession() {
+        return this.#session;
+    }
+
+    /**
+     * Whether the session is playing or interrupted, as opposed to not started or finished.
+     * @returns {boolean} True between the start of playback and the end of the session.
+     */
+    isRunning() {
+        return Boolean(this.#recovery) && !this.#session.completedAt;
+    }
+
+    /**
+     * Returns the session time that counts toward the session duration: the
+     * time session playback has actually been playing.
+     * @returns {number} The elapsed session time, in milliseconds.
+     */
+    getElapsedMs() {
+        return this.#sessionClock?.getPlayingMs() ?? 0;
+    }
+
+    /**
+     * Returns the time since the session started, whether playing or not,
+     * including earlier stretches of a resumed session.
+     * @returns {number} The wall time of the session, in milliseconds.
+     */
+    getWallMs() {
+        return this.#sessionClock?.getWallMs() ?? 0;
+    }
+
+    /**
+     * Estimates where session playback is now, from the last snapshot and the
+     * time since. Good enough to draw beats by; taps are scored with it too.
+     * @returns {{trackIndex: number, positionMs: number, paused: boolean} | null} The position,
+     *   or null if the session is not running or nothing has been seen yet.
+     */
+    getPlaybackPosition() {
+        const last = this.#lastPosition;
+        if (!last || !this.isRunning()) return null;
+        const paused = last.paused || !this.#recovery.isPlaybackOurs();
+        const track = this.#session.tracks[last.trackIndex];
+        const positionMs = paused
+            ? last.position
+            : Math.min(last.position + this.#clock.monotonicNow() - last.at, track.duration_ms);
+        return { trackIndex: last.trackIndex, positionMs, paused };
+    }
+
+    /**
+     * Returns the beats and bars of a track, in a session with a tap challenge.
+     * @param {number} trackIndex - The track's position in the session.
+     * @returns {{beats: number[], bars: number[]} | null} Times in milliseconds, or null if the
+     *   session has no tap challenge or the track's analysis could not be loaded.
+     */
+    getBeatMap(trackIndex) {
+        return this.#beatMaps.get(trackIndex) ?? null;
+    }
+
+    /**
+     * Takes a tap by the participant on the current track. With a tap
+     * challenge, it is scored against the track's beats and `SESSION_EVENTS.TAP`
+     * is emitted; with a tap tempo game, it goes into the tempo estimate and
+     * `SESSION_EVENTS.TEMPO` is emitted.
+     * @returns {{judgement: object | null, estimate: object | null} | null} The judgement, from the
+     *   track's tap scorer, and the tempo estimate, from its tempo tracker; either is null if it
+     *   does not apply to the track. Null if the tap does not count because playback is not running.
+     */
+    tap() {
+        const playback = this.getPlaybackPosition();
+        if (!playback || playback.paused) return null;
+        const { trackIndex, positionMs } = playback;
+        const track = this.#session.tracks[trackIndex];
+        let judgement = null;
+        let estimate = null;
+
+        const scorer = this.#tapScorers.get(trackIndex);
+        if (scorer) {
+            judgement = scorer.tap(positionMs);
+            track.tap = scorer.getStats();
+            this.#events.emit(SESSION_EVENTS.TAP, { trackIndex, judgement, stats: track.tap });
+        }
+        const tempoTracker = this.#tempoTrackers.get(trackIndex);
+        if (tempoTracker) {
+            estimate = tempoTracker.tap(this.#clock.monotonicNow());
+            track.tapTempo = tempoTracker.getStats();
+            this.#events.emit(SESSION_EVENTS.TEMPO, { trackIndex, estimate, stats: track.tapTempo });
+        }
+        return { judgement, estimate };
+    }
+
+    /**
+     * Starts a new session: draws its parameters, picks its tracks and starts playback.
+     * @param {object} options
+     * @param {object} options.user - The participant's Spotify profile.
+     * @param {object} options.participant - The participant, from `getParticipant`.
+     * @param {object} options.profile - The session profile, from `loadSessionProfile`.
+     * @param {string | null} [options.seed=null] - A seed for the session's randomness.
+     *   Defaults to the profile's fixed seed, or one derived from the participant key,
+     *   today's date (UTC) and the profile name.
+     * @param {object | null} [options.campaign=null] - `{ name, round }` if the session is a
+     *   round of a campaign. It is saved and reported with the session.
+     * @param {string[]} [options.excludeTrackIds=[]] - Tracks the session must not play,
+     *   e.g. those heard in earlier rounds of a campaign.
+     * @param {object} [options.answers={}] - `{ consent, pre }`: the participant's consent and
+     *   their answers to the pre-session questions.
+     * @throws {Error} If the session cannot be set up, e.g. there are too few suitable tracks.
+     */
+    async start({ user, participant, profile, seed = null, campaign = null, excludeTrackIds = [], answers = {} }) {
+        const session = this.#session;
+        this.#user = user;
+        this.#participant = participant;
+        this.#profile = profile;
+        session.campaign = campaign;
+        Object.assign(session.answers, answers);
+        await this.#api.transferPlayback(this.#player.getDeviceId());
+
+        // Seed the session and generate random session parameters
+        session.id = generateSessionId();
+        startTelemetry({ sessionId: session.id, participant });
+        session.seed = seed || this.#deriveSeed();
+        this.#random = createRandom(session.seed);
+        Object.assign(session, SessionRules.generateSessionParameters(profile, this.#random));
+        if (CONFIG.DEBUG_MODE) {
+            console.log(`Session Parameters: seed=${session.seed}, duration=${session.totalDuration}s, trackGoal=${session.trackCompletionGoal}%`);
+        }
+
+        // Pick the tracks
+        const trackPool = await this.#getTrackPool(new Set(excludeTrackIds));
+        if (trackPool.length < profile.trackCount) {
+            throw new Error('Could not find enough suitable tracks to start the session.');
+        }
+        session.tracks = SessionRules.selectRandomTracks(trackPool, profile.trackCount, this.#random);
+        session.tapChallenge = profile.tapChallenge;
+        session.tapTempo = profile.tapTempo;
+        await this.#loadBeatMaps();
+        this.#setUpTempoTrackers();
+
+        // Put the tracks into a private playlist (a new one, or the reused one),
+        // unless they are played as a plain list of track URIs
+        if (CONFIG.PLAYBACK_MODE === 'playlist') {
+            const playlist = await prepareSessionPlaylist(user.id, session.tracks.map(t => t.uri));
+            session.playlistId = playlist.id;
+            session.playlistUri = playlist.uri;
+        }
+        this.#events.emit(SESSION_EVENTS.STARTED, { session, resumed: false });
+
+        // Start playback and monitoring
+        await this.#disablePlaybackModes();
+        await this.#api.play(this.#getPlaybackTarget(), { deviceId: this.#player.getDeviceId() });
+        session.startTime = this.#clock.now();
+        this.#startMonitoring({ playingMs: 0, wallMs: 0 });
+
+        enqueueEvent(CONFIG.N8N_TELEMETRY_URL, {
+            event: 'session_start',
+            participant,
+            profile,
+            session: this.summarize(),
+        });
+    }
+
+    /**
+     * Restores a saved session: reuses its playlist, restores per-track progress
+     * and restarts playback at the track and position where it stopped.
+     * The time between the interruption and now counts as neither playing nor wall time.
+     * @param {object} savedSession - The snapshot from the session store.
+     * @param {object} options
+     * @param {object} options.user - The participant's Spotify profile.
+     * @param {object} options.participant - The participant, from `getParticipant`.
+     * @param {object} options.profile - The session's profile, from `loadSessionProfile`.
+     */
+    async resume(savedSession, { user, participant, profile }) {
+        const session = this.#session;
+        const now = this.#clock.now();
+        this.#user = user;
+        this.#participant = participant;
+        this.#profile = profile;
+        await this.#api.transferPlayback(this.#player.getDeviceId());
+
+        Object.assign(session, savedSession.session);
+        session.tapChallenge = profile.tapChallenge;
+        session.tapTempo = profile.tapTempo;
+        startTelemetry({ sessionId: session.id, participant });
+        // Snapshots saved before wall time was kept only have the session time.
+        const wallMs = savedSession.wallMs ?? savedSession.elapsedMs;
+        session.resumes.push(now);
+        session.startTime = now - wallMs;
+        this.#random = createRandom(session.seed);
+        await this.#loadBeatMaps();
+        this.#setUpTempoTrackers();
+        this.#events.emit(SESSION_EVENTS.STARTED, { session, resumed: true });
+
+        await this.#disablePlaybackModes();
+        await this.#api.play(this.#getPlaybackTarget(), {
+            offset: session.currentTrackIndex,
+            positionMs: session.positionMs,
+            deviceId: this.#player.getDeviceId(),
+        });
+        this.#startMonitoring({ playingMs: savedSession.elapsedMs, wallMs });
+
+        enqueueEvent(CONFIG.N8N_TELEMETRY_URL, {
+            event: 'session_resume',
+            participant,
+            profile: profile.name,
+            session: this.summarize(),
+        });
+        if (CONFIG.DEBUG_MODE) {
+            console.log(`Resumed session ${session.id} at track ${session.currentTrackIndex}, ${session.positionMs}ms.`);
+        }
+    }
+
+    /**
+     * Pauses playback, e.g. for a break. The session timer stops until playback
+     * resumes, as it does when the participant pauses in Spotify.
+     */
+    async pause() {
+        if (!this.isRunning()) return;
+        this.#sessionClock.suspend();
+        await this.#player.pause();
+        this.saveProgress();
+    }
+
+    /**
+     * Records the participant's rating of a track, from the track rating questions.
+     * @param {number} trackIndex - The track's position in the session.
+     * @param {object} rating - The answers, keyed by item ID.
+     */
+    rateTrack(trackIndex, rating) {
+        const track = this.#session.tracks[trackIndex];
+        if (!track) return;
+        track.rating = rating;
+        this.saveProgress();
+    }
+
+    /**
+     * Finalizes the session: stops playback and monitoring, creates the completion code and
+     * reports the session, emitting `SESSION_EVENTS.COMPLETED`. Then asks the post-session
+     * questions, if any, and emits `SESSION_EVENTS.FINISHED` with the code and, if
+     * `CONFIG.STUDY_RETURN_URL` is set, the URL that takes the participant back to the study platform.
+     */
+    async finish() {
+        const session = this.#session;
+        // Guard against a second call while the code is being signed
+        if (session.completedAt) return;
+        session.completedAt = this.#clock.now();
+        this.#sessionClock.stop();
+        clearSession();
+        stopTelemetry();
+        this.stop();
+        Promise.resolve(this.#player.pause())
+            .catch(error => console.warn('Could not pause playback:', error.message));
+
+        // Generate a signed completion code over the session result
+        const code = await createCompletionCode({
+            sessionId: session.id,
+            completedAt: session.completedAt,
+            resultFlags: SessionRules.getResultFlags(session, this.getElapsedMs()),
+        }, CONFIG.COMPLETION_CODE_SECRET);
+
+        // Report the session before asking the post-session questions, so that it
+        // is not lost if the participant leaves during them.
+        enqueueEvent(CONFIG.N8N_COMPLETED_URL, {
+            event: 'session_complete',
+            participant: this.#participant,
+            completionCode: code,
+            profile: this.#profile.name,
+            session: this.summarize(),
+        });
+        discardSessionPlaylist(this.#user.id, session.playlistId);
+        this.#events.emit(SESSION_EVENTS.COMPLETED, { code, summary: this.summarize() });
+
+        if (this.#debrief) {
+            try {
+                session.answers.post = await this.#debrief();
+                enqueueEvent(CONFIG.N8N_COMPLETED_URL, {
+                    event: 'session_debrief',
+                    participant: this.#participant,
+                    completionCode: code,
+                    sessionId: session.id,
+                    answers: session.answers,
+                });
+            } catch (error) {
+                // The participant still gets their code; the session was reported without the answers.
+                console.error('The post-session questions failed:', error);
+            }
+        }
+
+        const summary = this.summarize();
+
+        const returnUrl = buildReturnUrl(CONFIG.STUDY_RETURN_URL, {
+            code,
+            participantId: this.#participant.participantId,
+            studyId: this.#participant.studyId,
+            sessionId: session.id,
+        });
+
+        console.log('Session Finished!');
+        this.#events.emit(SESSION_EVENTS.FINISHED, { code, summary, returnUrl });
+    }
+
+    /**
+     * Stops the timers, playback monitoring and recovery without finishing the
+     * session, e.g. after a fatal error. Saved progress is kept, so the session
+     * can still be resumed.
+     */
+    stop() {
+        this.#clock.clearInterval(this.#timers.tick);
+        this.#clock.clearInterval(this.#timers.poll);
+        this.#timers = { tick: null, poll: null };
+        this.#unsubscribePlayer?.();
+        this.#unsubscribePlayer = null;
+        this.#recovery?.stop();
+    }
+
+    /**
+     * Tries to restore lost playback now, e.g. when the participant asks for it.
+     */
+    retryPlayback() {
+        this.#recovery?.retry();
+    }
+
+    /**
+     * Tells the listening tracker whether the page is in the background.
+     * @param {boolean} hidden - Whether the page is hidden.
+     */
+    setBackgrounded(hidden) {
+        this.#tracker?.setBackgrounded(hidden, this.#clock.now());
+    }
+
+    /**
+     * Saves the running session so that it can be resumed after a reload or crash.
+     */
+    saveProgress() {
+        if (!this.isRunning()) return;
+        saveSession({
+            userId: this.#user.id,
+            profileName: this.#profile.name,
+            session: this.#session,
+            elapsedMs: this.getElapsedMs(),
+            wallMs: this.getWallMs(),
+        });
+    }
+
+    /**
+     * Builds the session part of a webhook payload: the parameters, timing and
+     * per-track results, without full Spotify track objects. `playingMs` is the
+     * time that counted toward the session duration; `wallMs` also includes
+     * pauses and interruptions.
+     * @returns {object} A JSON-serializable summary of the session.
+     */
+    summarize() {
+        const session = this.#session;
+        return {
+            id: session.id,
+            seed: session.seed,
+            campaign: session.campaign,
+            totalDuration: session.totalDuration,
+            trackCompletionGoal: session.trackCompletionGoal,
+            tapChallenge: session.tapChallenge,
+            tapTempo: session.tapTempo,
+            playlistId: session.playlistId,
+            startTime: session.startTime,
+            completedAt: session.completedAt,
+            playingMs: Math.round(this.getElapsedMs()),
+            wallMs: Math.round(this.getWallMs()),
+            interruptedMs: session.interruptedMs,
+            resumes: session.resumes,
+            integrityFlags: session.integrityFlags,
+            playOrderViolations: session.playOrderViolations,
+            answers: session.answers,
+            tracks: session.tracks.map(track => ({
+                id: track.id,
+                name: track.name,
+                artists: track.artists.map(a => a.name),
+                durationMs: track.duration_ms,
+                source: track.source,
+                listenedMs: Math.round(track.listenedMs),
+                goalMet: track.goalMet,
+                tempo: track.tempo ?? null,
+                tap: track.tap ?? null,
+                tapTempo: track.tapTempo ?? null,
+                rating: track.rating ?? null,
+            })),
+        };
+    }
+
+    // --- Session Setup ---
+
+    /**
+     * Derives a seed from the participant key, today's date (UTC) and the profile name,
+     * unless the profile fixes one. The seed is reported with the session, so it must
+     * not contain the Spotify user ID.
+     * @returns {string} The session seed.
+     */
+    #deriveSeed() {
+        if (this.#profile.seed) return String(this.#profile.seed);
+        const today = new Date(this.#clock.now()).toISOString().slice(0, 10);
+        return `${this.#participant.key}:${today}:${this.#profile.name}`;
+    }
+
+    /**
+     * Fetches a pool of suitable tracks for the game.
+     * It gathers candidates from the session profile's track sources and filters
+     * them by the profile's duration range and audio-feature bounds.
+     * @param {Set<string>} excludedTrackIds - Tracks to leave out, whatever the filters say.
+     * @returns {Promise<object[]>} A list of track objects, tagged with their source weight
+     *   and their `tempo` from the audio features (null if Spotify has none).
+     */
+    async #getTrackPool(excludedTrackIds) {
+        const tracks = (await buildTrackPool(this.#profile.trackSources))
+            .filter(track => !excludedTrackIds.has(track.id));
+
+        // Filter out nulls, long tracks, and tracks outside the audio-feature bounds if possible
+        const trackIds = tracks.map(t => t.id).filter(Boolean);
+        const audioFeatures = await this.#api.getAudioFeaturesForTracks(trackIds);
+        const featuresById = new Map(audioFeatures.audio_features.filter(Boolean).map(f => [f.id, f]));
+
+        return SessionRules.filterTrackPool(tracks, featuresById, this.#profile)
+            .map(track => ({ ...track, tempo: featuresById.get(track.id)?.tempo ?? null }));
+    }
+
+    /**
+     * Loads the beats of every session track from its audio analysis and sets
+     * up its tap scorer, if the session has a tap challenge. A track whose
+     * analysis cannot be loaded is played without one.
+     */
+    async #loadBeatMaps() {
+        const { tapChallenge, tracks } = this.#session;
+        if (!tapChallenge) return;
+        await Promise.all(tracks.map(async (track, trackIndex) => {
+            try {
+                const beatMap = getBeatMap(await this.#api.getAudioAnalysis(track.id), tapChallenge.minBeatConfidence);
+                if (beatMap.beats.length === 0) throw new Error('The analysis has no beats.');
+                const scorer = createTapScorer({ beats: beatMap.beats, windowsMs: tapChallenge.windowsMs, stats: track.tap });
+                this.#beatMaps.set(trackIndex, beatMap);
+                this.#tapScorers.set(trackIndex, scorer);
+                track.tap = scorer.getStats();
+            } catch (error) {
+                console.warn(`No tap challenge for "${track.name}":`, error.message);
+                track.tap = null;
+            }
+        }));
+    }
+
+    /**
+     * Sets up the tempo tracker of every session track whose tempo is known,
+     * if the session has a tap tempo game. Other tracks are played without one.
+     */
+    #setUpTempoTrackers() {
+        const { tapTempo, tracks } = this.#session;
+        if (!tapTempo) return;
+        tracks.forEach((track, trackIndex) => {
+            if (!track.tempo) {
+                track.tapTempo = null;
+                return;
+            }
+            const tracker = createTempoTracker({ targetBpm: track.tempo, settings: tapTempo, stats: track.tapTempo });
+            this.#tempoTrackers.set(trackIndex, tracker);
+            track.tapTempo = tracker.getStats();
+        });
+    }
+
+    /**
+     * Returns what to hand to the API's `play` for this session: the session
+     * playlist, or the track URIs when the session has no playlist
+     * (`CONFIG.PLAYBACK_MODE` 'uris'). Track indexes are the same either way.
+     * @returns {string | string[]} The playlist URI, or the session's track URIs in order.
+     */
+    #getPlaybackTarget() {
+        return this.#session.playlistUri || this.#session.tracks.map(t => t.uri);
+    }
+
+    /**
+     * Starts the session timer, playback monitoring and recovery.
+     * @param {object} carriedOver - Time from before a resume.
+     * @param {number} carriedOver.playingMs - Playing time so far.
+     * @param {number} carriedOver.wallMs - Wall time so far.
+     */
+    #startMonitoring({ playingMs, wallMs }) {
+        const session = this.#session;
+        this.#sessionClock = createSessionClock({
+            now: () => this.#clock.monotonicNow(),
+            // The timer display runs on until the next read of playback is due, with some slack
+            maxExtrapolationMs: 2 * this.#player.pollIntervalMs,
+            playingMs,
+            wallMs,
+        });
+        this.#markPlaybackStarted();
+        this.#tracker = createListeningTracker({
+            initialListenedMs: Object.fromEntries(session.tracks.map(t => [t.id, t.listenedMs])),
+            onFlag: flag => {
+                session.integrityFlags.push(flag);
+                if (flag.type === INTEGRITY_FLAGS.SEEK) {
+                    trackEvent(TELEMETRY_EVENTS.SEEK, {
+                        trackId: flag.trackId,
+                        fromMs: Math.max(0, Math.round(flag.from)),
+                        toMs: Math.max(0, Math.round(flag.to)),
+                    });
+                }
+                if (CONFIG.DEBUG_MODE) console.log('Integrity flag:', flag);
+            },
+        });
+        this.#recovery = createPlaybackRecovery({
+            recover: () => this.#restorePlayback(),
+            onStateChange: change => this.#handleRecoveryStateChange(change),
+        });
+        this.#playOrder = createPlayOrderMonitor({
+            policy: CONFIG.PLAY_ORDER_POLICY,
+            expectedIndex: session.currentTrackIndex,
+            onViolation: violation => this.#handlePlayOrderViolation(violation),
+        });
+        this.#unsubscribePlayer = this.#player.subscribe({
+            onSnapshot: snapshot => this.#handlePlaybackSnapshot(snapshot),
+            onLost: (reason, options) => this.#interruptPlayback(reason, options),
+        });
+
+        this.#timers.tick = this.#clock.setInterval(() => this.#tick(), TICK_INTERVAL_MS);
+
+        // The player adapter decides how often playback is read: the web player also
+        // pushes its state changes, other devices can only be polled through the Web API.
+        this.#timers.poll = this.#clock.setInterval(async () => {
+            let snapshot;
+            try {
+                snapshot = await this.#player.readSnapshot();
+            } catch (error) {
+                // The API client has already retried; the connection is gone for now.
+                console.warn('Could not read playback state:', error.message);
+                this.#interruptPlayback('connection_lost');
+                return;
+            }
+            this.#handlePlaybackSnapshot(snapshot);
+        }, this.#player.pollIntervalMs);
+    }
+
+    // --- Timing and Completion ---
+
+    /**
+     * Advances the session timer and checks whether the session is complete.
+     */
+    #tick() {
+        const session = this.#session;
+        const elapsedMs = this.getElapsedMs();
+        this.#events.emit(SESSION_EVENTS.TICK, {
+            elapsedMs,
+            displayMs: this.#sessionClock.getDisplayMs(),
+            wallMs: this.getWallMs(),
+            totalDuration: session.totalDuration,
+        });
+
+        const { allTracksGoalMet, totalTimeMet, complete } = SessionRules.checkCompletion(session, elapsedMs);
+        const finishable = allTracksGoalMet && !totalTimeMet;
+        if (finishable !== this.#finishable) {
+            this.#finishable = finishable;
+            this.#events.emit(SESSION_EVENTS.FINISHABLE, { finishable });
+        }
+        if (complete) {
+            this.finish();
+            return;
+        }
+        this.saveProgress();
+    }
+
+    /**
+     * Checks a track's verified listening time against the session's per-track goal.
+     * @param {object} track - A session track.
+     * @returns {boolean} True if enough of the track has actually been played.
+     */
+    #isTrackGoalMet(track) {
+        return SessionRules.isTrackGoalMet(track, this.#session.trackCompletionGoal);
+    }
+
+    // --- Playback Monitoring ---
+
+    /**
+     * Checks whether a playback snapshot shows the session playing on the chosen
+     * device. Session playback is recorded; anything else interrupts the session,
+     * and session playback seen during an interruption ends it.
+     * @param {object | null} snapshot - A snapshot from the player adapter.
+     */
+    #handlePlaybackSnapshot(snapshot) {
+        if (!this.isRunning()) return;
+
+        if (snapshot?.deviceId && snapshot.deviceId !== this.#player.getDeviceId()) {
+            this.#interruptPlayback('playback_moved', { autoRecover: false });
+            return;
+        }
+
+        const isSessionTrack = snapshot && this.#session.tracks.some(t => t.id === snapshot.trackId);
+        if (!isSessionTrack) {
+            this.#missedSnapshots++;
+            if (this.#missedSnapshots >= MISSED_SNAPSHOTS_BEFORE_INTERRUPTION) {
+                // Nothing playing may be a dropped connection; other music is the participant's choice.
+                if (snapshot) {
+                    this.#interruptPlayback('other_content', { autoRecover: false });
+                } else {
+                    this.#interruptPlayback('playback_stopped');
+                }
+            }
+            return;
+        }
+        this.#missedSnapshots = 0;
+
+        if (!this.#recovery.isPlaybackOurs()) {
+            // Session playback is back, e.g. the participant returned to it themselves.
+            // While a recovery attempt is running, the attempt reports the outcome.
+            if (this.#recovery.getState() !== RECOVERY_STATES.RECOVERING) {
+                this.#recovery.reportRestored();
+            }
+            return;
+        }
+        if (this.#enforcePlayOrder(snapshot)) {
+            this.#recordPlaybackSnapshot(snapshot);
+        }
+    }
+
+    /**
+     * Feeds a playback snapshot into the listening tracker and updates the
+     * current track's verified listening time and goal.
+     * @param {object} snapshot - A snapshot of a session track.
+     */
+    #recordPlaybackSnapshot({ trackId, position, paused, muted }) {
+        const session = this.#session;
+        const now = this.#clock.now();
+        if (muted !== undefined) this.#tracker.setMuted(muted, now);
+        this.#tracker.observe({ trackId, position, paused }, now);
+        this.#recordPlaybackTransitions(trackId, position, paused);
+
+        const trackIndex = session.tracks.findIndex(t => t.id === trackId);
+        if (trackIndex === -1) return;
+        const track = session.tracks[trackIndex];
+        this.#sessionClock.observe({ trackId, position, paused, durationMs: track.duration_ms });
+        session.currentTrackIndex = trackIndex;
+        session.positionMs = Math.round(position);
+        this.#lastPosition = { trackIndex, position, paused, at: this.#clock.monotonicNow() };
+        const scorer = this.#tapScorers.get(trackIndex);
+        if (scorer) {
+            scorer.advance(position);
+            track.tap = scorer.getStats();
+        }
+
+        track.listenedMs = this.#tracker.getListenedMs(track.id);
+        track.listenedPercent = (track.listenedMs / track.duration_ms) * 100;
+        this.#events.emit(SESSION_EVENTS.TRACK_PROGRESS, { trackIndex, track });
+
+        if (this.#isTrackGoalMet(track) && !track.goalMet) {
+            track.goalMet = true;
+            console.log(`Track goal met for: ${track.name}`);
+            trackEvent(TELEMETRY_EVENTS.TRACK_GOAL_MET, {
+                trackId: track.id,
+                trackIndex,
+                listenedMs: Math.round(track.listenedMs),
+            });
+            this.#events.emit(SESSION_EVENTS.TRACK_GOAL_MET, { trackIndex, track });
+        }
+    }
+
+    /**
+     * Emits telemetry for track changes, pauses and resumes by comparing the
+     * current snapshot with the previous one.
+     * @param {string} trackId - The ID of the track currently loaded.
+     * @param {number} position - The playback position, in milliseconds.
+     * @param {boolean} paused - Whether playback is paused.
+     */
+    #recordPlaybackTransitions(trackId, position, paused) {
+        const previous = this.#lastObserved;
+        const positionMs = Math.max(0, Math.round(position));
+        const trackIndex = this.#session.tracks.findIndex(t => t.id === trackId);
+
+        if (trackIndex !== -1 && previous?.trackId !== trackId) {
+            trackEvent(TELEMETRY_EVENTS.TRACK_STARTED, { trackId, trackIndex, positionMs });
+        } else if (previous && paused !== previous.paused) {
+            trackEvent(paused ? TELEMETRY_EVENTS.PAUSED : TELEMETRY_EVENTS.RESUMED, { trackId, positionMs });
+        }
+
+        this.#lastObserved = { trackId, paused };
+    }
+
+    // --- Playback Recovery ---
+
+    /**
+     * Reports playback as lost to the recovery state machine.
+     * @param {string} reason - Why playback was lost, e.g. 'device_offline' or 'playback_moved'.
+     * @param {object} [options] - Passed on to `reportLost`.
+     */
+    #interruptPlayback(reason, options) {
+        if (!this.isRunning()) return;
+        // Once every track has met its goal there is nothing left to verify, so playback
+        // ending (or autoplay moving on to other music) is not an interruption to recover
+        // from. It does stop the session clock; the participant can finish the session.
+        if (this.#session.tracks.every(track => this.#isTrackGoalMet(track))) return;
+        this.#recovery.reportLost(reason, options);
+    }
+
+    /**
+     * Restores session playback on the chosen device at the track and position
+     * where it was last seen. Reconnects the device first if it went offline.
+     * @returns {Promise<void>} Resolves once playback has been restarted.
+     */
+    async #restorePlayback() {
+        const session = this.#session;
+        await this.#player.ensureReady();
+        await this.#api.transferPlayback(this.#player.getDeviceId());
+        await this.#api.play(this.#getPlaybackTarget(), {
+            offset: session.currentTrackIndex,
+            positionMs: session.positionMs,
+            deviceId: this.#player.getDeviceId(),
+        });
+        this.#markPlaybackStarted();
+    }
+
+    /**
+     * Starts the session clock from where playback was just started, so that the
+     * first read of playback already counts. If the player is slow to start, that
+     * read shows less progress and less time is counted.
+     */
+    #markPlaybackStarted() {
+        const session = this.#session;
+        const track = session.tracks[session.currentTrackIndex];
+        this.#sessionClock.observe({
+            trackId: track.id,
+            position: session.positionMs,
+            paused: false,
+            durationMs: track.duration_ms,
+        });
+    }
+
+    /**
+     * Stops the session timer and records telemetry when playback is lost,
+     * records telemetry when it is restored, and passes the transition on to subscribers.
+     * @param {object} change - The transition, from the recovery state machine.
+     */
+    #handleRecoveryStateChange(change) {
+        const session = this.#session;
+        const now = this.#clock.now();
+        const deviceId = this.#player.getDeviceId();
+
+        if (change.state === RECOVERY_STATES.PLAYING) {
+            session.interruptedMs += now - session.interruptedAt;
+            session.interruptedAt = null;
+            this.#missedSnapshots = 0;
+            // Playback restarts at the last known position; the gap is not a seek.
+            this.#tracker.resetContinuity();
+            trackEvent(TELEMETRY_EVENTS.DEVICE_RESTORED, { deviceId, downtimeMs: change.downtimeMs });
+        } else if (session.interruptedAt === null) {
+            this.#sessionClock.suspend();
+            session.interruptedAt = now;
+            trackEvent(TELEMETRY_EVENTS.DEVICE_LOST, { deviceId });
+            if (CONFIG.DEBUG_MODE) console.log(`Playback interrupted: ${change.reason}`);
+        }
+        this.#events.emit(SESSION_EVENTS.PLAYBACK, change);
+    }
+
+    // --- Play Order ---
+
+    /**
+     * Checks a snapshot of session playback against the play order, turns shuffle
+     * and repeat back off, and sends playback back to the expected track if the
+     * policy is 'auto-return'.
+     * @param {object} snapshot - A snapshot of a session track.
+     * @returns {boolean} True if the snapshot should be recorded; false while it shows
+     *   a track the participant is being sent back from.
+     */
+    #enforcePlayOrder(snapshot) {
+        const session = this.#session;
+        const now = this.#clock.now();
+        if (snapshot.shuffle !== undefined) {
+            this.#playOrder.observeModes({ shuffle: snapshot.shuffle, repeat: snapshot.repeat }, now);
+            if (snapshot.shuffle || snapshot.repeat) this.#disablePlaybackModes();
+        }
+
+        const trackIndex = session.tracks.findIndex(t => t.id === snapshot.trackId);
+        const expectedTrack = session.tracks[this.#playOrder.getExpectedIndex()];
+        this.#playOrder.observeTrack(trackIndex, this.#isTrackGoalMet(expectedTrack), now);
+
+        if (CONFIG.PLAY_ORDER_POLICY !== PLAY_ORDER_POLICIES.AUTO_RETURN
+            || trackIndex === this.#playOrder.getExpectedIndex()) {
+            return true;
+        }
+        this.#returnToExpectedTrack();
+        return false;
+    }
+
+    /**
+     * Restarts playback at the expected track, where the participant left it.
+     */
+    async #returnToExpectedTrack() {
+        if (this.#returningToExpectedTrack) return;
+        this.#returningToExpectedTrack = true;
+
+        const session = this.#session;
+        const expectedIndex = this.#playOrder.getExpectedIndex();
+        // The last recorded position belongs to the expected track, since
+        // snapshots of other tracks are not recorded under this policy.
+        const positionMs = session.currentTrackIndex === expectedIndex ? session.positionMs : 0;
+        try {
+            await this.#api.play(this.#getPlaybackTarget(), { offset: expectedIndex, positionMs, deviceId: this.#player.getDeviceId() });
+            // Returning to the last position after a while is not a seek.
+            this.#tracker.resetContinuity();
+        } catch (error) {
+            console.warn('Could not return to the expected track:', error.message);
+        } finally {
+            this.#returningToExpectedTrack = false;
+        }
+    }
+
+    /**
+     * Turns off shuffle and repeat on the chosen device. Failures are logged: the
+     * play order checks still catch tracks played out of order.
+     */
+    async #disablePlaybackModes() {
+        if (this.#disablingPlaybackModes) return;
+        this.#disablingPlaybackModes = true;
+        const deviceId = this.#player.getDeviceId();
+        try {
+            await Promise.all([
+                this.#api.setShuffle(false, deviceId),
+                this.#api.setRepeatMode('off', deviceId),
+            ]);
+        } catch (error) {
+            console.warn('Could not turn off shuffle and repeat:', error.message);
+        } finally {
+            this.#disablingPlaybackModes = false;
+        }
+    }
+
+    /**
+     * Records a play order violation and passes it on to subscribers.
+     * @param {object} violation - The violation, from the play order monitor.
+     */
+    #handlePlayOrderViolation(violation) {
+        this.#session.playOrderViolations.push(violation);
+        if (CONFIG.DEBUG_MODE) console.log('Play order violation:', violation);
+        const isTrackViolation = 'actualIndex' in violation;
+        const returned = isTrackViolation && violation.policy === PLAY_ORDER_POLICIES.AUTO_RETURN;
+        this.#events.emit(SESSION_EVENTS.PLAY_ORDER_VIOLATION, { violation, returned });
+    }
+}
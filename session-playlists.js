@@ -0,0 +1,144 @@
+// =================================================================================
+// SESSION PLAYLISTS MODULE
+//
+// Manages the private playlists sessions are played from. By default each
+// session gets a new playlist that is removed (unfollowed) when the session
+// finishes or is abandoned. With `CONFIG.REUSE_SESSION_PLAYLIST`, one playlist
+// per user is kept and refilled for every session instead.
+//
+// Playlists left behind by sessions that never ended cleanly can be found by
+// their name prefix or the marker in their description, and removed in bulk.
+// =================================================================================
+
+import { CONFIG } from './config.js';
+import * as SpotifyAPI from './spotify-api.js';
+import { loadSession } from './session-store.js';
+
+export const SESSION_PLAYLIST_PREFIX = 'Rhythm Game Session - ';
+export const SESSION_PLAYLIST_MARKER = '#rhythm-game-session';
+
+const SESSION_PLAYLIST_DESCRIPTION = `Temporary playlist for Rhythm Game session. ${SESSION_PLAYLIST_MARKER}`;
+const REUSED_PLAYLIST_KEY = 'rhythm_game_playlist';
+
+/**
+ * Checks whether a playlist was created for a session, by its name or description.
+ * @param {object} playlist - A (simplified) Spotify playlist object.
+ * @returns {boolean} True for session playlists.
+ */
+export function isSessionPlaylist(playlist) {
+    return playlist.name.startsWith(SESSION_PLAYLIST_PREFIX)
+        || (playlist.description || '').includes(SESSION_PLAYLIST_MARKER);
+}
+
+// --- Reused Playlist ---
+
+/**
+ * Looks up the playlist kept for reuse, if one was created for this user.
+ * @param {string} userId - The Spotify user.
+ * @returns {string | null} The playlist ID, or null.
+ */
+function getReusedPlaylistId(userId) {
+    try {
+        const stored = JSON.parse(localStorage.getItem(REUSED_PLAYLIST_KEY));
+        return stored?.userId === userId ? stored.playlistId : null;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Remembers the playlist to reuse for this user's next sessions.
+ * @param {string} userId - The Spotify user.
+ * @param {string} playlistId - The playlist ID.
+ */
+function rememberReusedPlaylist(userId, playlistId) {
+    localStorage.setItem(REUSED_PLAYLIST_KEY, JSON.stringify({ userId, playlistId }));
+}
+
+// --- Session Lifecycle ---
+
+/**
+ * Gets a playlist containing exactly the session's tracks: the reused playlist,
+ * refilled, if reuse is enabled and it still exists, otherwise a new one.
+ * @param {string} userId - The Spotify user.
+ * @param {string[]} trackUris - The session's tracks, in play order.
+ * @returns {Promise<{id: string, uri: string}>} The playlist to play.
+ */
+export async function prepareSessionPlaylist(userId, trackUris) {
+    if (CONFIG.REUSE_SESSION_PLAYLIST) {
+        const playlistId = getReusedPlaylistId(userId);
+        if (playlistId) {
+            try {
+                await SpotifyAPI.replacePlaylistItems(playlistId, trackUris);
+                return { id: playlistId, uri: `spotify:playlist:${playlistId}` };
+            } catch (error) {
+                if (!(error instanceof SpotifyAPI.SpotifyApiError) || ![403, 404].includes(error.status)) throw error;
+                console.warn('The reused session playlist is no longer available; creating a new one.');
+            }
+        }
+    }
+
+    const name = CONFIG.REUSE_SESSION_PLAYLIST
+        ? `${SESSION_PLAYLIST_PREFIX}Current`
+        : `${SESSION_PLAYLIST_PREFIX}${new Date().toLocaleString()}`;
+    const playlist = await SpotifyAPI.createPlaylist(userId, name, SESSION_PLAYLIST_DESCRIPTION);
+    await SpotifyAPI.addTracksToPlaylist(playlist.id, trackUris);
+    if (CONFIG.REUSE_SESSION_PLAYLIST) {
+        rememberReusedPlaylist(userId, playlist.id);
+    }
+    return { id: playlist.id, uri: playlist.uri };
+}
+
+/**
+ * Removes a session's playlist once the session has finished or been abandoned.
+ * The reused playlist is kept. Failures are logged, not thrown: a leftover
+ * playlist can still be removed later with `findOrphanedPlaylists` and `removePlaylists`.
+ * @param {string} userId - The Spotify user.
+ * @param {string | null} playlistId - The session's playlist.
+ */
+export async function discardSessionPlaylist(userId, playlistId) {
+    if (!playlistId || playlistId === getReusedPlaylistId(userId)) return;
+    try {
+        await SpotifyAPI.unfollowPlaylist(playlistId);
+    } catch (error) {
+        console.warn(`Could not remove session playlist ${playlistId}:`, error.message);
+    }
+}
+
+// --- Cleanup ---
+
+/**
+ * Finds session playlists owned by the user that no session needs anymore.
+ * The reused playlist and the playlist of a session that can still be resumed are kept.
+ * @param {string} userId - The Spotify user.
+ * @returns {Promise<object[]>} The orphaned playlists.
+ */
+export async function findOrphanedPlaylists(userId) {
+    const keep = new Set([getReusedPlaylistId(userId), loadSession(userId)?.session.playlistId]);
+    const playlists = await SpotifyAPI.getUserPlaylists();
+    return playlists.filter(playlist =>
+        playlist.owner?.id === userId && isSessionPlaylist(playlist) && !keep.has(playlist.id)
+    );
+}
+
+/**
+ * Removes playlists one by one, continuing past failures.
+ * @param {object[]} playlists - The playlists to remove, e.g. from `findOrphanedPlaylists`.
+ * @param {function(number, number): void} [onProgress] - Called with (done, total) after each playlist.
+ * @returns {Promise<{removed: object[], failed: object[]}>} Which playlists were and were not removed.
+ */
+export async function removePlaylists(playlists, onProgress = () => {}) {
+    const removed = [];
+    const failed = [];
+    for (const playlist of playlists) {
+        try {
+            await SpotifyAPI.unfollowPlaylist(playlist.id);
+            removed.push(playlist);
+        } catch (error) {
+            console.warn(`Could not remove playlist ${playlist.id}:`, error.message);
+            failed.push(playlist);
+        }
+        onProgress(removed.length + failed.length, playlists.length);
+    }
+    return { removed, failed };
+}
@@ -0,0 +1,168 @@
+// =================================================================================
+// SESSION PROFILES MODULE
+//
+// A session profile is a named set of rules for generating a session: how many
+// tracks, the duration and per-track goal ranges, which tracks qualify and
+// where they come from. Profiles are defined in `CONFIG.SESSION_PROFILES` and,
+// optionally, in a JSON file at `CONFIG.SESSION_PROFILES_URL`, whose entries
+// take precedence. Every profile is completed with `PROFILE_DEFAULTS`, so a
+// profile only needs to list what it changes.
+//
+// The profile is chosen with the `profile` URL parameter on app.html
+// (e.g. app.html?profile=short), falling back to `CONFIG.DEFAULT_SESSION_PROFILE`.
+// =================================================================================
+
+import { CONFIG } from './config.js';
+import { TAP_CHALLENGE_DEFAULTS } from './tap-challenge.js';
+import { TAP_TEMPO_DEFAULTS } from './tap-tempo.js';
+
+/**
+ * The rules used for anything a profile does not specify.
+ * @type {object}
+ * @property {number} trackCount - Number of tracks in a session.
+ * @property {number[]} durationRange - [min, max] total session duration in seconds.
+ * @property {number[]} completionGoalRange - [min, max] percentage of each track that must be heard.
+ * @property {number[]} trackDurationRangeMs - [min, max] length of an eligible track, exclusive, in milliseconds.
+ * @property {Object<string, {min?: number, max?: number}>} audioFeatureFilters - Bounds on Spotify
+ *   audio features (e.g. `instrumentalness`, `energy`, `tempo`) that eligible tracks must meet.
+ * @property {number} minFilteredPoolSize - If fewer tracks than this pass the audio-feature filters,
+ *   they are ignored and only the duration range is applied.
+ * @property {object[]} trackSources - Track sources, as described in track-sources.js.
+ * @property {string | null} seed - Fixed seed for session randomness, or null to derive one.
+ * @property {object | null} tapChallenge - Makes the session a game: the participant taps along to the
+ *   beat, and the session reports whether every track reached a tap accuracy. Any of `TAP_CHALLENGE_DEFAULTS`
+ *   (see tap-challenge.js) can be set; `true` takes them all. Null for a listening-only session.
+ * @property {object | null} tapTempo - The tempo game: the participant's tapped tempo is graded against
+ *   each track's tempo from its audio features. Any of `TAP_TEMPO_DEFAULTS` (see tap-tempo.js) can be
+ *   set; `true` takes them all. It does not affect the track goals. Null to leave it out.
+ */
+export const PROFILE_DEFAULTS = {
+    trackCount: 3,
+    durationRange: [300, 600],
+    completionGoalRange: [50, 80],
+    trackDurationRangeMs: [90000, 600000],
+    audioFeatureFilters: {
+        instrumentalness: { min: 0.6 },
+    },
+    minFilteredPoolSize: 10,
+    trackSources: CONFIG.TRACK_SOURCES,
+    seed: null,
+    tapChallenge: null,
+    tapTempo: null,
+};
+
+/**
+ * Fetches the profiles defined in the JSON file at `CONFIG.SESSION_PROFILES_URL`.
+ * @returns {Promise<object>} The profiles keyed by name, or an empty object if no file is configured.
+ * @throws {Error} If the file is configured but cannot be loaded.
+ */
+async function fetchProfileFile() {
+    if (!CONFIG.SESSION_PROFILES_URL) {
+        return {};
+    }
+    const response = await fetch(CONFIG.SESSION_PROFILES_URL);
+    if (!response.ok) {
+        throw new Error(`Failed to load session profiles from ${CONFIG.SESSION_PROFILES_URL} (HTTP ${response.status}).`);
+    }
+    return response.json();
+}
+
+/**
+ * Checks that a [min, max] pair is well-formed.
+ * @param {string} name - The profile name, for the error message.
+ * @param {string} key - The profile key being checked.
+ * @param {any} range - The value to check.
+ * @throws {Error} If the value is not two numbers in ascending order.
+ */
+function assertRange(name, key, range) {
+    const isValid = Array.isArray(range) && range.length === 2 &&
+        range.every(Number.isFinite) && range[0] <= range[1];
+    if (!isValid) {
+        throw new Error(`Session profile "${name}" has an invalid ${key}: expected [min, max].`);
+    }
+}
+
+/**
+ * Checks that a resolved profile can produce a session.
+ * @param {object} profile - The profile, merged with the defaults.
+ * @throws {Error} If any rule is out of range.
+ */
+function validateProfile(profile) {
+    const { name } = profile;
+    if (!Number.isInteger(profile.trackCount) || profile.trackCount < 1) {
+        throw new Error(`Session profile "${name}" must have a trackCount of at least 1.`);
+    }
+    assertRange(name, 'durationRange', profile.durationRange);
+    assertRange(name, 'completionGoalRange', profile.completionGoalRange);
+    assertRange(name, 'trackDurationRangeMs', profile.trackDurationRangeMs);
+    if (profile.completionGoalRange[0] < 0 || profile.completionGoalRange[1] > 100) {
+        throw new Error(`Session profile "${name}" has a completionGoalRange outside 0–100%.`);
+    }
+    if (!Array.isArray(profile.trackSources) || profile.trackSources.length === 0) {
+        throw new Error(`Session profile "${name}" must list at least one track source.`);
+    }
+    if (profile.tapChallenge) {
+        const { minAccuracy, windowsMs } = profile.tapChallenge;
+        if (!(minAccuracy >= 0 && minAccuracy <= 100)) {
+            throw new Error(`Session profile "${name}" has a tapChallenge.minAccuracy outside 0–100%.`);
+        }
+        if (!(windowsMs.perfect > 0 && windowsMs.perfect <= windowsMs.good)) {
+            throw new Error(`Session profile "${name}" has invalid tapChallenge.windowsMs: expected 0 < perfect <= good.`);
+        }
+    }
+    if (profile.tapTempo) {
+        const { tolerancePercent, maxErrorPercent, minTaps, windowTaps } = profile.tapTempo;
+        if (!(tolerancePercent > 0 && tolerancePercent <= maxErrorPercent)) {
+            throw new Error(`Session profile "${name}" has an invalid tapTempo tolerance: expected 0 < tolerancePercent <= maxErrorPercent.`);
+        }
+        if (!Number.isInteger(minTaps) || !Number.isInteger(windowTaps) || minTaps < 3 || minTaps > windowTaps) {
+            throw new Error(`Session profile "${name}" has invalid tapTempo taps: expected integers with 3 <= minTaps <= windowTaps.`);
+        }
+    }
+}
+
+/**
+ * Completes the settings of a game mode (`tapChallenge` or `tapTempo`) with its defaults.
+ * @param {object | boolean | null} settings - The profile's settings for the mode.
+ * @param {object} defaults - The mode's defaults.
+ * @returns {object | null} The settings, or null if the profile does not use the mode.
+ */
+function resolveGameSettings(settings, defaults) {
+    if (!settings) return null;
+    const overrides = settings === true ? {} : settings;
+    const resolved = { ...defaults, ...overrides };
+    // Nested settings, e.g. the timing windows, are completed too.
+    Object.entries(defaults)
+        .filter(([, value]) => typeof value === 'object' && value !== null)
+        .forEach(([key, value]) => { resolved[key] = { ...value, ...overrides[key] }; });
+    return resolved;
+}
+
+/**
+ * Resolves the session profile selected for this page load.
+ * @param {string} [name] - The profile to load. Defaults to the `profile` URL
+ *   parameter, then to `CONFIG.DEFAULT_SESSION_PROFILE`.
+ * @returns {Promise<object>} The profile merged with `PROFILE_DEFAULTS`, including its `name`.
+ * @throws {Error} If the profile does not exist or is invalid.
+ */
+export async function loadSessionProfile(name) {
+    const profileName = name
+        || new URLSearchParams(window.location.search).get('profile')
+        || CONFIG.DEFAULT_SESSION_PROFILE;
+
+    const profiles = { ...CONFIG.SESSION_PROFILES, ...await fetchProfileFile() };
+    if (!Object.hasOwn(profiles, profileName)) {
+        throw new Error(`Unknown session profile "${profileName}".`);
+    }
+
+    const profile = { ...PROFILE_DEFAULTS, ...profiles[profileName], name: profileName };
+    profile.tapChallenge = resolveGameSettings(profile.tapChallenge, TAP_CHALLENGE_DEFAULTS);
+    profile.tapTempo = resolveGameSettings(profile.tapTempo, TAP_TEMPO_DEFAULTS);
+    validateProfile(profile);
+
+    if (CONFIG.DEBUG_MODE) {
+        console.log('Session profile:', profile);
+    }
+
+    return profile;
+}
@@ -0,0 +1,150 @@
+// =================================================================================
+// SESSION RULES MODULE
+//
+// The rules of a session, free of any DOM, player or API access: how session
+// parameters are drawn from a profile, which tracks are eligible, how tracks
+// are picked, and when a session counts as complete. app.js feeds them the
+// session state; the tests in test/ feed them fixtures.
+// =================================================================================
+
+import { RESULT_FLAGS } from './completion-code.js';
+import { hasIntegrityConcerns } from './listening-tracker.js';
+
+// --- Session Parameters ---
+
+/**
+ * Draws the session's parameters within the ranges of the session profile.
+ * @param {object} profile - The session profile (see session-profiles.js).
+ * @param {object} random - A seeded generator from `createRandom`.
+ * @returns {{totalDuration: number, trackCompletionGoal: number}} The total session
+ *   duration in seconds and the required listening percentage per track.
+ */
+export function generateSessionParameters(profile, random) {
+    return {
+        totalDuration: random.intInRange(profile.durationRange),
+        trackCompletionGoal: random.intInRange(profile.completionGoalRange),
+    };
+}
+
+// --- Track Selection ---
+
+/**
+ * Checks whether a track's audio features fall within the profile's bounds.
+ * @param {object} features - The track's audio features from Spotify.
+ * @param {Object<string, {min?: number, max?: number}>} filters - Bounds keyed by feature name.
+ * @returns {boolean} True if every bounded feature is within range.
+ */
+export function matchesAudioFeatureFilters(features, filters) {
+    return Object.entries(filters).every(([feature, { min = -Infinity, max = Infinity }]) =>
+        features[feature] >= min && features[feature] <= max
+    );
+}
+
+/**
+ * Filters candidate tracks by the profile's duration range and audio-feature bounds.
+ * If too few tracks pass the audio-feature bounds, only the duration range is applied.
+ * @param {object[]} tracks - The candidate tracks.
+ * @param {Map<string, object>} featuresById - Audio features keyed by track ID.
+ * @param {object} profile - The session profile, with `trackDurationRangeMs`,
+ *   `audioFeatureFilters` and `minFilteredPoolSize`.
+ * @returns {object[]} The eligible tracks.
+ */
+export function filterTrackPool(tracks, featuresById, { trackDurationRangeMs, audioFeatureFilters, minFilteredPoolSize }) {
+    const [minDurationMs, maxDurationMs] = trackDurationRangeMs;
+    const hasSuitableDuration = track => track.duration_ms > minDurationMs && track.duration_ms < maxDurationMs;
+
+    const filteredTracks = tracks.filter(track => {
+        const features = featuresById.get(track.id);
+        return features && hasSuitableDuration(track) && matchesAudioFeatureFilters(features, audioFeatureFilters);
+    });
+
+    return filteredTracks.length > minFilteredPoolSize ? filteredTracks : tracks.filter(hasSuitableDuration);
+}
+
+/**
+ * Selects a specified number of random tracks from a pool using the session's
+ * seeded generator. Tracks are drawn without replacement, each with a
+ * likelihood proportional to the weight of the source it came from.
+ * The pool is sorted by track ID first, so the selection depends only on the
+ * seed and the pool's contents, not on the order the sources responded in.
+ * @param {object[]} pool - The array of tracks to choose from.
+ * @param {number} count - The number of tracks to select.
+ * @param {object} random - A seeded generator from `createRandom`.
+ * @returns {object[]} A new array with the selected tracks, with listening progress reset.
+ */
+export function selectRandomTracks(pool, count, random) {
+    const orderedPool = [...pool].sort((a, b) => (a.id < b.id ? -1 : a.id > b.id ? 1 : 0));
+    const selected = random.weightedSample(orderedPool, count, track => track.weight || 1);
+    return selected.map(track => ({
+        ...track,
+        listenedMs: 0,
+        listenedPercent: 0,
+        goalMet: false,
+    }));
+}
+
+// --- Completion ---
+
+/**
+ * Checks a track's verified listening time against the session's per-track goal.
+ * @param {object} track - A session track.
+ * @param {number} trackCompletionGoal - The required listening percentage.
+ * @returns {boolean} True if enough of the track has actually been played.
+ */
+export function isTrackGoalMet(track, trackCompletionGoal) {
+    return (track.listenedMs / track.duration_ms) * 100 >= trackCompletionGoal;
+}
+
+/**
+ * Checks the tap accuracy of every track against the session's tap challenge.
+ * Accuracy is reported, not required: missed beats cannot be made up, so a
+ * track's goal and the session's completion only depend on listening.
+ * Tracks without a beat map (`track.tap` unset) are left out.
+ * @param {object[]} tracks - The session tracks.
+ * @param {object | null} tapChallenge - The session's tap challenge, see tap-challenge.js.
+ * @returns {boolean} True if the session has a tap challenge and every track met its minimum accuracy.
+ */
+export function isTapAccuracyMet(tracks, tapChallenge) {
+    if (!tapChallenge) return false;
+    return tracks.every(track => !track.tap || track.tap.accuracy >= tapChallenge.minAccuracy);
+}
+
+/**
+ * Checks the session's completion criteria.
+ * @param {object} session
+ * @param {object[]} session.tracks - The session tracks.
+ * @param {number} session.trackCompletionGoal - The required listening percentage per track.
+ * @param {number} session.totalDuration - The required session duration, in seconds.
+ * @param {number} elapsedMs - The session time elapsed so far.
+ * @returns {{allTracksGoalMet: boolean, totalTimeMet: boolean, complete: boolean}} Which criteria are met.
+ */
+export function checkCompletion({ tracks, trackCompletionGoal, totalDuration }, elapsedMs) {
+    const allTracksGoalMet = tracks.every(track => isTrackGoalMet(track, trackCompletionGoal));
+    const totalTimeMet = elapsedMs / 1000 >= totalDuration;
+    return { allTracksGoalMet, totalTimeMet, complete: allTracksGoalMet && totalTimeMet };
+}
+
+/**
+ * Summarizes the session result as the bitmask embedded in the completion code.
+ * @param {object} session - The session, as for `checkCompletion`, plus
+ *   `integrityFlags`, `playOrderViolations` and `tapChallenge`.
+ * @param {number} elapsedMs - The session time elapsed at completion.
+ * @returns {number} The sum of the `RESULT_FLAGS` that apply.
+ */
+export function getResultFlags(session, elapsedMs) {
+    const { allTracksGoalMet, totalTimeMet } = checkCompletion(session, elapsedMs);
+    let flags = 0;
+    if (allTracksGoalMet) {
+        flags |= RESULT_FLAGS.ALL_TRACK_GOALS_MET;
+    }
+    if (totalTimeMet) {
+        flags |= RESULT_FLAGS.DURATION_MET;
+    }
+    if (hasIntegrityConcerns(session.integrityFlags) || session.playOrderViolations.length > 0) {
+        flags |= RESULT_FLAGS.INTEGRITY_FLAGGED;
+    }
+    if (isTapAccuracyMet(session.tracks, session.tapChallenge)) {
+        flags |= RESULT_FLAGS.TAP_ACCURACY_MET;
+    }
+    return flags;
+}
@@ -0,0 +1,118 @@
+// =================================================================================
+// SESSION STORE MODULE
+//
+// Persists the running session to localStorage so that a page refresh, an SDK
+// disconnect or a browser crash does not throw away a participant's progress.
+// Only what is needed to resume is stored: the session parameters, the
+// playlist, the seed, slimmed-down tracks with their tempo, verified listening
+// time, tap and tempo scores and ratings, the questionnaire answers so far, the
+// session's playing and wall time, and where playback was. Snapshots belong to
+// one Spotify user and expire after `CONFIG.SESSION_RESUME_MAX_AGE_HOURS`.
+// =================================================================================
+
+import { CONFIG } from './config.js';
+
+const STORAGE_KEY = 'rhythm_game_session';
+
+// Bump when the snapshot format changes; older snapshots are then discarded.
+const SNAPSHOT_VERSION = 1;
+
+/**
+ * Reduces a session track to the fields needed to resume and render it.
+ * @param {object} track - A session track.
+ * @returns {object} The stored form of the track.
+ */
+function toStoredTrack(track) {
+    return {
+        id: track.id,
+        uri: track.uri,
+        name: track.name,
+        duration_ms: track.duration_ms,
+        artists: track.artists.map(({ name }) => ({ name })),
+        album: { images: track.album?.images || [] },
+        source: track.source,
+        weight: track.weight,
+        listenedMs: track.listenedMs,
+        listenedPercent: track.listenedPercent,
+        goalMet: track.goalMet,
+        tempo: track.tempo ?? null,
+        tap: track.tap ?? null,
+        tapTempo: track.tapTempo ?? null,
+        rating: track.rating ?? null,
+    };
+}
+
+/**
+ * Saves a snapshot of the running session.
+ * @param {object} snapshot
+ * @param {string} snapshot.userId - The Spotify user the session belongs to.
+ * @param {string} snapshot.profileName - The session profile in use.
+ * @param {object} snapshot.session - The session state from app.js.
+ * @param {number} snapshot.elapsedMs - Playing time so far, which counts toward the session duration.
+ * @param {number} snapshot.wallMs - Time since the session started, playing or not.
+ */
+export function saveSession({ userId, profileName, session, elapsedMs, wallMs }) {
+    const snapshot = {
+        version: SNAPSHOT_VERSION,
+        savedAt: Date.now(),
+        userId,
+        profileName,
+        elapsedMs,
+        wallMs,
+        session: {
+            id: session.id,
+            seed: session.seed,
+            campaign: session.campaign,
+            totalDuration: session.totalDuration,
+            trackCompletionGoal: session.trackCompletionGoal,
+            playlistId: session.playlistId,
+            playlistUri: session.playlistUri,
+            currentTrackIndex: session.currentTrackIndex,
+            positionMs: session.positionMs,
+            integrityFlags: session.integrityFlags,
+            playOrderViolations: session.playOrderViolations,
+            resumes: session.resumes,
+            answers: session.answers,
+            tracks: session.tracks.map(toStoredTrack),
+        },
+    };
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(snapshot));
+    } catch (error) {
+        // Storage can be full or disabled (e.g. some private browsing modes). Resuming is best-effort.
+        console.warn('Could not save session progress:', error.message);
+    }
+}
+
+/**
+ * Loads the saved session for a user, if there is one that can still be resumed.
+ * Snapshots for another user, in an old format or older than the resume window are discarded.
+ * @param {string} userId - The current Spotify user ID.
+ * @returns {object | null} The snapshot passed to `saveSession`, plus `savedAt`, or null.
+ */
+export function loadSession(userId) {
+    let snapshot;
+    try {
+        snapshot = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    } catch (error) {
+        snapshot = null;
+    }
+    if (!snapshot) return null;
+
+    const maxAgeMs = CONFIG.SESSION_RESUME_MAX_AGE_HOURS * 60 * 60 * 1000;
+    const isUsable = snapshot.version === SNAPSHOT_VERSION
+        && snapshot.userId === userId
+        && Date.now() - snapshot.savedAt < maxAgeMs;
+    if (!isUsable) {
+        clearSession();
+        return null;
+    }
+    return snapshot;
+}
+
+/**
+ * Removes the saved session, e.g. after it finished or the participant chose to start over.
+ */
+export function clearSession() {
+    localStorage.removeItem(STORAGE_KEY);
+}
@@ -2,72 +2,268 @@
 // SPOTIFY API MODULE
 //
 // This module centralizes all communication with the Spotify Web API. It handles
-// access token management, request signing, and standardized error handling.
+// access token management, request signing, rate limiting, retries and
+// standardized error handling.
 // By abstracting API calls, it keeps the main application logic clean and
 // focused on state management rather than HTTP requests.
 // =================================================================================
 
 import { CONFIG } from './config.js';
+import { getAccessToken, refreshAccessToken } from './token-manager.js';
 
-const API_BASE_URL = 'https://api.spotify.com/v1';
+export { getAccessToken };
+
+const API_BASE_URL = CONFIG.SPOTIFY_API_BASE_URL;
+
+// Statuses worth retrying: rate limiting and transient server-side failures.
+const RETRYABLE_STATUSES = new Set([429, 500, 502, 503, 504]);
+
+/**
+ * Error raised for every failed Spotify API request.
+ * `retryable` tells callers whether the failure was transient (rate limiting,
+ * server errors, network loss) and survived all retries, or is permanent
+ * (bad request, missing scope, unknown resource) and will fail again.
+ */
+export class SpotifyApiError extends Error {
+    /**
+     * @param {string} message - Human-readable error message.
+     * @param {object} details
+     * @param {number} details.status - HTTP status code, or 0 if the request never got a response.
+     * @param {string} details.endpoint - The API endpoint that was called.
+     * @param {boolean} details.retryable - Whether the failure was transient.
+     * @param {object} [details.data] - The parsed error body from Spotify, if any.
+     */
+    constructor(message, { status, endpoint, retryable, data = null }) {
+        super(message);
+        this.name = 'SpotifyApiError';
+        this.status = status;
+        this.endpoint = endpoint;
+        this.retryable = retryable;
+        this.data = data;
+    }
+}
+
+// --- Request Scheduling ---
+
+// Number of requests currently in flight, and callers waiting for a free slot.
+let activeRequests = 0;
+const requestQueue = [];
+
+// Timestamp before which no request may be sent, set from Spotify's Retry-After header.
+// Shared by all requests so that one 429 pauses the whole burst, not just the failed call.
+let rateLimitedUntil = 0;
 
 /**
- * Retrieves the access token from sessionStorage.
- * If the token is missing or expired, it redirects to the login page.
- * @returns {string} The valid access token.
+ * Waits until fewer than `CONFIG.API_MAX_CONCURRENT_REQUESTS` requests are in flight.
+ * @returns {Promise<void>} Resolves once the caller holds a request slot.
  */
-function getAccessToken() {
-    const token = sessionStorage.getItem('access_token');
-    const expiresAt = sessionStorage.getItem('expires_at');
+function acquireRequestSlot() {
+    if (activeRequests < CONFIG.API_MAX_CONCURRENT_REQUESTS) {
+        activeRequests++;
+        return Promise.resolve();
+    }
+    return new Promise(resolve => requestQueue.push(resolve));
+}
 
-    if (!token || !expiresAt || Date.now() > parseInt(expiresAt)) {
-        // Token is invalid, clear session and force re-authentication
-        sessionStorage.clear();
-        window.location.replace('index.html');
-        throw new Error('Access token expired or missing. Redirecting to login.');
+/**
+ * Releases a request slot, handing it directly to the next queued caller if any.
+ */
+function releaseRequestSlot() {
+    const next = requestQueue.shift();
+    if (next) {
+        next();
+    } else {
+        activeRequests--;
     }
+}
+
+/**
+ * Returns a promise that resolves after the given delay.
+ * @param {number} ms - The delay in milliseconds.
+ * @returns {Promise<void>}
+ */
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
 
-    return token;
+/**
+ * Calculates how long to wait before the next attempt.
+ * Uses Spotify's Retry-After header when present, otherwise exponential
+ * backoff with full jitter so that parallel callers don't retry in lockstep.
+ * @param {number} attempt - The zero-based number of the attempt that just failed.
+ * @param {Response} [response] - The failed response, if one was received.
+ * @returns {number} The delay in milliseconds.
+ */
+function getRetryDelay(attempt, response) {
+    const retryAfter = parseInt(response?.headers.get('Retry-After'), 10);
+    if (!Number.isNaN(retryAfter)) {
+        return retryAfter * 1000;
+    }
+    const ceiling = Math.min(CONFIG.API_BACKOFF_MAX_MS, CONFIG.API_BACKOFF_BASE_MS * 2 ** attempt);
+    return Math.random() * ceiling;
+}
+
+/**
+ * Sends a single authorized request, refreshing the token and retrying once
+ * if Spotify rejects it with a 401.
+ * @param {string} endpoint - The API endpoint to call.
+ * @param {object} options - Standard fetch options.
+ * @returns {Promise<Response>} The raw fetch response.
+ */
+async function sendAuthorizedRequest(endpoint, options) {
+    const send = async () => {
+        const token = await getAccessToken();
+        const headers = {
+            'Authorization': `Bearer ${token}`,
+            'Content-Type': 'application/json',
+            ...options.headers,
+        };
+        return fetch(`${API_BASE_URL}${endpoint}`, { ...options, headers });
+    };
+
+    const response = await send();
+
+    // The token can be revoked or expire mid-session. Refresh it and try once more.
+    if (response.status === 401) {
+        await refreshAccessToken();
+        return send();
+    }
+
+    return response;
 }
 
 /**
  * A wrapper around the native fetch API to handle Spotify API requests.
- * It automatically adds the Authorization header and handles common API errors.
+ * It automatically adds the Authorization header, refreshes the token on a 401,
+ * limits the number of concurrent requests and retries rate-limited (429),
+ * server (5xx) and network failures with backoff.
  *
  * @param {string} endpoint - The API endpoint to call (e.g., '/me').
  * @param {object} [options={}] - Standard fetch options (method, headers, body).
  * @returns {Promise<any>} A promise that resolves to the JSON response.
- * @throws {Error} Throws an error for non-successful responses.
+ * @throws {SpotifyApiError} Throws for non-successful responses once retries are exhausted.
  */
 async function spotifyFetch(endpoint, options = {}) {
-    const token = getAccessToken();
-    const url = `${API_BASE_URL}${endpoint}`;
+    for (let attempt = 0; ; attempt++) {
+        const waitMs = rateLimitedUntil - Date.now();
+        if (waitMs > 0) {
+            await sleep(waitMs);
+        }
 
-    const headers = {
-        'Authorization': `Bearer ${token}`,
-        'Content-Type': 'application/json',
-        ...options.headers,
-    };
+        await acquireRequestSlot();
+        let response;
+        let networkError = null;
+        try {
+            response = await sendAuthorizedRequest(endpoint, options);
+        } catch (error) {
+            // fetch() rejects with a TypeError only when no response was received
+            // (offline, DNS, CORS). Anything else, such as a failed token refresh, is final.
+            if (!(error instanceof TypeError)) {
+                throw error;
+            }
+            networkError = error;
+        } finally {
+            releaseRequestSlot();
+        }
+
+        if (networkError) {
+            if (attempt < CONFIG.API_MAX_RETRIES) {
+                await sleep(getRetryDelay(attempt));
+                continue;
+            }
+            throw new SpotifyApiError(`Network error: ${networkError.message}`, {
+                status: 0,
+                endpoint,
+                retryable: true,
+            });
+        }
+
+        if (response.ok) {
+            // 204 No Content has no body, and some endpoints (e.g. unfollowing a
+            // playlist) answer 200 with an empty one.
+            const body = await response.text();
+            return body ? JSON.parse(body) : null;
+        }
 
-    const response = await fetch(url, { ...options, headers });
+        const retryable = RETRYABLE_STATUSES.has(response.status);
+        if (retryable && attempt < CONFIG.API_MAX_RETRIES) {
+            const delay = getRetryDelay(attempt, response);
+            if (response.status === 429) {
+                rateLimitedUntil = Math.max(rateLimitedUntil, Date.now() + delay);
+            }
+            if (CONFIG.DEBUG_MODE) {
+                console.warn(`Spotify API ${response.status} on ${endpoint}, retrying in ${Math.round(delay)}ms.`);
+            }
+            await sleep(delay);
+            continue;
+        }
 
-    if (!response.ok) {
-        // If the token expires mid-session, a 401 will be returned.
-        // getAccessToken() will handle the redirect on the next call.
         const errorData = await response.json().catch(() => ({})); // Catch if body is not JSON
         const errorMessage = errorData.error?.message || `HTTP Error: ${response.status} ${response.statusText}`;
         console.error(`Spotify API Error on ${endpoint}:`, errorMessage, errorData);
-        throw new Error(errorMessage);
+        throw new SpotifyApiError(errorMessage, {
+            status: response.status,
+            endpoint,
+            retryable,
+            data: errorData,
+        });
     }
-    
-    // For 204 No Content responses, there is no body to parse
-    if(response.status === 204) {
-        return null;
+}
+
+// --- Pagination ---
+
+/**
+ * Iterates over every item of a paginated Spotify endpoint, following the
+ * `next` link of each page until the last page or `maxItems` is reached.
+ *
+ * @example
+ * for await (const item of paginate('/me/tracks?limit=50')) { ... }
+ *
+ * @param {string} endpoint - The API endpoint of the first page (e.g., '/me/tracks?limit=50').
+ * @param {object} [options={}]
+ * @param {function(object): object} [options.select] - Extracts the paging object from a response.
+ *   Most endpoints return it directly; search nests it (e.g., `results => results.tracks`).
+ * @param {number} [options.maxItems=Infinity] - Stop after yielding this many items.
+ * @yields {object} Each item of each page, in order.
+ */
+export async function* paginate(endpoint, { select = page => page, maxItems = Infinity } = {}) {
+    let nextEndpoint = endpoint;
+    let yielded = 0;
+
+    while (nextEndpoint && yielded < maxItems) {
+        const page = select(await spotifyFetch(nextEndpoint));
+        for (const item of page.items) {
+            if (yielded >= maxItems) return;
+            yield item;
+            yielded++;
+        }
+        // `next` is an absolute URL; spotifyFetch expects a path below API_BASE_URL.
+        nextEndpoint = page.next ? page.next.replace(API_BASE_URL, '') : null;
     }
+}
 
-    return response.json();
+/**
+ * Collects every item from an async iterator into an array.
+ * @param {AsyncIterable<any>} iterable - The iterator to drain, e.g. the result of `paginate`.
+ * @returns {Promise<any[]>} All items, in order.
+ */
+export async function collect(iterable) {
+    const items = [];
+    for await (const item of iterable) {
+        items.push(item);
+    }
+    return items;
 }
 
+/**
+ * Builds the query string used by the player endpoints.
+ * @param {string} [deviceId] - The target device, if any. Without one, the active device is targeted.
+ * @param {Object<string, string>} [params={}] - Other query parameters of the endpoint.
+ * @returns {string} The query string including '?', or an empty string if there are no parameters.
+ */
+const deviceQuery = (deviceId, params = {}) => {
+    const query = new URLSearchParams(deviceId ? { ...params, device_id: deviceId } : params).toString();
+    return query ? `?${query}` : '';
+};
+
 // --- Exported API Functions ---
 
 /**
@@ -94,21 +290,64 @@ export const transferPlayback = (deviceId) => spotifyFetch('/me/player', {
     }),
 });
 
+/**
+ * Gets the user's current playback state on whichever device is active.
+ * Used to follow progress on devices the Web Playback SDK cannot observe.
+ * @returns {Promise<object | null>} The playback state, or null if nothing is playing.
+ */
+export const getPlaybackState = () => spotifyFetch('/me/player');
+
+/**
+ * Pauses playback.
+ * @param {string} [deviceId] - The device to pause. Defaults to the user's active device.
+ */
+export const pause = (deviceId) => spotifyFetch(`/me/player/pause${deviceQuery(deviceId)}`, { method: 'PUT' });
+
+/**
+ * Turns shuffle on or off.
+ * @param {boolean} enabled - Whether to shuffle.
+ * @param {string} [deviceId] - The device to change. Defaults to the user's active device.
+ */
+export const setShuffle = (enabled, deviceId) => spotifyFetch(`/me/player/shuffle${deviceQuery(deviceId, { state: String(enabled) })}`, { method: 'PUT' });
+
+/**
+ * Sets the repeat mode.
+ * @param {string} mode - 'off', 'track' or 'context'.
+ * @param {string} [deviceId] - The device to change. Defaults to the user's active device.
+ */
+export const setRepeatMode = (mode, deviceId) => spotifyFetch(`/me/player/repeat${deviceQuery(deviceId, { state: mode })}`, { method: 'PUT' });
+
 /**
  * Creates a new, private playlist for the user.
  * @param {string} userId - The user's Spotify ID.
  * @param {string} name - The name for the new playlist.
+ * @param {string} [description='Temporary playlist for Rhythm Game session.'] - The playlist description.
  * @returns {Promise<object>} The newly created playlist object.
  */
-export const createPlaylist = (userId, name) => spotifyFetch(`/users/${userId}/playlists`, {
+export const createPlaylist = (userId, name, description = 'Temporary playlist for Rhythm Game session.') => spotifyFetch(`/users/${userId}/playlists`, {
     method: 'POST',
     body: JSON.stringify({
         name: name,
-        description: 'Temporary playlist for Rhythm Game session.',
+        description: description,
         public: false,
     }),
 });
 
+/**
+ * Removes a playlist from the current user's library. Spotify has no way to
+ * delete a playlist; unfollowing it is what deleting does in the Spotify apps.
+ * @param {string} playlistId - The ID of the playlist.
+ * @returns {Promise<null>} Resolves once the playlist is unfollowed.
+ */
+export const unfollowPlaylist = (playlistId) => spotifyFetch(`/playlists/${playlistId}/followers`, { method: 'DELETE' });
+
+/**
+ * Gets the playlists the current user owns or follows, following pagination.
+ * @param {number} [maxItems=Infinity] - Stop after this many playlists.
+ * @returns {Promise<object[]>} The simplified playlist objects.
+ */
+export const getUserPlaylists = (maxItems) => collect(paginate('/me/playlists?limit=50', { maxItems }));
+
 /**
  * Adds tracks to a specified playlist.
  * @param {string} playlistId - The ID of the playlist.
@@ -123,13 +362,33 @@ export const addTracksToPlaylist = (playlistId, trackUris) => spotifyFetch(`/pla
 });
 
 /**
- * Starts or resumes playback on the user's active device.
- * @param {string} playlistUri - The URI of the playlist to play.
+ * Replaces all tracks of a playlist. Used to reuse one playlist across sessions.
+ * @param {string} playlistId - The ID of the playlist.
+ * @param {string[]} trackUris - The new tracks, at most 100.
+ * @returns {Promise<object>} The response from the API, with the new `snapshot_id`.
+ */
+export const replacePlaylistItems = (playlistId, trackUris) => spotifyFetch(`/playlists/${playlistId}/tracks`, {
+    method: 'PUT',
+    body: JSON.stringify({
+        uris: trackUris,
+    }),
+});
+
+/**
+ * Starts or resumes playback.
+ * @param {string | string[]} target - The URI of the playlist to play, or a list of track URIs
+ *   to play in order without a playlist.
+ * @param {object} [options={}] - Where in the playlist or list to start, and on which device.
+ * @param {number} [options.offset=0] - The zero-based index of the track to start with.
+ * @param {number} [options.positionMs=0] - The position within that track, in milliseconds.
+ * @param {string} [options.deviceId] - The device to play on. Defaults to the user's active device.
  */
-export const play = (playlistUri) => spotifyFetch('/me/player/play', {
+export const play = (target, { offset = 0, positionMs = 0, deviceId } = {}) => spotifyFetch(`/me/player/play${deviceQuery(deviceId)}`, {
     method: 'PUT',
     body: JSON.stringify({
-        context_uri: playlistUri,
+        ...(Array.isArray(target) ? { uris: target } : { context_uri: target }),
+        offset: { position: offset },
+        position_ms: positionMs,
     }),
 });
 
@@ -146,29 +405,89 @@ export const getNewReleases = () => spotifyFetch('/browse/new-releases?limit=50'
 export const getFeaturedPlaylists = () => spotifyFetch('/browse/featured-playlists?limit=50');
 
 /**
- * Gets the tracks from a specific playlist.
+ * Gets all tracks from a specific playlist, following pagination.
  * @param {string} playlistId - The ID of the playlist.
- * @returns {Promise<object>} A list of tracks from the playlist.
+ * @param {number} [maxItems=Infinity] - Stop after this many playlist items.
+ * @returns {Promise<object[]>} The playlist items, each with the track under `track`.
+ */
+export const getPlaylistTracks = (playlistId, maxItems) =>
+    collect(paginate(`/playlists/${playlistId}/tracks?limit=100`, { maxItems }));
+
+/**
+ * Gets a single album, including its images and release details.
+ * @param {string} albumId - The ID of the album.
+ * @returns {Promise<object>} The album object.
+ */
+export const getAlbum = (albumId) => spotifyFetch(`/albums/${albumId}`);
+
+/**
+ * Gets all tracks of an album, following pagination. The returned tracks are
+ * simplified track objects and do not include the album they belong to.
+ * @param {string} albumId - The ID of the album.
+ * @returns {Promise<object[]>} The simplified tracks.
  */
-export const getPlaylistTracks = (playlistId) => spotifyFetch(`/playlists/${playlistId}/tracks?limit=50`);
+export const getAlbumTracks = (albumId) => collect(paginate(`/albums/${albumId}/tracks?limit=50`));
 
 /**
- * Fetches audio features for multiple tracks.
+ * Searches the Spotify catalog for tracks, following pagination.
+ * @param {string} query - The search query, which may use field filters such as `genre:"jazz"`.
+ * @param {number} [maxItems=50] - Stop after this many tracks. Spotify serves at most 1000 results.
+ * @returns {Promise<object[]>} The matching tracks.
+ */
+export const searchTracks = (query, maxItems = 50) => collect(paginate(
+    `/search?${new URLSearchParams({ q: query, type: 'track', limit: 50 })}`,
+    { select: results => results.tracks, maxItems: Math.min(maxItems, 1000) }
+));
+
+/**
+ * Gets the tracks saved in the current user's library, following pagination.
+ * Requires the `user-library-read` scope.
+ * @param {number} [maxItems=Infinity] - Stop after this many saved tracks.
+ * @returns {Promise<object[]>} The saved track items, each with the track under `track`.
+ */
+export const getSavedTracks = (maxItems) => collect(paginate('/me/tracks?limit=50', { maxItems }));
+
+/**
+ * Gets track recommendations based on seed genres, artists or tracks.
+ * @param {object} seeds
+ * @param {string[]} [seeds.genres=[]] - Seed genre names.
+ * @param {string[]} [seeds.artists=[]] - Seed artist IDs.
+ * @param {string[]} [seeds.tracks=[]] - Seed track IDs.
+ * @returns {Promise<object>} Recommendations, with the tracks under `tracks`.
+ */
+export const getRecommendations = ({ genres = [], artists = [], tracks = [] }) => {
+    const params = new URLSearchParams({ limit: 100 });
+    if (genres.length) params.set('seed_genres', genres.join(','));
+    if (artists.length) params.set('seed_artists', artists.join(','));
+    if (tracks.length) params.set('seed_tracks', tracks.join(','));
+    return spotifyFetch(`/recommendations?${params}`);
+};
+
+// Spotify accepts at most this many IDs per audio-features request.
+const AUDIO_FEATURES_BATCH_SIZE = 100;
+
+/**
+ * Fetches audio features for any number of tracks.
+ * Duplicate IDs are removed and the rest are requested in batches of 100, so
+ * every track can be evaluated however large the pool is.
  * @param {string[]} trackIds - An array of Spotify track IDs.
- * @returns {Promise<object>} Audio features for the requested tracks.
+ * @returns {Promise<object>} Audio features for the requested tracks, under `audio_features`.
+ *   Entries are null for tracks Spotify has no features for.
  */
-export const getAudioFeaturesForTracks = (trackIds) => spotifyFetch(`/audio-features?ids=${trackIds.join(',')}`);
+export const getAudioFeaturesForTracks = async (trackIds) => {
+    const uniqueIds = [...new Set(trackIds)];
+    const batches = [];
+    for (let i = 0; i < uniqueIds.length; i += AUDIO_FEATURES_BATCH_SIZE) {
+        batches.push(uniqueIds.slice(i, i + AUDIO_FEATURES_BATCH_SIZE));
+    }
+    const responses = await Promise.all(batches.map(batch => spotifyFetch(`/audio-features?ids=${batch.join(',')}`)));
+    return { audio_features: responses.flatMap(response => response.audio_features) };
+};
 
 /**
- * Sends a POST request to a webhook URL with the provided data.
- * @param {string} url - The webhook URL.
- * @param {object} data - The JSON payload to send.
+ * Fetches the audio analysis of a track: its beats, bars, sections and more.
+ * @param {string} trackId - The Spotify track ID.
+ * @returns {Promise<object>} The analysis; `beats` and `bars` list intervals with `start`,
+ *   `duration` and `confidence`, in seconds.
  */
-export const sendWebhook = (url, data) => {
-    if (!url) return; // Don't send if URL is not configured
-    fetch(url, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(data),
-    }).catch(error => console.error('Webhook failed to send:', error));
-};
\ No newline at end of file
+export const getAudioAnalysis = (trackId) => spotifyFetch(`/audio-analysis/${trackId}`);
@@ -0,0 +1,202 @@
+// =================================================================================
+// TAP CHALLENGE MODULE
+//
+// The game part of the Rhythm Game: during a session with a tap challenge (see
+// the `tapChallenge` profile option), the participant taps along to the beat,
+// and every tap is judged against the beats of Spotify's audio analysis.
+//
+// A tap within `windowsMs.perfect` of a beat is perfect, within
+// `windowsMs.good` it is good. A beat that passes without a tap is a miss, as
+// is a tap with no beat nearby, so that tapping wildly does not pay. Every
+// beat is judged once. Hits build a combo, which multiplies the points of the
+// next hits; a miss breaks it. Accuracy weighs perfect hits fully and good
+// hits half, against every beat and stray tap judged so far.
+//
+// Only beats that were actually played are judged: when playback jumps (a
+// seek, or a gap in the position reports) the beats in between are skipped
+// rather than missed. This module only scores; session-engine.js feeds it
+// playback positions and taps, and app.js draws the note highway.
+// =================================================================================
+
+/**
+ * How a tap or beat was judged.
+ */
+export const TAP_GRADES = {
+    PERFECT: 'perfect',
+    GOOD: 'good',
+    MISS: 'miss',
+};
+
+const POINTS = { [TAP_GRADES.PERFECT]: 300, [TAP_GRADES.GOOD]: 100, [TAP_GRADES.MISS]: 0 };
+
+// Every this many hits in a row raise the points multiplier by one, up to the maximum.
+const COMBO_STEP = 10;
+const MAX_MULTIPLIER = 4;
+
+// Playback moving further than this between two positions counts as a jump.
+const MAX_CONTINUOUS_ADVANCE_MS = 5000;
+
+/**
+ * The settings used for anything a profile's `tapChallenge` does not specify.
+ * @type {object}
+ * @property {number} minAccuracy - Accuracy (0–100) every track needs for the session's
+ *   `TAP_ACCURACY_MET` result flag. It does not hold up the track goals or completion.
+ * @property {{perfect: number, good: number}} windowsMs - How far from a beat a tap may be, in milliseconds.
+ * @property {number} minBeatConfidence - Beats the analysis is less sure of than this are left out.
+ */
+export const TAP_CHALLENGE_DEFAULTS = {
+    minAccuracy: 50,
+    windowsMs: { perfect: 50, good: 120 },
+    minBeatConfidence: 0,
+};
+
+/**
+ * Reads the beats and bars to play along to from an audio analysis.
+ * @param {object} analysis - The analysis, from `getAudioAnalysis`.
+ * @param {number} [minBeatConfidence=0] - Leave out beats with a lower confidence.
+ * @returns {{beats: number[], bars: number[]}} Start times in milliseconds, in order.
+ */
+export function getBeatMap(analysis, minBeatConfidence = 0) {
+    const toMs = intervals => (intervals || []).map(interval => Math.round(interval.start * 1000));
+    return {
+        beats: toMs((analysis.beats || []).filter(beat => (beat.confidence ?? 1) >= minBeatConfidence)),
+        bars: toMs(analysis.bars),
+    };
+}
+
+/**
+ * Creates empty tap statistics for a track.
+ * @param {number} beatCount - The number of beats in the track.
+ * @returns {object} The statistics, as `getStats` returns them.
+ */
+export function createTapStats(beatCount) {
+    return { beatCount, perfect: 0, good: 0, miss: 0, stray: 0, combo: 0, maxCombo: 0, score: 0, accuracy: 0 };
+}
+
+/**
+ * Works out the accuracy of a set of statistics.
+ * @param {object} stats - Tap statistics.
+ * @returns {number} The accuracy, 0–100. 0 until something was judged.
+ */
+function computeAccuracy({ perfect, good, miss, stray }) {
+    const judged = perfect + good + miss + stray;
+    return judged === 0 ? 0 : ((perfect + good / 2) / judged) * 100;
+}
+
+/**
+ * Creates the scorer for one track.
+ * @param {object} options
+ * @param {number[]} options.beats - Beat times in milliseconds, in order, from `getBeatMap`.
+ * @param {{perfect: number, good: number}} [options.windowsMs=TAP_CHALLENGE_DEFAULTS.windowsMs] - Timing windows.
+ * @param {object | null} [options.stats=null] - Statistics carried over, e.g. from a resumed session.
+ *   Beats before the first position are then not judged again.
+ * @returns {object} The scorer.
+ */
+export function createTapScorer({ beats, windowsMs = TAP_CHALLENGE_DEFAULTS.windowsMs, stats: initialStats = null }) {
+    const judged = new Array(beats.length).fill(null); // The grade of each beat, once judged
+    const stats = { ...createTapStats(beats.length), ...initialStats };
+    let nextBeat = 0; // The first beat that has not passed its good window yet
+    let lastPosition = null;
+
+    /**
+     * Records a judgement in the statistics.
+     * @param {string} grade - One of `TAP_GRADES`.
+     * @param {boolean} [isStray=false] - Whether it is a tap with no beat nearby.
+     */
+    function record(grade, isStray = false) {
+        if (grade === TAP_GRADES.MISS) {
+            stats[isStray ? 'stray' : 'miss']++;
+            stats.combo = 0;
+        } else {
+            stats[grade]++;
+            stats.score += POINTS[grade] * Math.min(1 + Math.floor(stats.combo / COMBO_STEP), MAX_MULTIPLIER);
+            stats.combo++;
+            stats.maxCombo = Math.max(stats.maxCombo, stats.combo);
+        }
+        stats.accuracy = computeAccuracy(stats);
+    }
+
+    /**
+     * Finds the first beat at or after a time.
+     * @param {number} time - In milliseconds.
+     * @returns {number} The beat's index, or `beats.length` if there is none.
+     */
+    function firstBeatFrom(time) {
+        let low = 0;
+        let high = beats.length;
+        while (low < high) {
+            const mid = (low + high) >> 1;
+            if (beats[mid] < time) low = mid + 1; else high = mid;
+        }
+        return low;
+    }
+
+    /**
+     * Moves playback on to a position. Beats whose window closed while playing
+     * through are missed; after a jump, the beats in between are skipped.
+     * @param {number} position - The playback position, in milliseconds.
+     * @returns {number} How many beats were missed.
+     */
+    function advance(position) {
+        const delta = lastPosition === null ? Infinity : position - lastPosition;
+        lastPosition = position;
+        const end = firstBeatFrom(position - windowsMs.good);
+        if (delta < 0 || delta > MAX_CONTINUOUS_ADVANCE_MS) {
+            nextBeat = end;
+            return 0;
+        }
+
+        let missed = 0;
+        for (; nextBeat < end; nextBeat++) {
+            if (judged[nextBeat] === null) {
+                judged[nextBeat] = TAP_GRADES.MISS;
+                record(TAP_GRADES.MISS);
+                missed++;
+            }
+        }
+        return missed;
+    }
+
+    /**
+     * Judges a tap against the nearest beat not judged yet.
+     * @param {number} position - The playback position at the tap, in milliseconds.
+     * @returns {{grade: string, beatIndex: number | null, offsetMs: number | null}} The judgement.
+     *   `offsetMs` is negative for early taps. A stray tap has no beat.
+     */
+    function tap(position) {
+        advance(position);
+        let best = null;
+        for (let i = firstBeatFrom(position - windowsMs.good); i < beats.length && beats[i] <= position + windowsMs.good; i++) {
+            if (judged[i] === null && (best === null || Math.abs(beats[i] - position) < Math.abs(beats[best] - position))) {
+                best = i;
+            }
+        }
+        if (best === null) {
+            record(TAP_GRADES.MISS, true);
+            return { grade: TAP_GRADES.MISS, beatIndex: null, offsetMs: null };
+        }
+
+        const offsetMs = position - beats[best];
+        const grade = Math.abs(offsetMs) <= windowsMs.perfect ? TAP_GRADES.PERFECT : TAP_GRADES.GOOD;
+        judged[best] = grade;
+        record(grade);
+        return { grade, beatIndex: best, offsetMs };
+    }
+
+    /**
+     * @param {number} beatIndex - A beat's index.
+     * @returns {string | null} How the beat was judged, or null if it has not been yet.
+     */
+    function getJudgement(beatIndex) {
+        return judged[beatIndex];
+    }
+
+    /**
+     * @returns {object} `{ beatCount, perfect, good, miss, stray, combo, maxCombo, score, accuracy }`.
+     */
+    function getStats() {
+        return { ...stats };
+    }
+
+    return { advance, tap, getJudgement, getStats };
+}
@@ -0,0 +1,150 @@
+// =================================================================================
+// TAP TEMPO MODULE
+//
+// The tempo game: during a session with `tapTempo` (see the profile option),
+// the participant taps along to each track, and the tempo of their taps is
+// estimated as they go and graded against the track's `tempo` from Spotify's
+// audio features.
+//
+// The estimate is the median interval of the last `windowTaps` taps, so a
+// single early or late tap barely moves it. A pause of more than `maxGapMs`
+// starts over. Tapping at half or double the tempo is as good as tapping at
+// the tempo itself (unless `allowHalfDouble` is off): listeners often feel
+// the beat at a different level than the analysis does.
+//
+// Every estimate is graded:
+// - its error is how far it is from the nearest matching tempo, in percent;
+// - it is on tempo within `tolerancePercent`;
+// - its accuracy falls from 100 at no error to 0 at `maxErrorPercent`;
+// - its stability is 100 minus the coefficient of variation of the intervals,
+//   in percent: 100 for perfectly even taps.
+// A track's accuracy and stability are the averages over its estimates. This
+// module only scores; session-engine.js feeds it taps and app.js shows the result.
+// =================================================================================
+
+/**
+ * The settings used for anything a profile's `tapTempo` does not specify.
+ * @type {object}
+ * @property {number} tolerancePercent - An estimate this close to the tempo counts as on tempo.
+ * @property {number} maxErrorPercent - An estimate this far off, or further, has an accuracy of 0.
+ * @property {number} minTaps - Taps needed in a row before the first estimate.
+ * @property {number} windowTaps - How many of the latest taps an estimate is based on.
+ * @property {number} maxGapMs - A longer pause between taps starts over.
+ * @property {boolean} allowHalfDouble - Whether half and double the tempo count as a match.
+ */
+export const TAP_TEMPO_DEFAULTS = {
+    tolerancePercent: 4,
+    maxErrorPercent: 20,
+    minTaps: 4,
+    windowTaps: 8,
+    maxGapMs: 2000,
+    allowHalfDouble: true,
+};
+
+/**
+ * Returns the median of some numbers.
+ * @param {number[]} values - At least one number.
+ * @returns {number} The median.
+ */
+function median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = sorted.length >> 1;
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+/**
+ * Works out how evenly spaced some intervals are.
+ * @param {number[]} intervals - Intervals between taps, in milliseconds.
+ * @returns {number} 100 minus their coefficient of variation in percent, at least 0.
+ */
+export function computeStability(intervals) {
+    const mean = intervals.reduce((sum, interval) => sum + interval, 0) / intervals.length;
+    const variance = intervals.reduce((sum, interval) => sum + (interval - mean) ** 2, 0) / intervals.length;
+    return Math.max(0, 100 - (Math.sqrt(variance) / mean) * 100);
+}
+
+/**
+ * Compares a tapped tempo with a track's tempo.
+ * @param {number} bpm - The tapped tempo.
+ * @param {number} targetBpm - The track's tempo.
+ * @param {boolean} [allowHalfDouble=true] - Whether half and double the track's tempo also match.
+ * @returns {{ratio: number, errorPercent: number}} The level matched (0.5, 1 or 2, relative
+ *   to the track's tempo) and how far the tapped tempo is from it, in percent.
+ */
+export function matchTempo(bpm, targetBpm, allowHalfDouble = true) {
+    const ratios = allowHalfDouble ? [1, 0.5, 2] : [1];
+    return ratios
+        .map(ratio => ({ ratio, errorPercent: (Math.abs(bpm - targetBpm * ratio) / (targetBpm * ratio)) * 100 }))
+        .reduce((best, match) => (match.errorPercent < best.errorPercent ? match : best));
+}
+
+/**
+ * Creates empty tap tempo statistics for a track.
+ * @param {number} targetBpm - The track's tempo.
+ * @returns {object} The statistics, as `getStats` returns them.
+ */
+export function createTempoStats(targetBpm) {
+    return {
+        targetBpm,
+        taps: 0,
+        estimates: 0,
+        onTempo: 0, // Estimates within the tolerance
+        bpm: null, // The latest estimate
+        ratio: null,
+        errorPercent: null,
+        accuracy: 0,
+        stability: 0,
+    };
+}
+
+/**
+ * Creates the tempo tracker for one track.
+ * @param {object} options
+ * @param {number} options.targetBpm - The track's tempo, from its audio features.
+ * @param {object} [options.settings=TAP_TEMPO_DEFAULTS] - The tap tempo settings.
+ * @param {object | null} [options.stats=null] - Statistics carried over, e.g. from a resumed session.
+ * @returns {object} The tracker.
+ */
+export function createTempoTracker({ targetBpm, settings = TAP_TEMPO_DEFAULTS, stats: initialStats = null }) {
+    const stats = { ...createTempoStats(targetBpm), ...initialStats };
+    let run = []; // Times of the taps since the last long pause, up to `windowTaps`
+
+    /**
+     * Records a tap and estimates the tempo from the latest taps.
+     * @param {number} time - When the participant tapped, in milliseconds on a monotonic clock.
+     * @returns {{bpm: number, ratio: number, errorPercent: number, onTempo: boolean, stability: number} | null}
+     *   The estimate, or null until there are `minTaps` taps in a row.
+     */
+    function tap(time) {
+        stats.taps++;
+        if (run.length > 0 && (time <= run.at(-1) || time - run.at(-1) > settings.maxGapMs)) {
+            run = [];
+        }
+        run = [...run, time].slice(-settings.windowTaps);
+        if (run.length < settings.minTaps) return null;
+
+        const intervals = run.slice(1).map((tapTime, i) => tapTime - run[i]);
+        const bpm = 60000 / median(intervals);
+        const { ratio, errorPercent } = matchTempo(bpm, targetBpm, settings.allowHalfDouble);
+        const onTempo = errorPercent <= settings.tolerancePercent;
+        const accuracy = Math.max(0, 100 - (errorPercent / settings.maxErrorPercent) * 100);
+        const stability = computeStability(intervals);
+
+        // Running averages, so that statistics carried over keep their weight.
+        stats.accuracy = (stats.accuracy * stats.estimates + accuracy) / (stats.estimates + 1);
+        stats.stability = (stats.stability * stats.estimates + stability) / (stats.estimates + 1);
+        stats.estimates++;
+        if (onTempo) stats.onTempo++;
+        Object.assign(stats, { bpm, ratio, errorPercent });
+        return { bpm, ratio, errorPercent, onTempo, stability };
+    }
+
+    /**
+     * @returns {object} `{ targetBpm, taps, estimates, onTempo, bpm, ratio, errorPercent, accuracy, stability }`.
+     */
+    function getStats() {
+        return { ...stats };
+    }
+
+    return { tap, getStats };
+}
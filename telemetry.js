@@ -0,0 +1,135 @@
+// =================================================================================
+// TELEMETRY MODULE
+//
+// Records what happens during a session as a stream of versioned events and
+// posts them in batches to `CONFIG.N8N_TELEMETRY_URL` through the event queue.
+// The event format is defined in telemetry-event.schema.json, which the
+// receiving side validates against as well. Every event is checked against
+// that schema before it is buffered, so malformed events surface during
+// development instead of in the research data.
+//
+// Event times come from `performance.now()`, which is monotonic: it cannot jump
+// when the system clock changes. Each batch carries the page's
+// `performance.timeOrigin`, so absolute times can be reconstructed.
+// =================================================================================
+
+import { CONFIG } from './config.js';
+import { enqueueEvent } from './event-queue.js';
+import { validate } from './schema-validator.js';
+
+export const SCHEMA_VERSION = '2.0.0';
+
+const SCHEMA_URL = 'telemetry-event.schema.json';
+
+/**
+ * The event types defined by the schema.
+ */
+export const TELEMETRY_EVENTS = {
+    TRACK_STARTED: 'track_started',
+    TRACK_GOAL_MET: 'track_goal_met',
+    PAUSED: 'paused',
+    RESUMED: 'resumed',
+    SEEK: 'seek',
+    DEVICE_LOST: 'device_lost',
+    DEVICE_RESTORED: 'device_restored',
+    FINISH_NOW_CLICKED: 'finish_now_clicked',
+    ERROR: 'error',
+};
+
+let context = null; // { sessionId, participant } of the session being recorded
+let schema = null;
+let buffer = [];
+let seq = 0;
+let flushTimer = null;
+
+/**
+ * Loads the event schema. Without it, events are sent unvalidated.
+ * @returns {Promise<object | null>} The schema, or null if it could not be loaded.
+ */
+async function loadSchema() {
+    try {
+        const response = await fetch(SCHEMA_URL);
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        return await response.json();
+    } catch (error) {
+        console.warn('Telemetry schema could not be loaded; events will not be validated:', error.message);
+        return null;
+    }
+}
+
+/**
+ * Starts recording events for a session. Safe to call again, e.g. when a
+ * session is resumed; the sequence number continues within the page.
+ * @param {object} sessionContext
+ * @param {string} sessionContext.sessionId - The session the events belong to.
+ * @param {object} sessionContext.participant - The participant the events belong to, from `getParticipant`.
+ */
+export async function startTelemetry({ sessionId, participant }) {
+    context = { sessionId, participant };
+    schema = schema || await loadSchema();
+
+    clearInterval(flushTimer);
+    flushTimer = setInterval(flushTelemetry, CONFIG.TELEMETRY_FLUSH_INTERVAL_MS);
+}
+
+/**
+ * Records an event. It is validated, buffered and sent with the next batch.
+ * Events recorded before `startTelemetry` are ignored.
+ * @param {string} type - One of `TELEMETRY_EVENTS`.
+ * @param {object} [data={}] - The event's payload, as defined for its type in the schema.
+ */
+export function trackEvent(type, data = {}) {
+    if (!context) return;
+
+    const event = { type, seq: seq++, t: Math.round(performance.now()), data };
+
+    if (schema) {
+        const errors = validate({ $ref: '#/$defs/event' }, event, schema);
+        if (errors.length > 0) {
+            console.error(`Dropping invalid telemetry event "${type}":`, errors);
+            return;
+        }
+    }
+
+    if (CONFIG.DEBUG_MODE) {
+        console.log('Telemetry event:', event);
+    }
+
+    buffer.push(event);
+    if (buffer.length >= CONFIG.TELEMETRY_BATCH_SIZE) {
+        flushTelemetry();
+    }
+}
+
+/**
+ * Hands the buffered events to the event queue as one batch.
+ */
+export function flushTelemetry() {
+    if (!context || buffer.length === 0) return;
+
+    const events = buffer;
+    buffer = [];
+    enqueueEvent(CONFIG.N8N_TELEMETRY_URL, {
+        event: 'telemetry_batch',
+        schemaVersion: SCHEMA_VERSION,
+        sessionId: context.sessionId,
+        participant: context.participant,
+        timeOrigin: performance.timeOrigin,
+        events,
+    });
+}
+
+/**
+ * Sends the remaining events and stops the periodic flush, e.g. when the session ends.
+ */
+export function stopTelemetry() {
+    flushTelemetry();
+    clearInterval(flushTimer);
+    flushTimer = null;
+}
+
+// Flush when the page is hidden: it may never become visible again, and
+// 'visibilitychange' fires early enough for the queue to beacon the batch on unload.
+document.addEventListener('visibilitychange', () => {
+    if (document.hidden) flushTelemetry();
+});
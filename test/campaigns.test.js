@@ -0,0 +1,146 @@
+import { test, describe, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { installBrowserEnvironment } from './helpers/browser-environment.js';
+
+installBrowserEnvironment({ url: 'https://rhythm.example/app.html?campaign=evenings' });
+const { validateCampaign, loadCampaign, getCampaignSchedule, getHeardTrackIds, getSelectedCampaignName, rememberCampaign, forgetCampaign, ROUND_STATUS } = await import('../campaigns.js');
+const { loadCampaignProgress, saveRoundResult } = await import('../campaign-store.js');
+
+const HOUR_MS = 60 * 60 * 1000;
+const START = Date.UTC(2024, 2, 1, 18);
+
+const CAMPAIGN = {
+    name: 'evenings',
+    title: null,
+    spacingHours: [20, 48],
+    rounds: [
+        { profile: 'short' },
+        { profile: 'default' },
+        { profile: 'extended', spacingHours: [44, 72] },
+    ],
+};
+
+/**
+ * Builds progress with the given rounds completed.
+ * @param {...number} completedAts - When rounds 0, 1, ... were completed.
+ * @returns {object} Progress, as campaign-store.js returns it.
+ */
+const progressWith = (...completedAts) => ({
+    userId: 'user-1',
+    campaign: 'evenings',
+    rounds: completedAts.map((completedAt, round) => ({ round, sessionId: `S${round}`, completedAt, code: 'CODE', trackIds: [`t${round}a`, `t${round}b`] })),
+});
+
+/**
+ * Lists the status of every round.
+ * @param {object} schedule - From `getCampaignSchedule`.
+ * @returns {string[]} The statuses in round order.
+ */
+const statuses = schedule => schedule.rounds.map(round => round.status);
+
+describe('getCampaignSchedule', () => {
+    test('the first round is due straight away and the others wait their turn', () => {
+        const schedule = getCampaignSchedule(CAMPAIGN, progressWith(), START);
+        assert.deepEqual(statuses(schedule), [ROUND_STATUS.DUE, ROUND_STATUS.LOCKED, ROUND_STATUS.LOCKED]);
+        assert.equal(schedule.dueRound.index, 0);
+        assert.equal(schedule.dueRound.profile, 'short');
+        assert.equal(schedule.complete, false);
+    });
+
+    test('the next round opens the minimum spacing after the previous one was completed', () => {
+        const early = getCampaignSchedule(CAMPAIGN, progressWith(START), START + 19 * HOUR_MS);
+        assert.deepEqual(statuses(early), [ROUND_STATUS.DONE, ROUND_STATUS.WAITING, ROUND_STATUS.LOCKED]);
+        assert.equal(early.dueRound, null);
+        assert.equal(early.nextRound.opensAt, START + 20 * HOUR_MS);
+
+        const onTime = getCampaignSchedule(CAMPAIGN, progressWith(START), START + 20 * HOUR_MS);
+        assert.equal(onTime.dueRound.index, 1);
+        assert.equal(onTime.dueRound.late, false);
+    });
+
+    test('a round past the maximum spacing is still due, but late', () => {
+        const schedule = getCampaignSchedule(CAMPAIGN, progressWith(START), START + 50 * HOUR_MS);
+        assert.equal(schedule.dueRound.index, 1);
+        assert.equal(schedule.dueRound.late, true);
+    });
+
+    test('a round can override the campaign spacing', () => {
+        const secondDone = START + 24 * HOUR_MS;
+        const schedule = getCampaignSchedule(CAMPAIGN, progressWith(START, secondDone), secondDone + 30 * HOUR_MS);
+        assert.equal(schedule.nextRound.index, 2);
+        assert.equal(schedule.nextRound.status, ROUND_STATUS.WAITING);
+        assert.equal(schedule.nextRound.opensAt, secondDone + 44 * HOUR_MS);
+        assert.equal(schedule.nextRound.lateAt, secondDone + 72 * HOUR_MS);
+    });
+
+    test('completed rounds keep whether they were late', () => {
+        const schedule = getCampaignSchedule(CAMPAIGN, progressWith(START, START + 60 * HOUR_MS), START + 61 * HOUR_MS);
+        assert.equal(schedule.rounds[0].late, false);
+        assert.equal(schedule.rounds[1].late, true);
+    });
+
+    test('the campaign is complete once every round is done', () => {
+        const schedule = getCampaignSchedule(CAMPAIGN, progressWith(START, START + 24 * HOUR_MS, START + 72 * HOUR_MS));
+        assert.deepEqual(statuses(schedule), [ROUND_STATUS.DONE, ROUND_STATUS.DONE, ROUND_STATUS.DONE]);
+        assert.equal(schedule.complete, true);
+        assert.equal(schedule.nextRound, null);
+    });
+});
+
+test('tracks from every completed round count as heard', () => {
+    assert.deepEqual(getHeardTrackIds(progressWith(START, START + 1)), ['t0a', 't0b', 't1a', 't1b']);
+    assert.deepEqual(getHeardTrackIds(progressWith()), []);
+});
+
+test('campaigns without rounds, or with malformed rounds or spacing, are rejected', () => {
+    assert.doesNotThrow(() => validateCampaign(CAMPAIGN));
+    assert.doesNotThrow(() => validateCampaign({ ...CAMPAIGN, spacingHours: [0, Infinity] }));
+    assert.throws(() => validateCampaign({ ...CAMPAIGN, rounds: [] }), /at least one round/);
+    assert.throws(() => validateCampaign({ ...CAMPAIGN, rounds: [{}] }), /Round 1 .* must name a session profile/);
+    assert.throws(() => validateCampaign({ ...CAMPAIGN, spacingHours: [48, 20] }), /invalid spacingHours/);
+    assert.throws(() => validateCampaign({ ...CAMPAIGN, rounds: [{ profile: 'short', spacingHours: [-1, 2] }] }), /invalid spacingHours/);
+});
+
+test('only campaigns that are defined can be loaded', async () => {
+    await assert.rejects(loadCampaign('constructor'), /Unknown campaign "constructor"/);
+    await assert.rejects(loadCampaign('toString'), /Unknown campaign "toString"/);
+});
+
+describe('campaign progress', () => {
+    beforeEach(() => localStorage.clear());
+
+    test('the selected campaign is remembered once it has loaded, until it is turned off', () => {
+        location.assign('/app.html?campaign=evenings');
+        assert.equal(getSelectedCampaignName(), 'evenings');
+        location.assign('/app.html');
+        assert.equal(getSelectedCampaignName(), null, 'a campaign that has not loaded is not remembered');
+
+        rememberCampaign('evenings');
+        assert.equal(getSelectedCampaignName(), 'evenings', 'a later visit without the parameter');
+        location.assign('/app.html?campaign=off');
+        assert.equal(getSelectedCampaignName(), null);
+    });
+
+    test('a campaign that fails to load is forgotten, but not the one remembered before it', () => {
+        rememberCampaign('evenings');
+        forgetCampaign('typo');
+        assert.equal(localStorage.getItem('rhythm_game_campaign'), 'evenings');
+        forgetCampaign('evenings');
+        assert.equal(localStorage.getItem('rhythm_game_campaign'), null);
+    });
+
+    test('round results are stored per participant and campaign', () => {
+        assert.deepEqual(loadCampaignProgress('user-1', 'evenings').rounds, []);
+        const result = { round: 0, sessionId: 'S0', completedAt: START, code: 'CODE', trackIds: ['a'] };
+        saveRoundResult('user-1', 'evenings', result);
+        saveRoundResult('user-1', 'evenings', { ...result, round: 1, sessionId: 'S1' });
+        // Completing a round again replaces its result.
+        const progress = saveRoundResult('user-1', 'evenings', { ...result, sessionId: 'S0-again' });
+
+        assert.deepEqual(progress.rounds.map(r => r.sessionId), ['S0-again', 'S1']);
+        assert.deepEqual(loadCampaignProgress('user-1', 'evenings'), progress);
+        assert.deepEqual(loadCampaignProgress('user-2', 'evenings').rounds, []);
+        assert.deepEqual(loadCampaignProgress('user-1', 'mornings').rounds, []);
+    });
+});
@@ -0,0 +1,64 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createCompletionCode, verifyCompletionCode, generateSessionId, RESULT_FLAGS } from '../completion-code.js';
+
+const result = {
+    sessionId: 'G6M8KR9M',
+    completedAt: Date.UTC(2024, 0, 15, 12, 30),
+    resultFlags: RESULT_FLAGS.ALL_TRACK_GOALS_MET | RESULT_FLAGS.DURATION_MET,
+};
+
+test('session IDs are 8 Crockford base32 characters', () => {
+    const id = generateSessionId();
+    assert.match(id, /^[0-9A-HJKMNP-TV-Z]{8}$/);
+    assert.notEqual(generateSessionId(), id);
+});
+
+test('a code round-trips through verification', async () => {
+    const code = await createCompletionCode(result);
+    assert.match(code, /^[0-9A-Z]{8}-[0-9A-Z]+-[0-9A-Z]+-[0-9A-Z]{8}$/);
+
+    const verified = await verifyCompletionCode(code);
+    assert.equal(verified.valid, true);
+    assert.equal(verified.sessionId, result.sessionId);
+    assert.equal(verified.completedAt, '2024-01-15T12:30:00.000Z');
+    assert.equal(verified.resultFlags, result.resultFlags);
+    assert.deepEqual(verified.result, ['ALL_TRACK_GOALS_MET', 'DURATION_MET']);
+});
+
+test('codes are deterministic for the same result and secret', async () => {
+    assert.equal(await createCompletionCode(result, 'secret'), await createCompletionCode(result, 'secret'));
+    assert.notEqual(await createCompletionCode(result, 'secret'), await createCompletionCode(result));
+});
+
+test('a code only verifies with the secret it was signed with', async () => {
+    const code = await createCompletionCode(result, 'secret');
+    assert.equal((await verifyCompletionCode(code, 'secret')).valid, true);
+    assert.equal((await verifyCompletionCode(code, 'other')).valid, false);
+    assert.equal((await verifyCompletionCode(code)).valid, false);
+});
+
+test('changing the result invalidates the signature', async () => {
+    const code = await createCompletionCode({ ...result, resultFlags: 0 }, 'secret');
+    const groups = code.split('-');
+    groups[2] = '3';
+    assert.equal((await verifyCompletionCode(groups.join('-'), 'secret')).valid, false);
+});
+
+test('malformed codes are rejected with a reason', async () => {
+    const tooShort = await verifyCompletionCode('ABC-123');
+    assert.equal(tooShort.valid, false);
+    assert.ok(tooShort.reason);
+
+    const badSessionId = await verifyCompletionCode('SHORT-1M59RFHAD-3-6N90X9Q3');
+    assert.equal(badSessionId.valid, false);
+    assert.ok(badSessionId.reason);
+});
+
+test('a code with a timestamp beyond the date range is rejected, not thrown on', async () => {
+    assert.deepEqual(await verifyCompletionCode('AAAAAAAA-ZZZZZZZZZZZZ-0-00000000'), {
+        valid: false,
+        reason: 'The completion timestamp is out of range.',
+    });
+});
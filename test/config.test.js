@@ -0,0 +1,39 @@
+import { test, mock } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { installBrowserEnvironment } from './helpers/browser-environment.js';
+
+/**
+ * Loads a fresh copy of the configuration for a page.
+ * @param {string} url - The page's URL.
+ * @param {object} [sessionStorage={}] - What the tab's sessionStorage holds.
+ * @returns {Promise<object>} The page's `CONFIG`.
+ */
+async function loadConfigFor(url, sessionStorage = {}) {
+    installBrowserEnvironment({ url, sessionStorage });
+    const { CONFIG } = await import(`../config.js?page=${encodeURIComponent(url)}`);
+    return CONFIG;
+}
+
+test('mock mode is ignored when the app is not served locally', async () => {
+    const config = await loadConfigFor('https://rhythm.example/index.html?mock=https://attacker.example');
+    assert.equal(config.MOCK_SPOTIFY_URL, null);
+    assert.equal(config.SPOTIFY_ACCOUNTS_URL, 'https://accounts.spotify.com');
+    assert.equal(config.SPOTIFY_API_BASE_URL, 'https://api.spotify.com/v1');
+    assert.equal(sessionStorage.getItem('spotify_mock_url'), null);
+
+    const remembered = await loadConfigFor('https://rhythm.example/index.html', { spotify_mock_url: 'http://localhost:8888' });
+    assert.equal(remembered.MOCK_SPOTIFY_URL, null, 'a mock backend remembered in the tab');
+    assert.equal(sessionStorage.getItem('spotify_mock_url'), null);
+});
+
+test('locally, mock mode only accepts a mock backend on localhost', async () => {
+    mock.method(console, 'warn', () => {});
+    const config = await loadConfigFor('http://localhost:8888/index.html?mock=http://localhost:8888/');
+    assert.equal(config.MOCK_SPOTIFY_URL, 'http://localhost:8888');
+    assert.equal(config.SPOTIFY_API_BASE_URL, 'http://localhost:8888/v1');
+
+    const remote = await loadConfigFor('http://localhost:8888/index.html?mock=https://attacker.example');
+    assert.equal(remote.MOCK_SPOTIFY_URL, null);
+    assert.equal(remote.SPOTIFY_ACCOUNTS_URL, 'https://accounts.spotify.com');
+});
@@ -0,0 +1,38 @@
+import { test, mock } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { installBrowserEnvironment } from './helpers/browser-environment.js';
+
+const page = installBrowserEnvironment({ url: 'https://rhythm.example/app.html' });
+
+// An IndexedDB that opens, but cannot store anything (e.g. the quota is used up).
+const database = {
+    transaction() {
+        throw new DOMException('The quota has been exceeded.', 'QuotaExceededError');
+    },
+};
+globalThis.indexedDB = {
+    open() {
+        const request = { result: database };
+        queueMicrotask(() => request.onsuccess());
+        return request;
+    },
+};
+
+const { enqueueEvent } = await import('../event-queue.js');
+
+test('an event the outbox cannot store is still sent', async () => {
+    mock.method(console, 'warn', () => {});
+    mock.method(console, 'error', () => {});
+    const requests = [];
+    mock.method(globalThis, 'fetch', async (url, options) => {
+        requests.push({ url, body: JSON.parse(options.body) });
+        return new Response(null, { status: 204 });
+    });
+
+    const id = await enqueueEvent('https://hooks.example/session', { event: 'session_complete' });
+    assert.match(id, /^[0-9a-f-]{36}$/);
+    assert.ok(requests.some(({ url, body }) => url === 'https://hooks.example/session' && body.eventId === id));
+    page.clearTimers();
+    mock.restoreAll();
+});
@@ -0,0 +1,173 @@
+// =================================================================================
+// HEADLESS BROWSER ENVIRONMENT (TESTS)
+//
+// Provides just enough of a browser for the app's modules to run in Node:
+// `window` and `location`, Map-backed `sessionStorage` and `localStorage`,
+// and a minimal DOM whose elements are created on first lookup by ID. It is
+// not a DOM implementation; it covers what app.js and auth.js touch.
+//
+// The app's modules read `window.location` and storage when they are first
+// imported, so install the environment before importing them, and import them
+// dynamically (`await import('../app.js')`) from the test.
+//
+// Run the whole suite with `node --test` from the repository root (Node 20+).
+// =================================================================================
+
+/**
+ * Creates an in-memory `Storage`.
+ * @param {Object<string, string>} [initial={}] - Entries to start with.
+ * @returns {object} An object with the `Storage` interface.
+ */
+function createStorage(initial = {}) {
+    const entries = new Map(Object.entries(initial));
+    return {
+        getItem: key => (entries.has(key) ? entries.get(key) : null),
+        setItem: (key, value) => { entries.set(key, String(value)); },
+        removeItem: key => { entries.delete(key); },
+        clear: () => entries.clear(),
+        key: index => [...entries.keys()][index] ?? null,
+        get length() { return entries.size; },
+    };
+}
+
+/**
+ * Adds `addEventListener`, `removeEventListener` and `dispatchEvent` to an object.
+ * @param {object} target - The object to extend.
+ * @returns {object} The same object.
+ */
+function withEvents(target) {
+    const events = new EventTarget();
+    target.addEventListener = events.addEventListener.bind(events);
+    target.removeEventListener = events.removeEventListener.bind(events);
+    target.dispatchEvent = events.dispatchEvent.bind(events);
+    return target;
+}
+
+/**
+ * Creates a fake DOM element.
+ * @param {string} tagName - The element's tag name.
+ * @param {string} [id=''] - The element's ID.
+ * @returns {object} The element.
+ */
+function createElement(tagName, id = '') {
+    const classes = new Set();
+    const element = withEvents({
+        tagName: tagName.toUpperCase(),
+        id,
+        children: [],
+        style: {},
+        textContent: '',
+        disabled: false,
+        onclick: null,
+        classList: {
+            add: (...names) => names.forEach(name => classes.add(name)),
+            remove: (...names) => names.forEach(name => classes.delete(name)),
+            contains: name => classes.has(name),
+            toggle: (name, force = !classes.has(name)) => {
+                if (force) classes.add(name); else classes.delete(name);
+                return force;
+            },
+        },
+        get className() { return [...classes].join(' '); },
+        set className(value) {
+            classes.clear();
+            String(value).split(/\s+/).filter(Boolean).forEach(name => classes.add(name));
+        },
+        // Markup is not parsed; assigning it only replaces the children.
+        get innerHTML() { return ''; },
+        set innerHTML(value) { element.children.length = 0; },
+        appendChild(child) {
+            element.children.push(child);
+            return child;
+        },
+        append(...children) {
+            element.children.push(...children);
+        },
+        /**
+         * Finds descendants by tag name. Only plain tag selectors are supported.
+         * @param {string} selector - A tag name, e.g. 'button'.
+         * @returns {object[]} The matching descendants.
+         */
+        querySelectorAll(selector) {
+            const tag = selector.toUpperCase();
+            return element.children.flatMap(child => [
+                ...(child.tagName === tag ? [child] : []),
+                ...child.querySelectorAll(selector),
+            ]);
+        },
+        click() {
+            if (element.disabled) return;
+            element.onclick?.(new Event('click'));
+            element.dispatchEvent(new Event('click'));
+        },
+    });
+    return element;
+}
+
+/**
+ * Gets the text of an element and its descendants, as `textContent` would.
+ * @param {object} element - A fake element.
+ * @returns {string} The combined text.
+ */
+export function getText(element) {
+    return element.textContent + element.children.map(getText).join('');
+}
+
+/**
+ * Installs the browser globals.
+ * @param {object} [options={}]
+ * @param {string} [options.url='http://localhost:8080/app.html'] - The page's URL.
+ * @param {Object<string, string>} [options.sessionStorage={}] - Initial session storage.
+ * @param {Object<string, string>} [options.localStorage={}] - Initial local storage.
+ * @returns {object} `{ document, window, clearTimers }`. `clearTimers` cancels every
+ *   timer the page started, so that the test process can exit.
+ */
+export function installBrowserEnvironment({ url = 'http://localhost:8080/app.html', sessionStorage = {}, localStorage = {} } = {}) {
+    const elementsById = new Map();
+    const document = withEvents({
+        hidden: false,
+        head: createElement('head'),
+        body: createElement('body'),
+        createElement: tagName => createElement(tagName),
+        getElementById(id) {
+            if (!elementsById.has(id)) elementsById.set(id, createElement('div', id));
+            return elementsById.get(id);
+        },
+    });
+
+    // Navigation is recorded, not performed.
+    const location = new URL(url);
+    location.assign = href => { location.href = new URL(href, location).href; };
+    location.replace = location.assign;
+
+    // Relative URLs resolve against the page, as in the browser.
+    const nodeFetch = globalThis.fetch;
+    const fetch = (resource, options) => nodeFetch(typeof resource === 'string' ? new URL(resource, location) : resource, options);
+
+    // Timers are tracked so that the page can be torn down.
+    const timers = new Set();
+    const { setTimeout, setInterval, clearTimeout, clearInterval } = globalThis;
+    const track = handle => { timers.add(handle); return handle; };
+
+    withEvents(globalThis);
+    Object.assign(globalThis, {
+        window: globalThis,
+        document,
+        location,
+        fetch,
+        sessionStorage: createStorage(sessionStorage),
+        localStorage: createStorage(localStorage),
+        setTimeout: (...args) => track(setTimeout(...args)),
+        setInterval: (...args) => track(setInterval(...args)),
+    });
+    Object.defineProperty(globalThis, 'navigator', { value: { onLine: true }, configurable: true, writable: true });
+
+    return {
+        document,
+        window: globalThis,
+        clearTimers() {
+            timers.forEach(handle => { clearTimeout(handle); clearInterval(handle); });
+            timers.clear();
+        },
+    };
+}
@@ -0,0 +1,60 @@
+import { test, describe, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { installBrowserEnvironment } from './helpers/browser-environment.js';
+
+installBrowserEnvironment({ url: 'https://rhythm.example/index.html?PROLIFIC_PID=p-1&STUDY_ID=s-1' });
+const { captureStudyContext, getStudyContext, encodeOAuthState, decodeOAuthState, derivePseudonymousKey, buildReturnUrl } = await import('../participant.js');
+const { redirectToLogin } = await import('../token-manager.js');
+
+describe('study context', () => {
+    beforeEach(() => sessionStorage.clear());
+
+    test('is read from the URL and kept until other IDs arrive', () => {
+        assert.deepEqual(captureStudyContext(), { participantId: 'p-1', studyId: 's-1' });
+        location.assign('/app.html');
+        assert.deepEqual(captureStudyContext(), { participantId: 'p-1', studyId: 's-1' }, 'a page without the parameters');
+        location.assign('/app.html?participant=p-2');
+        assert.deepEqual(captureStudyContext(), { participantId: 'p-2', studyId: null });
+    });
+
+    test('survives being sent back to the login page', () => {
+        location.assign('/app.html?participant=p-3&study=s-3');
+        captureStudyContext();
+        sessionStorage.setItem('access_token', 'token');
+        redirectToLogin();
+        assert.equal(sessionStorage.getItem('access_token'), null);
+        assert.deepEqual(getStudyContext(), { participantId: 'p-3', studyId: 's-3' });
+    });
+});
+
+test('the study context makes the round trip through the OAuth state', () => {
+    const context = { participantId: 'pärticipant/1+2', studyId: 'study 7' };
+    const state = encodeOAuthState('nonce', context);
+    assert.match(state, /^nonce\.[A-Za-z0-9_-]+$/);
+    assert.deepEqual(decodeOAuthState(state), { nonce: 'nonce', context });
+
+    assert.equal(encodeOAuthState('nonce', { participantId: null, studyId: null }), 'nonce');
+    assert.deepEqual(decodeOAuthState('nonce'), { nonce: 'nonce', context: null });
+    assert.deepEqual(decodeOAuthState('nonce.not-json'), { nonce: 'nonce', context: null });
+});
+
+test('the participant key is stable, hides the Spotify ID and depends on the secret', async () => {
+    const key = await derivePseudonymousKey('spotify-user', null);
+    assert.match(key, /^[A-Za-z0-9_-]{22}$/);
+    assert.equal(await derivePseudonymousKey('spotify-user', null), key);
+    assert.ok(!key.includes('spotify-user'));
+    assert.notEqual(await derivePseudonymousKey('other-user', null), key);
+
+    const keyed = await derivePseudonymousKey('spotify-user', 'secret');
+    assert.notEqual(keyed, key);
+    assert.equal(await derivePseudonymousKey('spotify-user', 'secret'), keyed);
+    assert.notEqual(await derivePseudonymousKey('spotify-user', 'other-secret'), keyed);
+});
+
+test('the return URL is filled in with encoded values', () => {
+    const template = 'https://study.example/complete?cc={code}&pid={participantId}&study={studyId}&s={sessionId}';
+    const url = buildReturnUrl(template, { code: 'AB-CD', participantId: 'a&b', studyId: null, sessionId: 'S1' });
+    assert.equal(url, 'https://study.example/complete?cc=AB-CD&pid=a%26b&study=&s=S1');
+    assert.equal(buildReturnUrl(null, { code: 'AB-CD' }), null);
+});
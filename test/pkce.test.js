@@ -0,0 +1,21 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { generateCodeVerifier, generateCodeChallenge, base64urlencode } from '../pkce.js';
+
+test('code verifiers are 128 URL-safe characters and differ each time', () => {
+    const verifier = generateCodeVerifier();
+    assert.match(verifier, /^[A-Za-z0-9_-]{128}$/);
+    assert.notEqual(generateCodeVerifier(), verifier);
+});
+
+test('the code challenge matches the S256 example of RFC 7636', async () => {
+    const challenge = await generateCodeChallenge('dBjftJeZ4CVP-mB92K27uhbUJU1p1r_wW1gFWFOEjXk');
+    assert.equal(challenge, 'E9Melhoa2OwvFrEMTJguCHaoeK1t8URWbuGJSstw-cM');
+});
+
+test('base64url encoding replaces + and / and drops padding', () => {
+    assert.equal(base64urlencode(new Uint8Array([0xfb, 0xff])), '-_8');
+    assert.equal(base64urlencode(new Uint8Array([0xfb, 0xff, 0xbf]).buffer), '-_-_');
+    assert.equal(base64urlencode(new Uint8Array([])), '');
+});
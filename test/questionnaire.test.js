@@ -0,0 +1,91 @@
+import { test, describe, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { installBrowserEnvironment } from './helpers/browser-environment.js';
+
+installBrowserEnvironment({ url: 'https://rhythm.example/app.html' });
+const { CONFIG } = await import('../config.js');
+const { loadQuestionnaire, validateAnswers, cleanAnswers, getStoredConsent, storeConsent } = await import('../questionnaire.js');
+
+const QUESTIONNAIRE = {
+    consent: { id: 'consent-v1', text: 'Do you agree?' },
+    pre: [{
+        id: 'before',
+        items: [
+            { id: 'mood', type: 'likert', prompt: 'How do you feel?', required: true, scale: { min: 1, max: 7 } },
+            { id: 'genres', type: 'choice', prompt: 'Which genres do you like?', options: ['Jazz', 'Rock', 'Pop'], multiple: true },
+        ],
+    }],
+    post: [{
+        id: 'after',
+        items: [
+            { id: 'device', type: 'choice', prompt: 'What did you listen on?', options: [{ value: 1, label: 'Headphones' }, { value: 2, label: 'Speakers' }], required: true },
+            { id: 'comments', type: 'text', prompt: 'Anything else?', maxLength: 10 },
+        ],
+    }],
+};
+
+/**
+ * Loads a questionnaire definition as the app would.
+ * @param {object} definition - The questionnaire, as configured.
+ * @returns {Promise<object>} The result of `loadQuestionnaire`.
+ */
+function load(definition) {
+    CONFIG.QUESTIONNAIRE = definition;
+    return loadQuestionnaire();
+}
+
+describe('loadQuestionnaire', () => {
+    test('fills in defaults, and an empty questionnaire asks nothing', async () => {
+        const questionnaire = await load(QUESTIONNAIRE);
+        assert.equal(questionnaire.consent.agreeLabel, 'I agree');
+        assert.deepEqual(questionnaire.pre[0].items[0].scale, { min: 1, max: 7, minLabel: null, maxLabel: null });
+        assert.deepEqual(questionnaire.pre[0].items[1].options[0], { value: 'Jazz', label: 'Jazz' });
+        assert.equal(questionnaire.post[0].items[1].required, false);
+        assert.equal(questionnaire.trackRating, null);
+
+        assert.deepEqual(await load(null), { consent: null, pre: [], post: [], trackRating: null });
+    });
+
+    test('rejects malformed pages and items', async () => {
+        const page = items => ({ pre: [{ id: 'p', items }] });
+        await assert.rejects(load({ pre: [{ items: [] }] }), /must have an id/);
+        await assert.rejects(load({ pre: [{ id: 'p', items: [] }], post: [{ id: 'p', items: [] }] }), /used more than once/);
+        await assert.rejects(load(page([{ id: 'a', type: 'slider', prompt: 'A?' }])), /unknown type "slider"/);
+        await assert.rejects(load(page([{ id: 'a', type: 'text' }])), /must have a prompt/);
+        await assert.rejects(load(page([{ id: 'a', type: 'likert', prompt: 'A?', scale: { min: 5, max: 1 } }])), /invalid scale/);
+        await assert.rejects(load(page([{ id: 'a', type: 'choice', prompt: 'A?', options: ['Yes'] }])), /at least two options/);
+        await assert.rejects(load({ consent: { id: 'c' } }), /consent page must have an id and a text/);
+    });
+});
+
+test('answers are checked against their items', async () => {
+    const { pre: [before], post: [after] } = await load(QUESTIONNAIRE);
+    assert.deepEqual(validateAnswers(before, { mood: 4, genres: ['Jazz', 'Pop'] }), {});
+    assert.deepEqual(validateAnswers(before, { mood: null, genres: [] }), { mood: 'Please answer this question.' });
+    assert.deepEqual(Object.keys(validateAnswers(before, { mood: 8, genres: ['Blues'] })), ['mood', 'genres']);
+
+    assert.deepEqual(validateAnswers(after, { device: 2, comments: '  ' }), {});
+    assert.deepEqual(Object.keys(validateAnswers(after, { device: '2', comments: 'far too long' })), ['device', 'comments']);
+});
+
+test('reported answers cover every item, with text trimmed', async () => {
+    const { post: [after] } = await load(QUESTIONNAIRE);
+    assert.deepEqual(cleanAnswers(after, { device: 1, comments: ' ok ' }), { device: 1, comments: 'ok' });
+    assert.deepEqual(cleanAnswers(after, { device: 1, comments: '   ' }), { device: 1, comments: null });
+    assert.deepEqual(cleanAnswers(after, {}), { device: null, comments: null });
+});
+
+describe('consent', () => {
+    beforeEach(() => localStorage.clear());
+
+    test('is remembered per participant until the consent page changes', () => {
+        const consent = { id: 'consent-v1', text: 'Do you agree?' };
+        assert.equal(getStoredConsent('key-1', consent), null);
+        const record = storeConsent('key-1', consent, 1000);
+        assert.deepEqual(record, { id: 'consent-v1', agreedAt: 1000 });
+        assert.deepEqual(getStoredConsent('key-1', consent), record);
+        assert.equal(getStoredConsent('key-2', consent), null);
+        assert.equal(getStoredConsent('key-1', { ...consent, id: 'consent-v2' }), null);
+    });
+});
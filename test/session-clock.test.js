@@ -0,0 +1,87 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createSessionClock } from '../session-clock.js';
+
+/**
+ * Creates a session clock on a time source the test moves by hand.
+ * @param {object} [options={}] - Passed on to `createSessionClock`.
+ * @returns {{clock: object, advance: function(number): void}}
+ */
+function setup(options = {}) {
+    let time = 1000;
+    const clock = createSessionClock({ now: () => time, maxExtrapolationMs: 1000, ...options });
+    return { clock, advance: ms => { time += ms; } };
+}
+
+test('playing time follows playback and wall time follows the clock', () => {
+    const { clock, advance } = setup();
+    clock.observe({ trackId: 'a', position: 0, paused: false });
+    advance(500);
+    clock.observe({ trackId: 'a', position: 500, paused: false });
+    advance(500);
+    clock.observe({ trackId: 'a', position: 1000, paused: true });
+    advance(60000);
+    clock.observe({ trackId: 'a', position: 1000, paused: true });
+    assert.equal(clock.getPlayingMs(), 1000);
+    assert.equal(clock.getWallMs(), 61000);
+});
+
+test('playing time is capped by the time that passed and by playback progress', () => {
+    const { clock, advance } = setup();
+    clock.observe({ trackId: 'a', position: 0, paused: false });
+    advance(1000);
+    // A seek ahead does not count as played.
+    clock.observe({ trackId: 'a', position: 30000, paused: false });
+    advance(5000);
+    // A stall, e.g. buffering or a sleeping computer, does not count either.
+    clock.observe({ trackId: 'a', position: 30200, paused: false });
+    assert.equal(clock.getPlayingMs(), 1200);
+});
+
+test('a track change counts the rest of the previous track', () => {
+    const { clock, advance } = setup();
+    clock.observe({ trackId: 'a', position: 119000, paused: false, durationMs: 120000 });
+    advance(2000);
+    clock.observe({ trackId: 'b', position: 1000, paused: false, durationMs: 90000 });
+    assert.equal(clock.getPlayingMs(), 2000);
+});
+
+test('the display time runs on between observations for a limited time, the playing time does not', () => {
+    const { clock, advance } = setup();
+    clock.observe({ trackId: 'a', position: 0, paused: false });
+    advance(400);
+    assert.equal(clock.getDisplayMs(), 400);
+    assert.equal(clock.getPlayingMs(), 0);
+    advance(10000);
+    assert.equal(clock.getDisplayMs(), 1000);
+    clock.observe({ trackId: 'a', position: 10400, paused: false });
+    assert.equal(clock.getPlayingMs(), 10400);
+});
+
+test('suspend stops the clock until the next observation', () => {
+    const { clock, advance } = setup();
+    clock.observe({ trackId: 'a', position: 0, paused: false });
+    advance(500);
+    clock.suspend();
+    advance(500);
+    assert.equal(clock.getPlayingMs(), 0);
+    clock.observe({ trackId: 'a', position: 30000, paused: false });
+    advance(500);
+    clock.observe({ trackId: 'a', position: 30500, paused: false });
+    assert.equal(clock.getPlayingMs(), 500);
+});
+
+test('stop freezes both times, and time carries over into a new clock', () => {
+    const { clock, advance } = setup({ playingMs: 60000, wallMs: 90000 });
+    clock.observe({ trackId: 'a', position: 0, paused: false });
+    advance(500);
+    clock.observe({ trackId: 'a', position: 500, paused: false });
+    advance(500);
+    clock.stop();
+    advance(10000);
+    clock.observe({ trackId: 'a', position: 11000, paused: false });
+    assert.equal(clock.getPlayingMs(), 60500, 'time since the last observation is not credited');
+    assert.equal(clock.getDisplayMs(), 60500);
+    assert.equal(clock.getWallMs(), 91000);
+});
@@ -0,0 +1,480 @@
+// Drives the session engine with a fake player, API client and clock, without a page or a server.
+
+import { test, describe, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+
+import { installBrowserEnvironment } from './helpers/browser-environment.js';
+
+const page = installBrowserEnvironment({ url: 'https://rhythm.example/app.html' });
+const { SessionEngine, SESSION_EVENTS } = await import('../session-engine.js');
+const { verifyCompletionCode, RESULT_FLAGS } = await import('../completion-code.js');
+const { RECOVERY_STATES } = await import('../playback-recovery.js');
+const { CONFIG } = await import('../config.js');
+
+const OPTIONS = {
+    user: { id: 'user-1' },
+    participant: { key: 'key-1', participantId: 'P 1', studyId: 'S1' },
+    profile: { name: 'default' },
+};
+
+const TRACKS = [
+    { id: 'track-a', uri: 'spotify:track:track-a', name: 'A', duration_ms: 100000 },
+    { id: 'track-b', uri: 'spotify:track:track-b', name: 'B', duration_ms: 100000 },
+].map(track => ({ ...track, artists: [{ name: 'Artist' }], album: { images: [] }, listenedMs: 0, listenedPercent: 0, goalMet: false }));
+
+/**
+ * Creates a saved session, as the session store returns it.
+ * @param {object} [overrides={}] - Session fields to change.
+ * @returns {object} The saved session.
+ */
+const savedSession = (overrides = {}) => ({
+    elapsedMs: 0,
+    session: {
+        id: 'ABCDEFGH',
+        seed: 'seed',
+        totalDuration: 300,
+        trackCompletionGoal: 50,
+        tracks: structuredClone(TRACKS),
+        playlistId: null,
+        playlistUri: null,
+        currentTrackIndex: 0,
+        positionMs: 0,
+        resumes: [],
+        integrityFlags: [],
+        playOrderViolations: [],
+        ...overrides,
+    },
+});
+
+/**
+ * Creates a clock that only moves when told to, running interval callbacks as it passes them.
+ * @returns {object} The clock, with `advance(ms)`.
+ */
+function createFakeClock() {
+    let time = Date.UTC(2024, 0, 15, 12);
+    let nextId = 1;
+    const intervals = new Map();
+    return {
+        now: () => time,
+        monotonicNow: () => time,
+        setInterval(callback, ms) {
+            intervals.set(nextId, { callback, ms, due: time + ms });
+            return nextId++;
+        },
+        clearInterval: id => intervals.delete(id),
+        async advance(ms) {
+            const end = time + ms;
+            for (;;) {
+                const next = [...intervals.values()].sort((a, b) => a.due - b.due)[0];
+                if (!next || next.due > end) break;
+                time = next.due;
+                next.due += next.ms;
+                next.callback();
+                // Let async callbacks (e.g. reading playback) complete.
+                await new Promise(resolve => setImmediate(resolve));
+            }
+            time = end;
+        },
+    };
+}
+
+/**
+ * Creates a fake Spotify: an API client whose `play` starts simulated playback,
+ * and a player adapter that reports it. Tracks play through to the next one.
+ * @param {object} clock - The fake clock.
+ * @returns {{api: object, player: object, calls: object[], stopPlayback: function(): void, jumpTo: function(number): void, lose: function(string, object=): void}}
+ */
+function createFakeSpotify(clock) {
+    const calls = [];
+    let playback = null; // { index, positionMs, startedAt, paused }
+    let handlers = null;
+
+    const snapshot = () => {
+        if (!playback) return null;
+        let index = playback.index;
+        const moving = !playback.paused && !playback.stalled;
+        let position = playback.positionMs + (moving ? clock.now() - playback.startedAt : 0);
+        while (index < TRACKS.length && position >= TRACKS[index].duration_ms) {
+            position -= TRACKS[index].duration_ms;
+            index++;
+        }
+        if (index >= TRACKS.length) {
+            // Spotify stops at the end of the last track.
+            const last = TRACKS.at(-1);
+            return { trackId: last.id, position: last.duration_ms, paused: true, muted: false, shuffle: false, repeat: false };
+        }
+        return { trackId: TRACKS[index].id, position, paused: playback.paused, muted: false, shuffle: false, repeat: false };
+    };
+
+    const api = {
+        transferPlayback: async deviceId => { calls.push(['transferPlayback', deviceId]); },
+        setShuffle: async () => {},
+        setRepeatMode: async () => {},
+        play: async (target, { offset = 0, positionMs = 0 } = {}) => {
+            calls.push(['play', target, offset, positionMs]);
+            playback = { index: offset, positionMs, startedAt: clock.now(), paused: false };
+        },
+    };
+    const player = {
+        pollIntervalMs: 500,
+        getDeviceId: () => 'device-1',
+        readSnapshot: async () => snapshot(),
+        subscribe(subscriber) {
+            handlers = subscriber;
+            return () => { handlers = null; };
+        },
+        pause: async () => {
+            calls.push(['pause']);
+            const current = snapshot();
+            if (current) {
+                const index = TRACKS.findIndex(t => t.id === current.trackId);
+                playback = { index, positionMs: current.position, startedAt: clock.now(), paused: true };
+            }
+        },
+        ensureReady: async () => {},
+    };
+
+    return {
+        api,
+        player,
+        calls,
+        stopPlayback: () => { playback = null; },
+        stall: () => {
+            const current = snapshot();
+            const index = TRACKS.findIndex(t => t.id === current.trackId);
+            // Still playing, but the position no longer moves.
+            playback = { index, positionMs: current.position, startedAt: clock.now(), paused: false, stalled: true };
+        },
+        jumpTo: index => { playback = { index, positionMs: 0, startedAt: clock.now(), paused: false }; },
+        lose: (reason, options) => handlers.onLost(reason, options),
+    };
+}
+
+/**
+ * Records every event an engine emits.
+ * @param {SessionEngine} engine - The engine.
+ * @returns {object[]} `[name, payload]` pairs, in order.
+ */
+function recordEvents(engine) {
+    const events = [];
+    Object.values(SESSION_EVENTS).forEach(name => engine.on(name, payload => events.push([name, payload])));
+    return events;
+}
+
+/**
+ * Waits for an engine's next event of one kind.
+ * @param {SessionEngine} engine - The engine.
+ * @param {string} name - One of `SESSION_EVENTS`.
+ * @returns {Promise<any>} The event's payload.
+ */
+function nextEvent(engine, name) {
+    return new Promise(resolve => {
+        const unsubscribe = engine.on(name, payload => {
+            unsubscribe();
+            resolve(payload);
+        });
+    });
+}
+
+let clock;
+let spotify;
+let engine;
+
+beforeEach(() => {
+    mock.method(console, 'log', () => {});
+    // The page only fetches the telemetry schema; nothing should reach the network.
+    mock.method(globalThis, 'fetch', async url => {
+        if (new URL(url, location.href).pathname !== '/telemetry-event.schema.json') {
+            return new Response(null, { status: 404 });
+        }
+        const schema = await readFile(new URL('../telemetry-event.schema.json', import.meta.url));
+        return new Response(schema, { headers: { 'Content-Type': 'application/json' } });
+    });
+    clock = createFakeClock();
+    spotify = createFakeSpotify(clock);
+    engine = new SessionEngine({ player: spotify.player, api: spotify.api, clock });
+});
+
+afterEach(() => {
+    engine.stop();
+    page.clearTimers();
+    mock.restoreAll();
+});
+
+describe('a resumed session', () => {
+    test('plays where it stopped and finishes once every goal and the duration are met', async () => {
+        const events = recordEvents(engine);
+        const saved = savedSession({ positionMs: 20000, totalDuration: 150 });
+        saved.session.tracks[0].listenedMs = 20000;
+        await engine.resume(saved, OPTIONS);
+        assert.deepEqual(spotify.calls.slice(0, 2), [
+            ['transferPlayback', 'device-1'],
+            ['play', TRACKS.map(t => t.uri), 0, 20000],
+        ]);
+        assert.equal(events[0][0], SESSION_EVENTS.STARTED);
+        assert.equal(events[0][1].resumed, true);
+        assert.equal(engine.isRunning(), true);
+
+        // 20s of track A had been heard; it reaches its 50% goal 30s later.
+        await clock.advance(31000);
+        assert.equal(engine.getSession().tracks[0].goalMet, true);
+        assert.equal(engine.getSession().tracks[1].goalMet, false);
+        assert.ok(events.some(([name, payload]) => name === SESSION_EVENTS.TRACK_GOAL_MET && payload.trackIndex === 0));
+        assert.ok(!events.some(([name, payload]) => name === SESSION_EVENTS.FINISHABLE && payload.finishable));
+
+        // A ends at 80s, and B reaches its goal 50s after that.
+        await clock.advance(100000);
+        assert.equal(engine.getSession().tracks[1].goalMet, true);
+        assert.ok(events.some(([name, payload]) => name === SESSION_EVENTS.FINISHABLE && payload.finishable));
+        assert.equal(engine.isRunning(), true, 'the session lasts its full duration');
+
+        CONFIG.STUDY_RETURN_URL = 'https://study.example/done?cc={code}&pid={participantId}';
+        const finishing = nextEvent(engine, SESSION_EVENTS.FINISHED);
+        await clock.advance(21000);
+        const { code, summary, returnUrl } = await finishing;
+        CONFIG.STUDY_RETURN_URL = null;
+        assert.equal(engine.isRunning(), false);
+        assert.equal(returnUrl, `https://study.example/done?cc=${code}&pid=P%201`);
+        // Only observed playback counts: the tick at 150 s comes just before the read
+        // of playback that credits the last half second, so the session ends a tick later.
+        assert.equal(summary.playingMs, 150500);
+        assert.equal(summary.wallMs, 151000);
+        assert.deepEqual(spotify.calls.at(-1), ['pause']);
+
+        const verified = await verifyCompletionCode(code);
+        assert.equal(verified.valid, true);
+        assert.equal(verified.sessionId, 'ABCDEFGH');
+        assert.equal(verified.resultFlags & RESULT_FLAGS.ALL_TRACK_GOALS_MET, RESULT_FLAGS.ALL_TRACK_GOALS_MET);
+        assert.equal(verified.resultFlags & RESULT_FLAGS.DURATION_MET, RESULT_FLAGS.DURATION_MET);
+
+        const ticks = events.filter(([name]) => name === SESSION_EVENTS.TICK);
+        assert.equal(ticks[0][1].totalDuration, 150);
+        assert.equal(ticks.at(-1)[1].elapsedMs, 150500);
+        assert.equal(ticks.at(-2)[1].displayMs, 150000, 'the timer display runs on between reads of playback');
+    });
+
+    test('counts on from the saved playing time', async () => {
+        await engine.resume(savedSession(), OPTIONS);
+        await clock.advance(10000);
+        assert.equal(engine.getElapsedMs(), 10000);
+
+        const later = new SessionEngine({ player: spotify.player, api: spotify.api, clock });
+        await later.resume({ ...savedSession(), elapsedMs: 120000 }, OPTIONS);
+        assert.equal(later.getElapsedMs(), 120000);
+        later.stop();
+    });
+});
+
+describe('the session timer', () => {
+    test('stops while playback is paused, while wall time runs on', async () => {
+        await engine.resume(savedSession(), OPTIONS);
+        await clock.advance(10000);
+        await engine.pause();
+        await clock.advance(60000);
+        assert.equal(engine.getElapsedMs(), 10000);
+        assert.equal(engine.getWallMs(), 70000);
+
+        // The participant presses play in Spotify; the next read of playback restarts the timer.
+        await spotify.api.play(TRACKS.map(t => t.uri), { offset: 0, positionMs: 10000 });
+        await clock.advance(5000);
+        assert.equal(engine.getElapsedMs(), 14500);
+        assert.equal(engine.getWallMs(), 75000);
+    });
+
+    test('only counts as much time as playback advanced', async () => {
+        await engine.resume(savedSession(), OPTIONS);
+        await clock.advance(10000);
+        // The player stalls, e.g. while buffering, and still reports playing.
+        spotify.stall();
+        await clock.advance(20000);
+        assert.equal(engine.getElapsedMs(), 10000);
+        assert.equal(engine.getWallMs(), 30000);
+    });
+});
+
+describe('interruptions', () => {
+    test('pause the session timer until playback is restored', async () => {
+        const events = recordEvents(engine);
+        await engine.resume(savedSession(), OPTIONS);
+        await clock.advance(10000);
+
+        spotify.stopPlayback();
+        spotify.lose('playback_moved', { autoRecover: false });
+        const lost = events.find(([name]) => name === SESSION_EVENTS.PLAYBACK);
+        assert.equal(lost[1].state, RECOVERY_STATES.INTERRUPTED);
+        assert.equal(lost[1].reason, 'playback_moved');
+
+        await clock.advance(30000);
+        assert.equal(engine.getElapsedMs(), 10000, 'the interruption does not count');
+
+        engine.retryPlayback();
+        await new Promise(resolve => setImmediate(resolve));
+        const states = events.filter(([name]) => name === SESSION_EVENTS.PLAYBACK).map(([, change]) => change.state);
+        assert.deepEqual(states, [RECOVERY_STATES.INTERRUPTED, RECOVERY_STATES.RECOVERING, RECOVERY_STATES.PLAYING]);
+        assert.deepEqual(spotify.calls.at(-1), ['play', TRACKS.map(t => t.uri), 0, engine.getSession().positionMs]);
+
+        await clock.advance(5000);
+        assert.equal(engine.getElapsedMs(), 15000);
+        assert.equal(engine.getSession().interruptedMs, 30000);
+    });
+});
+
+describe('play order', () => {
+    test('skipping ahead is recorded and playback is returned to the expected track', async () => {
+        const events = recordEvents(engine);
+        await engine.resume(savedSession(), OPTIONS);
+        await clock.advance(5000);
+
+        spotify.jumpTo(1);
+        await clock.advance(500);
+        const violation = events.find(([name]) => name === SESSION_EVENTS.PLAY_ORDER_VIOLATION);
+        assert.ok(violation, 'a violation was emitted');
+        assert.equal(violation[1].violation.type, 'skipped_ahead');
+        assert.equal(violation[1].returned, true);
+        assert.equal(engine.getSession().playOrderViolations.length, 1);
+        assert.equal(spotify.calls.at(-1)[0], 'play');
+        assert.equal(spotify.calls.at(-1)[2], 0, 'playback returned to the first track');
+    });
+});
+
+test('a listener that throws does not stop the session', async () => {
+    mock.method(console, 'error', () => {});
+    engine.on(SESSION_EVENTS.TICK, () => { throw new Error('broken widget'); });
+    const ticks = [];
+    engine.on(SESSION_EVENTS.TICK, tick => ticks.push(tick));
+    await engine.resume(savedSession(), OPTIONS);
+    await clock.advance(3000);
+    assert.equal(ticks.length, 3);
+});
+
+test('track ratings and the post-session answers are reported with the session', async () => {
+    let stoppedBeforeDebrief = false;
+    const debriefed = new SessionEngine({
+        player: spotify.player,
+        api: spotify.api,
+        clock,
+        debrief: async () => {
+            stoppedBeforeDebrief = !debriefed.isRunning();
+            return { experience: { device: 'Headphones' } };
+        },
+    });
+    await debriefed.resume(savedSession(), OPTIONS);
+    debriefed.rateTrack(0, { liking: 6 });
+
+    const finishing = nextEvent(debriefed, SESSION_EVENTS.FINISHED);
+    await debriefed.finish();
+    const { summary } = await finishing;
+    assert.equal(stoppedBeforeDebrief, true, 'the questions are asked once playback has stopped');
+    assert.deepEqual(summary.answers.post, { experience: { device: 'Headphones' } });
+    assert.deepEqual(summary.tracks.map(track => track.rating), [{ liking: 6 }, null]);
+});
+
+test('in a session with a tap challenge, taps are scored and low accuracy does not hold up the session', async () => {
+    const { TAP_CHALLENGE_DEFAULTS, TAP_GRADES } = await import('../tap-challenge.js');
+    mock.method(console, 'warn', () => {});
+    // Track A has a beat every 500 ms; track B has no analysis.
+    spotify.api.getAudioAnalysis = async trackId => {
+        if (trackId !== 'track-a') throw new Error('Not found');
+        return { beats: Array.from({ length: 200 }, (_, i) => ({ start: i / 2, confidence: 1 })), bars: [] };
+    };
+    const taps = [];
+    engine.on(SESSION_EVENTS.TAP, tap => taps.push(tap));
+    const profile = { name: 'game', tapChallenge: structuredClone(TAP_CHALLENGE_DEFAULTS) };
+    await engine.resume(savedSession({ totalDuration: 150 }), { ...OPTIONS, profile });
+    assert.equal(engine.getBeatMap(0).beats[1], 500);
+    assert.equal(engine.getBeatMap(1), null);
+
+    await clock.advance(5000);
+    assert.deepEqual(engine.tap(), { judgement: { grade: TAP_GRADES.PERFECT, beatIndex: 10, offsetMs: 0 }, estimate: null });
+    assert.equal(taps[0].stats.perfect, 1);
+
+    // Track A plays through with every other beat missed; its goal is still met.
+    await clock.advance(100000);
+    const track = engine.getSession().tracks[0];
+    assert.ok(track.tap.accuracy < TAP_CHALLENGE_DEFAULTS.minAccuracy);
+    assert.equal(track.goalMet, true);
+
+    // The session ends by itself once B's goal and the duration are met.
+    const finishing = nextEvent(engine, SESSION_EVENTS.FINISHED);
+    await clock.advance(50000);
+    const { code, summary } = await finishing;
+    assert.equal(engine.isRunning(), false);
+    assert.equal(summary.tapChallenge.minAccuracy, TAP_CHALLENGE_DEFAULTS.minAccuracy);
+    assert.equal(summary.tracks[0].tap.perfect, 1);
+    assert.equal(summary.tracks[1].tap, null);
+
+    const { resultFlags } = await verifyCompletionCode(code);
+    assert.equal(resultFlags & RESULT_FLAGS.ALL_TRACK_GOALS_MET, RESULT_FLAGS.ALL_TRACK_GOALS_MET);
+    assert.equal(resultFlags & RESULT_FLAGS.TAP_ACCURACY_MET, 0);
+});
+
+test('in a session with a tap tempo game, the tapped tempo is graded against the track tempo', async () => {
+    const { TAP_TEMPO_DEFAULTS } = await import('../tap-tempo.js');
+    const tempos = [];
+    engine.on(SESSION_EVENTS.TEMPO, tempo => tempos.push(tempo));
+    const saved = savedSession();
+    saved.session.tracks[0].tempo = 120;
+    saved.session.tracks[1].tempo = null;
+    const profile = { name: 'tempo', tapTempo: { ...TAP_TEMPO_DEFAULTS } };
+    await engine.resume(saved, { ...OPTIONS, profile });
+    await clock.advance(1000);
+
+    // Tapping at half the tempo, every second.
+    for (let i = 0; i < 4; i++) {
+        engine.tap();
+        await clock.advance(1000);
+    }
+    const { estimate, stats } = tempos.at(-1);
+    assert.equal(tempos.length, 4);
+    assert.deepEqual(estimate, { bpm: 60, ratio: 0.5, errorPercent: 0, onTempo: true, stability: 100 });
+    assert.equal(stats.estimates, 1);
+
+    const finishing = nextEvent(engine, SESSION_EVENTS.FINISHED);
+    await engine.finish();
+    const { summary } = await finishing;
+    assert.equal(summary.tapTempo.tolerancePercent, TAP_TEMPO_DEFAULTS.tolerancePercent);
+    assert.equal(summary.tracks[0].tempo, 120);
+    assert.equal(summary.tracks[0].tapTempo.accuracy, 100);
+    assert.equal(summary.tracks[1].tapTempo, null, 'a track without a tempo');
+});
+
+test('a session is reported before the post-session questions, which are reported separately', async () => {
+    const reported = [];
+    const schemaFetch = globalThis.fetch;
+    mock.method(globalThis, 'fetch', async (url, options) => {
+        if (String(url).startsWith('https://hooks.example/')) {
+            reported.push(JSON.parse(options.body).event);
+            return new Response(null, { status: 204 });
+        }
+        return schemaFetch(url, options);
+    });
+    const completedUrl = CONFIG.N8N_COMPLETED_URL;
+    CONFIG.N8N_COMPLETED_URL = 'https://hooks.example/complete';
+
+    let reportedBeforeDebrief = null;
+    const completed = [];
+    const debriefed = new SessionEngine({
+        player: spotify.player,
+        api: spotify.api,
+        clock,
+        debrief: async () => {
+            // The participant takes a while to answer; the report goes out meanwhile.
+            for (let i = 0; i < 10; i++) await new Promise(resolve => setImmediate(resolve));
+            reportedBeforeDebrief = [...reported];
+            return { experience: { device: 'Speakers' } };
+        },
+    });
+    debriefed.on(SESSION_EVENTS.COMPLETED, ({ code }) => completed.push(code));
+    await debriefed.resume(savedSession(), OPTIONS);
+
+    const finishing = nextEvent(debriefed, SESSION_EVENTS.FINISHED);
+    await debriefed.finish();
+    const { code } = await finishing;
+    for (let i = 0; i < 10; i++) await new Promise(resolve => setImmediate(resolve));
+    CONFIG.N8N_COMPLETED_URL = completedUrl;
+
+    assert.deepEqual(completed, [code]);
+    assert.deepEqual(reportedBeforeDebrief, ['session_complete']);
+    assert.deepEqual(reported, ['session_complete', 'session_debrief']);
+});
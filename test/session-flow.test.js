@@ -0,0 +1,100 @@
+// Runs a whole session in a headless page against the mock backend (mock/server.js):
+// the fake web player connects, the participant picks it, both tracks are played
+// to their goal and the session ends with a valid completion code.
+
+import { test, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'node:child_process';
+import { createServer } from 'node:net';
+import { once } from 'node:events';
+import { setTimeout as delay } from 'node:timers/promises';
+import { fileURLToPath } from 'node:url';
+
+import { installBrowserEnvironment, getText } from './helpers/browser-environment.js';
+
+// The mock server runs in its own process: the fake player speeds up this
+// process's clock, which must not speed up the server's simulated playback too.
+const SPEED = 50;
+const SERVER_PATH = fileURLToPath(new URL('../mock/server.js', import.meta.url));
+
+let server;
+let page;
+
+/**
+ * Finds a free local port.
+ * @returns {Promise<number>} The port.
+ */
+async function getFreePort() {
+    const probe = createServer().listen(0);
+    await once(probe, 'listening');
+    const { port } = probe.address();
+    probe.close();
+    return port;
+}
+
+/**
+ * Polls a condition in real time until it holds.
+ * @param {function(): boolean} condition - The condition.
+ * @param {string} description - What is being waited for, for the timeout message.
+ * @param {number} [timeoutMs=20000] - How long to wait, in real time.
+ */
+async function waitFor(condition, description, timeoutMs = 20000) {
+    // Counted in polls rather than read from the clock, which the fake player speeds up.
+    for (let waitedMs = 0; !condition(); waitedMs += 50) {
+        const error = document.getElementById('error-message').textContent;
+        assert.equal(error, '', `The app showed an error while waiting for ${description}`);
+        assert.ok(waitedMs < timeoutMs, `Timed out waiting for ${description}`);
+        await delay(50);
+    }
+}
+
+before(async () => {
+    const port = await getFreePort();
+    server = spawn(process.execPath, [SERVER_PATH, '--port', String(port), '--speed', String(SPEED)], { stdio: ['ignore', 'pipe', 'inherit'] });
+    let output = '';
+    for await (const chunk of server.stdout) {
+        output += chunk;
+        if (output.includes('Mock Spotify running')) break;
+    }
+    server.stdout.resume();
+
+    const mockUrl = `http://localhost:${port}`;
+    page = installBrowserEnvironment({
+        url: `${mockUrl}/app.html?profile=short&mock=${mockUrl}`,
+        sessionStorage: {
+            access_token: 'mock-access-token',
+            refresh_token: 'mock-refresh-token',
+            expires_at: String(Date.now() + 3600 * 1000),
+        },
+    });
+    mock.method(console, 'log', () => {});
+});
+
+after(() => {
+    page?.clearTimers();
+    server?.kill();
+});
+
+test('a session runs from device selection to a valid completion code', { timeout: 60000 }, async () => {
+    const { verifyCompletionCode, RESULT_FLAGS } = await import('../completion-code.js');
+    await import('../app.js');
+    document.dispatchEvent(new Event('DOMContentLoaded'));
+
+    const deviceList = document.getElementById('device-list');
+    const webPlayerButton = () => deviceList.children.find(button => getText(button).startsWith('This browser'));
+    await waitFor(webPlayerButton, 'the web player to be offered');
+    webPlayerButton().click();
+
+    await waitFor(() => !document.getElementById('session-view').classList.contains('hidden'), 'the session to start');
+    const trackList = document.getElementById('track-list');
+    assert.equal(trackList.children.length, 2, 'the short profile plays two tracks');
+
+    const completionView = document.getElementById('completion-view');
+    await waitFor(() => !completionView.classList.contains('hidden'), 'the session to complete');
+
+    const verified = await verifyCompletionCode(document.getElementById('completion-code').textContent);
+    assert.equal(verified.valid, true);
+    assert.equal(verified.resultFlags & RESULT_FLAGS.ALL_TRACK_GOALS_MET, RESULT_FLAGS.ALL_TRACK_GOALS_MET);
+    assert.equal(verified.resultFlags & RESULT_FLAGS.DURATION_MET, RESULT_FLAGS.DURATION_MET);
+    assert.equal(localStorage.getItem('rhythm_game_session'), null, 'the finished session is no longer resumable');
+});
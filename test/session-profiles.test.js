@@ -0,0 +1,28 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { installBrowserEnvironment } from './helpers/browser-environment.js';
+
+installBrowserEnvironment({ url: 'https://rhythm.example/app.html' });
+const { loadSessionProfile } = await import('../session-profiles.js');
+
+test('only profiles that are defined can be loaded', async () => {
+    for (const name of ['missing', 'toString', 'constructor', '__proto__']) {
+        await assert.rejects(loadSessionProfile(name), /Unknown session profile/, name);
+    }
+});
+
+test('a tap challenge is completed with its defaults', async () => {
+    const profile = await loadSessionProfile('game');
+    assert.equal(profile.trackCount, 2);
+    assert.deepEqual(profile.tapChallenge, { minAccuracy: 50, windowsMs: { perfect: 50, good: 120 }, minBeatConfidence: 0 });
+    assert.equal((await loadSessionProfile('default')).tapChallenge, null);
+});
+
+test('a tap tempo game is completed with its defaults', async () => {
+    const profile = await loadSessionProfile('tempo');
+    assert.equal(profile.tapTempo.tolerancePercent, 4);
+    assert.equal(profile.tapTempo.allowHalfDouble, true);
+    assert.equal(profile.tapChallenge, null);
+    assert.equal((await loadSessionProfile('game')).tapTempo, null);
+});
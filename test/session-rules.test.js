@@ -0,0 +1,178 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    generateSessionParameters,
+    matchesAudioFeatureFilters,
+    filterTrackPool,
+    selectRandomTracks,
+    isTrackGoalMet,
+    checkCompletion,
+    getResultFlags,
+} from '../session-rules.js';
+import { createRandom } from '../random.js';
+import { RESULT_FLAGS } from '../completion-code.js';
+import { INTEGRITY_FLAGS } from '../listening-tracker.js';
+
+/**
+ * Creates a track with the given ID and length.
+ * @param {string} id - The track ID.
+ * @param {number} [durationMs=180000] - The track's length.
+ * @param {object} [extra={}] - Further properties.
+ * @returns {object} The track.
+ */
+const track = (id, durationMs = 180000, extra = {}) => ({ id, duration_ms: durationMs, ...extra });
+
+describe('generateSessionParameters', () => {
+    const profile = { durationRange: [120, 240], completionGoalRange: [40, 60] };
+
+    test('draws values within the profile ranges', () => {
+        for (let i = 0; i < 50; i++) {
+            const { totalDuration, trackCompletionGoal } = generateSessionParameters(profile, createRandom(`seed-${i}`));
+            assert.ok(totalDuration >= 120 && totalDuration <= 240, `duration ${totalDuration}`);
+            assert.ok(trackCompletionGoal >= 40 && trackCompletionGoal <= 60, `goal ${trackCompletionGoal}`);
+            assert.ok(Number.isInteger(totalDuration) && Number.isInteger(trackCompletionGoal));
+        }
+    });
+
+    test('is reproducible from the seed', () => {
+        assert.deepEqual(
+            generateSessionParameters(profile, createRandom('same')),
+            generateSessionParameters(profile, createRandom('same'))
+        );
+    });
+
+    test('uses the exact value of a single-value range', () => {
+        const fixed = { durationRange: [300, 300], completionGoalRange: [75, 75] };
+        assert.deepEqual(generateSessionParameters(fixed, createRandom('x')), { totalDuration: 300, trackCompletionGoal: 75 });
+    });
+});
+
+describe('track filters', () => {
+    test('audio features must fall within every bound, inclusive', () => {
+        const filters = { instrumentalness: { min: 0.6 }, energy: { max: 0.5 } };
+        assert.equal(matchesAudioFeatureFilters({ instrumentalness: 0.6, energy: 0.5 }, filters), true);
+        assert.equal(matchesAudioFeatureFilters({ instrumentalness: 0.59, energy: 0.2 }, filters), false);
+        assert.equal(matchesAudioFeatureFilters({ instrumentalness: 0.9, energy: 0.51 }, filters), false);
+        assert.equal(matchesAudioFeatureFilters({ energy: 0.2 }, filters), false, 'a missing feature does not match');
+        assert.equal(matchesAudioFeatureFilters({}, {}), true);
+    });
+
+    const profile = { trackDurationRangeMs: [90000, 600000], audioFeatureFilters: { energy: { max: 0.5 } }, minFilteredPoolSize: 1 };
+    const tracks = [
+        track('calm'),
+        track('calm-2'),
+        track('loud'),
+        track('too-short', 60000),
+        track('no-features'),
+    ];
+    const featuresById = new Map([
+        ['calm', { energy: 0.2 }],
+        ['calm-2', { energy: 0.4 }],
+        ['loud', { energy: 0.9 }],
+        ['too-short', { energy: 0.1 }],
+    ]);
+
+    test('keeps tracks of suitable length whose features match', () => {
+        const ids = filterTrackPool(tracks, featuresById, profile).map(t => t.id);
+        assert.deepEqual(ids, ['calm', 'calm-2']);
+    });
+
+    test('falls back to the duration range alone when too few tracks match the features', () => {
+        const ids = filterTrackPool(tracks, featuresById, { ...profile, minFilteredPoolSize: 2 }).map(t => t.id);
+        assert.deepEqual(ids, ['calm', 'calm-2', 'loud', 'no-features']);
+    });
+
+    test('excludes the bounds of the duration range', () => {
+        const bounds = [track('min', 90000), track('max', 600000), track('inside', 90001)];
+        const features = new Map(bounds.map(t => [t.id, { energy: 0 }]));
+        assert.deepEqual(filterTrackPool(bounds, features, { ...profile, minFilteredPoolSize: 0 }).map(t => t.id), ['inside']);
+    });
+});
+
+describe('selectRandomTracks', () => {
+    const pool = Array.from({ length: 20 }, (_, i) => track(`track-${String(i).padStart(2, '0')}`));
+
+    test('selects the requested number of distinct tracks with listening progress reset', () => {
+        const selected = selectRandomTracks(pool, 5, createRandom('seed'));
+        assert.equal(selected.length, 5);
+        assert.equal(new Set(selected.map(t => t.id)).size, 5);
+        for (const selectedTrack of selected) {
+            assert.equal(selectedTrack.listenedMs, 0);
+            assert.equal(selectedTrack.listenedPercent, 0);
+            assert.equal(selectedTrack.goalMet, false);
+        }
+    });
+
+    test('does not modify the pool', () => {
+        const copy = structuredClone(pool);
+        selectRandomTracks(pool, 5, createRandom('seed'));
+        assert.deepEqual(pool, copy);
+    });
+
+    test('depends only on the seed and the pool contents, not their order', () => {
+        const ids = selectRandomTracks(pool, 5, createRandom('seed')).map(t => t.id);
+        const reversed = selectRandomTracks([...pool].reverse(), 5, createRandom('seed')).map(t => t.id);
+        assert.deepEqual(reversed, ids);
+        assert.notDeepEqual(selectRandomTracks(pool, 5, createRandom('other seed')).map(t => t.id), ids);
+    });
+
+    test('returns the whole pool when asked for more tracks than it has', () => {
+        assert.equal(selectRandomTracks(pool.slice(0, 3), 5, createRandom('seed')).length, 3);
+    });
+
+    test('favours tracks from heavier sources', () => {
+        const weighted = [
+            ...Array.from({ length: 10 }, (_, i) => track(`heavy-${i}`, 180000, { weight: 10 })),
+            ...Array.from({ length: 10 }, (_, i) => track(`light-${i}`, 180000, { weight: 1 })),
+        ];
+        let heavy = 0;
+        for (let i = 0; i < 100; i++) {
+            heavy += selectRandomTracks(weighted, 5, createRandom(`seed-${i}`)).filter(t => t.weight === 10).length;
+        }
+        assert.ok(heavy > 350, `${heavy} of 500 selected tracks were from the heavy source`);
+    });
+});
+
+describe('completion', () => {
+    const session = {
+        trackCompletionGoal: 50,
+        totalDuration: 300,
+        tracks: [
+            { ...track('a', 200000), listenedMs: 100000 },
+            { ...track('b', 100000), listenedMs: 80000 },
+        ],
+        integrityFlags: [],
+        playOrderViolations: [],
+    };
+
+    test('a track meets its goal once the required percentage was heard', () => {
+        assert.equal(isTrackGoalMet({ ...track('a', 200000), listenedMs: 99999 }, 50), false);
+        assert.equal(isTrackGoalMet({ ...track('a', 200000), listenedMs: 100000 }, 50), true);
+    });
+
+    test('requires both every track goal and the session duration', () => {
+        assert.deepEqual(checkCompletion(session, 299999), { allTracksGoalMet: true, totalTimeMet: false, complete: false });
+        assert.deepEqual(checkCompletion(session, 300000), { allTracksGoalMet: true, totalTimeMet: true, complete: true });
+
+        const unfinished = { ...session, tracks: [...session.tracks, { ...track('c'), listenedMs: 0 }] };
+        assert.deepEqual(checkCompletion(unfinished, 600000), { allTracksGoalMet: false, totalTimeMet: true, complete: false });
+    });
+
+    test('result flags record which criteria were met', () => {
+        assert.equal(getResultFlags(session, 300000), RESULT_FLAGS.ALL_TRACK_GOALS_MET | RESULT_FLAGS.DURATION_MET);
+        assert.equal(getResultFlags(session, 1000), RESULT_FLAGS.ALL_TRACK_GOALS_MET);
+        assert.equal(getResultFlags({ ...session, tracks: [{ ...track('c'), listenedMs: 0 }] }, 1000), 0);
+    });
+
+    test('result flags mark integrity concerns and play order violations', () => {
+        const seeked = { ...session, integrityFlags: [{ type: INTEGRITY_FLAGS.SEEK }] };
+        assert.ok(getResultFlags(seeked, 300000) & RESULT_FLAGS.INTEGRITY_FLAGGED);
+
+        const paused = { ...session, integrityFlags: [{ type: INTEGRITY_FLAGS.PAUSE }] };
+        assert.equal(getResultFlags(paused, 300000) & RESULT_FLAGS.INTEGRITY_FLAGGED, 0, 'pausing is not a concern');
+
+        const skipped = { ...session, playOrderViolations: [{ type: 'skipped_ahead' }] };
+        assert.ok(getResultFlags(skipped, 300000) & RESULT_FLAGS.INTEGRITY_FLAGGED);
+    });
+});
@@ -0,0 +1,180 @@
+import { test, describe, before, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { installBrowserEnvironment } from './helpers/browser-environment.js';
+
+installBrowserEnvironment({
+    url: 'https://rhythm.example/app.html',
+    sessionStorage: {
+        access_token: 'token-1',
+        refresh_token: 'refresh-1',
+        expires_at: String(Date.now() + 3600 * 1000),
+    },
+});
+const { CONFIG } = await import('../config.js');
+const SpotifyAPI = await import('../spotify-api.js');
+
+/**
+ * Replaces `fetch` with a stub that answers requests in order.
+ * @param {...function(string, object): (Response | Promise<Response>)} handlers - One handler per
+ *   expected request. A handler may throw to simulate a network failure.
+ * @returns {object[]} The requests made, as `{ url, options }`.
+ */
+function stubFetch(...handlers) {
+    const requests = [];
+    globalThis.fetch = async (url, options = {}) => {
+        requests.push({ url: String(url), options });
+        const handler = handlers.shift();
+        assert.ok(handler, `Unexpected request to ${url}`);
+        return handler(String(url), options);
+    };
+    return requests;
+}
+
+/**
+ * Creates a JSON response.
+ * @param {number} status - The HTTP status.
+ * @param {any} [body] - The body, serialized as JSON unless it is a string.
+ * @param {object} [headers={}] - Response headers.
+ * @returns {function(): Response} A handler for `stubFetch`.
+ */
+const respond = (status, body, headers = {}) => () =>
+    new Response(typeof body === 'string' || body === undefined ? body : JSON.stringify(body), { status, headers });
+
+const networkFailure = () => { throw new TypeError('fetch failed'); };
+
+before(() => {
+    // Keep retries fast and the output quiet.
+    CONFIG.API_BACKOFF_BASE_MS = 1;
+    CONFIG.API_BACKOFF_MAX_MS = 5;
+    CONFIG.API_MAX_RETRIES = 2;
+    mock.method(console, 'error', () => {});
+    mock.method(console, 'warn', () => {});
+});
+
+beforeEach(() => {
+    sessionStorage.setItem('access_token', 'token-1');
+    sessionStorage.setItem('refresh_token', 'refresh-1');
+    sessionStorage.setItem('expires_at', String(Date.now() + 3600 * 1000));
+});
+
+describe('successful requests', () => {
+    test('are sent to the Web API with the access token and return the parsed body', async () => {
+        const requests = stubFetch(respond(200, { id: 'user-1' }));
+        assert.deepEqual(await SpotifyAPI.getUserProfile(), { id: 'user-1' });
+        assert.equal(requests[0].url, 'https://api.spotify.com/v1/me');
+        assert.equal(requests[0].options.headers.Authorization, 'Bearer token-1');
+    });
+
+    test('return null for empty bodies', async () => {
+        stubFetch(respond(204));
+        assert.equal(await SpotifyAPI.pause('device-1'), null);
+        stubFetch(respond(200, ''));
+        assert.equal(await SpotifyAPI.unfollowPlaylist('playlist-1'), null);
+    });
+});
+
+describe('retries', () => {
+    test('server errors are retried until a request succeeds', async () => {
+        const requests = stubFetch(respond(503, {}), respond(500, {}), respond(200, { id: 'user-1' }));
+        assert.deepEqual(await SpotifyAPI.getUserProfile(), { id: 'user-1' });
+        assert.equal(requests.length, 3);
+    });
+
+    test('rate limiting is retried, and reported as retryable once retries run out', async () => {
+        const requests = stubFetch(
+            respond(429, {}, { 'Retry-After': '0' }),
+            respond(429, {}, { 'Retry-After': '0' }),
+            respond(429, { error: { status: 429, message: 'API rate limit exceeded' } }, { 'Retry-After': '0' })
+        );
+        await assert.rejects(SpotifyAPI.getUserProfile(), {
+            name: 'SpotifyApiError',
+            status: 429,
+            retryable: true,
+            message: 'API rate limit exceeded',
+            endpoint: '/me',
+        });
+        assert.equal(requests.length, CONFIG.API_MAX_RETRIES + 1);
+    });
+
+    test('network failures are retried and reported with status 0', async () => {
+        stubFetch(networkFailure, respond(200, { id: 'user-1' }));
+        assert.deepEqual(await SpotifyAPI.getUserProfile(), { id: 'user-1' });
+
+        stubFetch(networkFailure, networkFailure, networkFailure);
+        await assert.rejects(SpotifyAPI.getUserProfile(), { name: 'SpotifyApiError', status: 0, retryable: true });
+    });
+});
+
+describe('permanent errors', () => {
+    test('are not retried and carry Spotify\'s error message', async () => {
+        const requests = stubFetch(respond(404, { error: { status: 404, message: 'Non existing id' } }));
+        await assert.rejects(SpotifyAPI.getAlbum('missing'), error => {
+            assert.ok(error instanceof SpotifyAPI.SpotifyApiError);
+            assert.equal(error.status, 404);
+            assert.equal(error.retryable, false);
+            assert.equal(error.message, 'Non existing id');
+            assert.deepEqual(error.data, { error: { status: 404, message: 'Non existing id' } });
+            return true;
+        });
+        assert.equal(requests.length, 1);
+    });
+
+    test('without a JSON body are described by their status', async () => {
+        stubFetch(() => new Response('Forbidden', { status: 403, statusText: 'Forbidden' }));
+        await assert.rejects(SpotifyAPI.getUserProfile(), { status: 403, message: 'HTTP Error: 403 Forbidden' });
+    });
+});
+
+describe('expired tokens', () => {
+    test('a 401 refreshes the token and repeats the request once', async () => {
+        const requests = stubFetch(
+            respond(401, { error: { status: 401, message: 'The access token expired' } }),
+            respond(200, { access_token: 'token-2', expires_in: 3600 }),
+            respond(200, { id: 'user-1' })
+        );
+        assert.deepEqual(await SpotifyAPI.getUserProfile(), { id: 'user-1' });
+        assert.equal(requests[1].url, 'https://accounts.spotify.com/api/token');
+        assert.equal(requests[1].options.body.get('refresh_token'), 'refresh-1');
+        assert.equal(requests[2].options.headers.Authorization, 'Bearer token-2');
+        assert.equal(sessionStorage.getItem('access_token'), 'token-2');
+    });
+
+    test('a token about to expire is refreshed before the request', async () => {
+        sessionStorage.setItem('expires_at', String(Date.now() + 1000));
+        const requests = stubFetch(
+            respond(200, { access_token: 'token-3', expires_in: 3600, refresh_token: 'refresh-2' }),
+            respond(200, { id: 'user-1' })
+        );
+        await SpotifyAPI.getUserProfile();
+        assert.equal(requests[1].options.headers.Authorization, 'Bearer token-3');
+        assert.equal(sessionStorage.getItem('refresh_token'), 'refresh-2');
+    });
+
+    test('a failed refresh clears the session and sends the participant to the login page', async () => {
+        stubFetch(
+            respond(401, {}),
+            respond(400, { error: 'invalid_grant', error_description: 'Refresh token revoked' })
+        );
+        await assert.rejects(SpotifyAPI.getUserProfile(), { message: 'Refresh token revoked' });
+        assert.equal(sessionStorage.getItem('refresh_token'), null);
+        assert.equal(location.href, 'https://rhythm.example/index.html');
+    });
+});
+
+test('no more than API_MAX_CONCURRENT_REQUESTS requests are in flight at once', async () => {
+    CONFIG.API_MAX_CONCURRENT_REQUESTS = 2;
+    let inFlight = 0;
+    let maxInFlight = 0;
+    const slowResponse = async () => {
+        inFlight++;
+        maxInFlight = Math.max(maxInFlight, inFlight);
+        await new Promise(resolve => setTimeout(resolve, 5));
+        inFlight--;
+        return new Response(JSON.stringify({}), { status: 200 });
+    };
+    stubFetch(...Array.from({ length: 5 }, () => slowResponse));
+
+    await Promise.all(Array.from({ length: 5 }, () => SpotifyAPI.getUserProfile()));
+    assert.equal(maxInFlight, 2);
+});
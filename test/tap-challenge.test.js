@@ -0,0 +1,112 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { getBeatMap, createTapScorer, TAP_GRADES } from '../tap-challenge.js';
+import { isTapAccuracyMet, getResultFlags } from '../session-rules.js';
+import { RESULT_FLAGS } from '../completion-code.js';
+
+// A beat every 500 ms (120 BPM), starting at 1 s.
+const BEATS = Array.from({ length: 40 }, (_, i) => 1000 + i * 500);
+const WINDOWS = { perfect: 50, good: 120 };
+
+/**
+ * Creates a scorer for `BEATS` that has started playing at 0.
+ * @returns {object} The scorer.
+ */
+function startScorer() {
+    const scorer = createTapScorer({ beats: BEATS, windowsMs: WINDOWS });
+    scorer.advance(0);
+    return scorer;
+}
+
+test('the beat map is read in milliseconds and leaves out unsure beats', () => {
+    const analysis = {
+        beats: [{ start: 0.5, confidence: 0.9 }, { start: 1.0, confidence: 0.1 }, { start: 1.5 }],
+        bars: [{ start: 0.5 }],
+    };
+    assert.deepEqual(getBeatMap(analysis), { beats: [500, 1000, 1500], bars: [500] });
+    assert.deepEqual(getBeatMap(analysis, 0.5).beats, [500, 1500]);
+    assert.deepEqual(getBeatMap({}), { beats: [], bars: [] });
+});
+
+describe('createTapScorer', () => {
+    test('taps are graded by how close they are to the nearest beat', () => {
+        const scorer = startScorer();
+        assert.deepEqual(scorer.tap(1030), { grade: TAP_GRADES.PERFECT, beatIndex: 0, offsetMs: 30 });
+        assert.deepEqual(scorer.tap(1400), { grade: TAP_GRADES.GOOD, beatIndex: 1, offsetMs: -100 });
+        assert.equal(scorer.getJudgement(1), TAP_GRADES.GOOD);
+
+        // Each beat is judged once, so a second tap on it is stray.
+        assert.deepEqual(scorer.tap(1410), { grade: TAP_GRADES.MISS, beatIndex: null, offsetMs: null });
+        assert.deepEqual(scorer.tap(1750), { grade: TAP_GRADES.MISS, beatIndex: null, offsetMs: null }, 'between beats');
+
+        const stats = scorer.getStats();
+        assert.equal(stats.perfect, 1);
+        assert.equal(stats.good, 1);
+        assert.equal(stats.stray, 2);
+        assert.equal(stats.accuracy, (1.5 / 4) * 100);
+    });
+
+    test('beats that pass without a tap are missed and break the combo', () => {
+        const scorer = startScorer();
+        scorer.tap(1000);
+        scorer.tap(1500);
+        assert.equal(scorer.getStats().combo, 2);
+
+        assert.equal(scorer.advance(2100), 0, 'the beat at 2000 ms is still in its window');
+        assert.equal(scorer.advance(3100), 2);
+        assert.equal(scorer.getJudgement(2), TAP_GRADES.MISS);
+        const stats = scorer.getStats();
+        assert.equal(stats.combo, 0);
+        assert.equal(stats.maxCombo, 2);
+        assert.equal(stats.miss, 2);
+    });
+
+    test('a combo raises the points of the following hits', () => {
+        const scorer = startScorer();
+        BEATS.slice(0, 12).forEach(beat => scorer.tap(beat));
+        // Ten hits at 300 points, then two at double points.
+        assert.equal(scorer.getStats().score, 10 * 300 + 2 * 600);
+        assert.equal(scorer.getStats().accuracy, 100);
+    });
+
+    test('beats jumped over are skipped rather than missed', () => {
+        const scorer = startScorer();
+        scorer.advance(900);
+        assert.equal(scorer.advance(15000), 0, 'a seek forward');
+        assert.equal(scorer.getJudgement(3), null);
+        assert.equal(scorer.advance(2000), 0, 'a seek back');
+        assert.equal(scorer.advance(3000), 2, 'the beats at 2000 and 2500 ms');
+        assert.equal(scorer.getStats().miss, 2);
+    });
+
+    test('statistics carry over into a new scorer', () => {
+        const first = startScorer();
+        first.tap(1000);
+        const resumed = createTapScorer({ beats: BEATS, windowsMs: WINDOWS, stats: first.getStats() });
+        resumed.advance(5000);
+        resumed.tap(5000);
+        assert.equal(resumed.getStats().perfect, 2);
+        assert.equal(resumed.getStats().miss, 0, 'beats before the resume are not judged');
+    });
+});
+
+test('tap accuracy is reported as a result flag, apart from the track goals', () => {
+    const tapChallenge = { minAccuracy: 50 };
+    const track = { listenedMs: 90000, duration_ms: 100000, tap: { accuracy: 60 } };
+    assert.equal(isTapAccuracyMet([track, { ...track, tap: null }], tapChallenge), true, 'a track without an analysis');
+    assert.equal(isTapAccuracyMet([track, { ...track, tap: { accuracy: 40 } }], tapChallenge), false);
+    assert.equal(isTapAccuracyMet([track], null), false, 'a session without a tap challenge');
+
+    const session = {
+        tracks: [{ ...track, tap: { accuracy: 20 } }],
+        trackCompletionGoal: 80,
+        totalDuration: 60,
+        tapChallenge,
+        integrityFlags: [],
+        playOrderViolations: [],
+    };
+    assert.equal(getResultFlags(session, 60000), RESULT_FLAGS.ALL_TRACK_GOALS_MET | RESULT_FLAGS.DURATION_MET);
+    session.tracks[0].tap.accuracy = 80;
+    assert.equal(getResultFlags(session, 60000) & RESULT_FLAGS.TAP_ACCURACY_MET, RESULT_FLAGS.TAP_ACCURACY_MET);
+});
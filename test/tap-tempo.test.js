@@ -0,0 +1,90 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createTempoTracker, matchTempo, computeStability, TAP_TEMPO_DEFAULTS } from '../tap-tempo.js';
+
+/**
+ * Taps a tracker at the given times.
+ * @param {object} tracker - The tempo tracker.
+ * @param {number[]} times - Tap times, in milliseconds.
+ * @returns {object[]} The estimates, one per tap.
+ */
+const tapAt = (tracker, times) => times.map(time => tracker.tap(time));
+
+/**
+ * Builds evenly spaced tap times.
+ * @param {number} count - How many taps.
+ * @param {number} intervalMs - The time between taps.
+ * @param {number} [start=0] - The first tap.
+ * @returns {number[]} The tap times.
+ */
+const evenTaps = (count, intervalMs, start = 0) => Array.from({ length: count }, (_, i) => start + i * intervalMs);
+
+describe('matchTempo', () => {
+    test('half and double the tempo match as well as the tempo itself', () => {
+        assert.deepEqual(matchTempo(120, 120), { ratio: 1, errorPercent: 0 });
+        assert.deepEqual(matchTempo(60, 120), { ratio: 0.5, errorPercent: 0 });
+        assert.deepEqual(matchTempo(240, 120), { ratio: 2, errorPercent: 0 });
+        assert.equal(matchTempo(63, 120).errorPercent, 5);
+    });
+
+    test('only the tempo itself matches when half and double are not allowed', () => {
+        assert.deepEqual(matchTempo(60, 120, false), { ratio: 1, errorPercent: 50 });
+    });
+});
+
+test('stability is 100 for even taps and falls as they spread', () => {
+    assert.equal(computeStability([500, 500, 500]), 100);
+    assert.equal(computeStability([450, 550]), 90);
+    assert.equal(computeStability([100, 1900]), 10);
+});
+
+describe('createTempoTracker', () => {
+    test('estimates the tempo once there are enough taps in a row', () => {
+        const tracker = createTempoTracker({ targetBpm: 120 });
+        const estimates = tapAt(tracker, evenTaps(4, 500));
+        assert.deepEqual(estimates.slice(0, 3), [null, null, null]);
+        assert.deepEqual(estimates[3], { bpm: 120, ratio: 1, errorPercent: 0, onTempo: true, stability: 100 });
+
+        const stats = tracker.getStats();
+        assert.equal(stats.taps, 4);
+        assert.equal(stats.estimates, 1);
+        assert.equal(stats.onTempo, 1);
+        assert.equal(stats.accuracy, 100);
+    });
+
+    test('a single stray tap barely moves the estimate', () => {
+        const tracker = createTempoTracker({ targetBpm: 120 });
+        const times = evenTaps(8, 500);
+        times[5] += 150;
+        assert.equal(tapAt(tracker, times).at(-1).bpm, 120);
+    });
+
+    test('a tempo outside the tolerance is graded by how far off it is', () => {
+        const tracker = createTempoTracker({ targetBpm: 100 });
+        // 110 BPM: 10% fast, half of the maximum error.
+        const estimate = tapAt(tracker, evenTaps(4, 60000 / 110)).at(-1);
+        assert.equal(estimate.onTempo, false);
+        assert.ok(Math.abs(estimate.errorPercent - 10) < 1e-9);
+        assert.ok(Math.abs(tracker.getStats().accuracy - 50) < 1e-9);
+    });
+
+    test('a long pause starts over', () => {
+        const tracker = createTempoTracker({ targetBpm: 120 });
+        tapAt(tracker, evenTaps(3, 500));
+        const pause = 1000 + TAP_TEMPO_DEFAULTS.maxGapMs + 1;
+        assert.deepEqual(tapAt(tracker, evenTaps(3, 500, pause)), [null, null, null]);
+        assert.equal(tracker.tap(pause + 1500).bpm, 120);
+    });
+
+    test('averages carry over into a new tracker', () => {
+        const first = createTempoTracker({ targetBpm: 100 });
+        tapAt(first, evenTaps(4, 60000 / 110));
+        const resumed = createTempoTracker({ targetBpm: 100, stats: first.getStats() });
+        tapAt(resumed, evenTaps(4, 600, 100000));
+        const stats = resumed.getStats();
+        assert.equal(stats.estimates, 2);
+        assert.equal(stats.taps, 8);
+        assert.ok(Math.abs(stats.accuracy - 75) < 1e-9);
+    });
+});
@@ -0,0 +1,138 @@
+// =================================================================================
+// TOKEN MANAGER MODULE
+//
+// Owns the Spotify access and refresh tokens for the lifetime of a browser tab.
+// Spotify access tokens expire after one hour, which is shorter than a long
+// listening session. This module keeps the session alive by:
+// 1. Storing the access token, refresh token and expiry after the PKCE exchange.
+// 2. Refreshing the access token shortly before it expires.
+// 3. Sharing a single in-flight refresh between concurrent callers.
+// 4. Clearing the session and redirecting to login only when refreshing fails.
+// =================================================================================
+
+import { CONFIG } from './config.js';
+import { getStudyContext, saveStudyContext } from './participant.js';
+
+const TOKEN_URL = `${CONFIG.SPOTIFY_ACCOUNTS_URL}/api/token`;
+
+// Refresh this many milliseconds before the token actually expires, so that a
+// request started just before expiry does not reach Spotify with a stale token.
+const REFRESH_MARGIN_MS = 60 * 1000;
+
+const STORAGE_KEYS = {
+    accessToken: 'access_token',
+    refreshToken: 'refresh_token',
+    expiresAt: 'expires_at',
+};
+
+// The pending refresh request, shared so that parallel API calls trigger only one refresh.
+let refreshPromise = null;
+
+/**
+ * Stores the tokens returned by Spotify's token endpoint.
+ * Spotify may omit `refresh_token` on refresh responses, in which case the
+ * previously stored refresh token remains valid and is kept.
+ * @param {object} tokenResponse - The parsed JSON body from the token endpoint.
+ * @param {string} tokenResponse.access_token - The new access token.
+ * @param {number} tokenResponse.expires_in - Lifetime of the access token in seconds.
+ * @param {string} [tokenResponse.refresh_token] - The refresh token, if one was issued.
+ */
+export function storeTokens({ access_token, expires_in, refresh_token }) {
+    const expiresAt = Date.now() + expires_in * 1000;
+    sessionStorage.setItem(STORAGE_KEYS.accessToken, access_token);
+    sessionStorage.setItem(STORAGE_KEYS.expiresAt, expiresAt);
+    if (refresh_token) {
+        sessionStorage.setItem(STORAGE_KEYS.refreshToken, refresh_token);
+    }
+}
+
+/**
+ * Checks whether the tab holds any credentials that can be used or refreshed.
+ * @returns {boolean} True if an access token or refresh token is stored.
+ */
+export function hasSession() {
+    return Boolean(
+        sessionStorage.getItem(STORAGE_KEYS.accessToken) ||
+        sessionStorage.getItem(STORAGE_KEYS.refreshToken)
+    );
+}
+
+/**
+ * Clears all stored credentials and sends the user back to the login page.
+ * The study context is kept, so that signing in again keeps the participant's study IDs.
+ */
+export function redirectToLogin() {
+    const studyContext = getStudyContext();
+    sessionStorage.clear();
+    saveStudyContext(studyContext);
+    window.location.replace('index.html');
+}
+
+/**
+ * Exchanges the stored refresh token for a new access token.
+ * Concurrent callers share the same request. If the refresh fails, the session
+ * is cleared and the user is redirected to the login page.
+ * @returns {Promise<string>} The new access token.
+ * @throws {Error} If no refresh token is stored or Spotify rejects the refresh.
+ */
+export function refreshAccessToken() {
+    if (!refreshPromise) {
+        refreshPromise = requestTokenRefresh().finally(() => {
+            refreshPromise = null;
+        });
+    }
+    return refreshPromise;
+}
+
+/**
+ * Performs the refresh_token grant against Spotify's token endpoint.
+ * @returns {Promise<string>} The new access token.
+ */
+async function requestTokenRefresh() {
+    const refreshToken = sessionStorage.getItem(STORAGE_KEYS.refreshToken);
+    if (!refreshToken) {
+        redirectToLogin();
+        throw new Error('No refresh token available. Redirecting to login.');
+    }
+
+    const response = await fetch(TOKEN_URL, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        body: new URLSearchParams({
+            grant_type: 'refresh_token',
+            refresh_token: refreshToken,
+            client_id: CONFIG.CLIENT_ID,
+        }),
+    });
+
+    if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}));
+        redirectToLogin();
+        throw new Error(errorData.error_description || 'Failed to refresh access token. Redirecting to login.');
+    }
+
+    const tokenResponse = await response.json();
+    storeTokens(tokenResponse);
+
+    if (CONFIG.DEBUG_MODE) {
+        console.log('Access token refreshed.');
+    }
+
+    return tokenResponse.access_token;
+}
+
+/**
+ * Returns a valid access token, refreshing it first if it is missing or about
+ * to expire. Redirects to the login page if the token cannot be refreshed.
+ * @returns {Promise<string>} The valid access token.
+ */
+export async function getAccessToken() {
+    const token = sessionStorage.getItem(STORAGE_KEYS.accessToken);
+    const expiresAt = parseInt(sessionStorage.getItem(STORAGE_KEYS.expiresAt), 10);
+
+    if (!token || !expiresAt || Date.now() > expiresAt - REFRESH_MARGIN_MS) {
+        return refreshAccessToken();
+    }
+
+    return token;
+}
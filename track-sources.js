@@ -0,0 +1,203 @@
+// =================================================================================
+// TRACK SOURCES MODULE
+//
+// Defines where candidate tracks for a session come from. Each source is a
+// provider with a common interface:
+//
+//     { type: string, fetchTracks(options): Promise<object[]> }
+//
+// `fetchTracks` resolves to full Spotify track objects (including `album`, which
+// the track list needs for artwork). A session's source configuration lists
+// which providers to use, their options and a relative weight; `buildTrackPool`
+// runs them and tags every track with the source and weight it came from.
+// =================================================================================
+
+import * as SpotifyAPI from './spotify-api.js';
+
+/**
+ * Catch handler for optional requests within a provider. Logs the failure,
+ * noting whether it was transient or permanent, and substitutes null so the
+ * provider can still return whatever else it found.
+ * @param {Error} error - The error raised by the Spotify API module.
+ * @returns {null}
+ */
+function skipFailedRequest(error) {
+    const kind = error instanceof SpotifyAPI.SpotifyApiError && error.retryable ? 'transient' : 'permanent';
+    console.warn(`Skipping track source request after ${kind} failure:`, error.message);
+    return null;
+}
+
+/**
+ * Fetches the tracks of an album and attaches the album to each of them,
+ * since the album tracks endpoint returns simplified tracks without it.
+ * @param {object} album - An album object with at least `id` and `images`.
+ * @returns {Promise<object[]>} Track objects with `album` set.
+ */
+async function fetchTracksOfAlbum(album) {
+    const tracks = await SpotifyAPI.getAlbumTracks(album.id).catch(skipFailedRequest);
+    if (!tracks) return [];
+    return tracks.filter(Boolean).map(track => ({ ...track, album }));
+}
+
+/**
+ * Fetches the tracks of a playlist, dropping local files and removed tracks.
+ * @param {string} playlistId - The ID of the playlist.
+ * @param {number} [maxTracks] - Stop after this many playlist items.
+ * @returns {Promise<object[]>} Track objects.
+ */
+async function fetchTracksOfPlaylist(playlistId, maxTracks) {
+    const items = await SpotifyAPI.getPlaylistTracks(playlistId, maxTracks).catch(skipFailedRequest);
+    if (!items) return [];
+    return items.map(item => item.track).filter(track => track && track.id);
+}
+
+// --- Providers ---
+
+/**
+ * Tracks from the albums currently listed as new releases.
+ */
+const newReleasesProvider = {
+    type: 'new-releases',
+    async fetchTracks() {
+        const newReleases = await SpotifyAPI.getNewReleases();
+        const albumTracks = await Promise.all(newReleases.albums.items.map(fetchTracksOfAlbum));
+        return albumTracks.flat();
+    },
+};
+
+/**
+ * Tracks from Spotify's featured playlists.
+ * Options: `{ maxTracksPerPlaylist?: number }`.
+ */
+const featuredPlaylistsProvider = {
+    type: 'featured-playlists',
+    async fetchTracks({ maxTracksPerPlaylist }) {
+        const featured = await SpotifyAPI.getFeaturedPlaylists();
+        const playlistTracks = await Promise.all(
+            featured.playlists.items.map(pl => fetchTracksOfPlaylist(pl.id, maxTracksPerPlaylist))
+        );
+        return playlistTracks.flat();
+    },
+};
+
+/**
+ * Tracks from specific albums.
+ * Options: `{ albumIds: string[] }`.
+ */
+const albumProvider = {
+    type: 'album',
+    async fetchTracks({ albumIds = [] }) {
+        const albums = await Promise.all(albumIds.map(id => SpotifyAPI.getAlbum(id).catch(skipFailedRequest)));
+        const albumTracks = await Promise.all(albums.filter(Boolean).map(fetchTracksOfAlbum));
+        return albumTracks.flat();
+    },
+};
+
+/**
+ * Tracks from a configured playlist, such as a curated study stimulus set.
+ * Options: `{ playlistId: string, maxTracks?: number }`.
+ */
+const playlistProvider = {
+    type: 'playlist',
+    async fetchTracks({ playlistId, maxTracks }) {
+        if (!playlistId) {
+            throw new Error('The playlist track source requires a playlistId.');
+        }
+        return fetchTracksOfPlaylist(playlistId, maxTracks);
+    },
+};
+
+/**
+ * Tracks found by a catalog search for a genre or keyword.
+ * Options: `{ genre?: string, query?: string, maxTracks?: number }`. A genre is
+ * turned into a `genre:"..."` field filter; a query is passed to Spotify as-is.
+ */
+const searchProvider = {
+    type: 'search',
+    async fetchTracks({ genre, query, maxTracks }) {
+        const terms = [query, genre && `genre:"${genre}"`].filter(Boolean).join(' ');
+        if (!terms) {
+            throw new Error('The search track source requires a genre or query.');
+        }
+        const tracks = await SpotifyAPI.searchTracks(terms, maxTracks);
+        return tracks.filter(Boolean);
+    },
+};
+
+/**
+ * Tracks saved in the participant's own library.
+ * Options: `{ maxTracks?: number }`. Requires the `user-library-read` scope.
+ */
+const savedTracksProvider = {
+    type: 'saved-tracks',
+    async fetchTracks({ maxTracks }) {
+        const items = await SpotifyAPI.getSavedTracks(maxTracks);
+        return items.map(item => item.track).filter(Boolean);
+    },
+};
+
+/**
+ * Tracks recommended by Spotify for the given seeds.
+ * Options: `{ genres?: string[], artists?: string[], tracks?: string[] }` (up to 5 seeds in total).
+ */
+const recommendationsProvider = {
+    type: 'recommendations',
+    async fetchTracks(seeds) {
+        const results = await SpotifyAPI.getRecommendations(seeds);
+        return results.tracks.filter(Boolean);
+    },
+};
+
+/**
+ * All known providers, keyed by the `type` used in source configurations.
+ * @type {Object<string, {type: string, fetchTracks: function(object): Promise<object[]>}>}
+ */
+export const TRACK_SOURCE_PROVIDERS = Object.fromEntries(
+    [
+        newReleasesProvider,
+        featuredPlaylistsProvider,
+        albumProvider,
+        playlistProvider,
+        searchProvider,
+        savedTracksProvider,
+        recommendationsProvider,
+    ].map(provider => [provider.type, provider])
+);
+
+/**
+ * Builds a pool of candidate tracks from a list of source configurations.
+ * Sources are fetched in parallel. A failing source is logged and skipped so
+ * that the others can still fill the pool. Tracks found by several sources are
+ * kept once, with the highest weight among them.
+ *
+ * @param {object[]} sourceConfigs - The sources to use.
+ * @param {string} sourceConfigs[].type - The provider type (a key of `TRACK_SOURCE_PROVIDERS`).
+ * @param {number} [sourceConfigs[].weight=1] - Relative likelihood of picking a track from this source.
+ * @param {object} [sourceConfigs[].options={}] - Provider-specific options.
+ * @returns {Promise<object[]>} Unique track objects, each tagged with `source` and `weight`.
+ */
+export async function buildTrackPool(sourceConfigs) {
+    const results = await Promise.all(sourceConfigs.map(async ({ type, weight = 1, options = {} }) => {
+        const provider = TRACK_SOURCE_PROVIDERS[type];
+        if (!provider) {
+            console.warn(`Unknown track source "${type}" ignored.`);
+            return [];
+        }
+        try {
+            const tracks = await provider.fetchTracks(options);
+            return tracks.map(track => ({ ...track, source: type, weight }));
+        } catch (error) {
+            skipFailedRequest(error);
+            return [];
+        }
+    }));
+
+    const tracksById = new Map();
+    results.flat().forEach(track => {
+        const existing = tracksById.get(track.id);
+        if (!existing || track.weight > existing.weight) {
+            tracksById.set(track.id, track);
+        }
+    });
+    return [...tracksById.values()];
+}
@@ -0,0 +1,59 @@
+#!/usr/bin/env node
+// =================================================================================
+// COMPLETION CODE VERIFIER (NODE)
+//
+// Checks completion codes reported by participants and prints the session each
+// one belongs to. Run it with the same secret as `CONFIG.COMPLETION_CODE_SECRET`:
+//
+//     node verify-completion-code.js <code> [<code> ...] [--secret <secret>]
+//
+// The secret can also be given in the COMPLETION_CODE_SECRET environment
+// variable. The exit code is 1 if any code is invalid.
+// =================================================================================
+
+import { verifyCompletionCode } from './completion-code.js';
+
+/**
+ * Splits the command-line arguments into codes and the secret.
+ * @param {string[]} args - The arguments after the script name.
+ * @returns {{codes: string[], secret: string | null}}
+ */
+function parseArguments(args) {
+    const codes = [];
+    let secret = process.env.COMPLETION_CODE_SECRET || null;
+    for (let i = 0; i < args.length; i++) {
+        if (args[i] === '--secret') {
+            secret = args[++i];
+        } else {
+            codes.push(args[i]);
+        }
+    }
+    return { codes, secret };
+}
+
+/**
+ * Verifies every code given on the command line and prints one JSON line per code.
+ */
+async function main() {
+    const { codes, secret } = parseArguments(process.argv.slice(2));
+    if (codes.length === 0) {
+        console.error('Usage: node verify-completion-code.js <code> [<code> ...] [--secret <secret>]');
+        process.exit(2);
+    }
+
+    let allValid = true;
+    for (const code of codes) {
+        let result;
+        try {
+            result = await verifyCompletionCode(code, secret);
+        } catch (error) {
+            // One unreadable code must not keep the others from being checked.
+            result = { valid: false, reason: `The code could not be verified: ${error.message}` };
+        }
+        allValid = allValid && result.valid;
+        console.log(JSON.stringify({ code, ...result }));
+    }
+    process.exit(allValid ? 0 : 1);
+}
+
+main();